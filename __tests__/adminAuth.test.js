@@ -0,0 +1,45 @@
+const adminAuth = require('../src/middleware/adminAuth');
+
+const run = (headers = {}) => {
+  const req = { method: 'GET', originalUrl: '/api/admin/queue', ip: '127.0.0.1', get: (name) => headers[name] };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json() { return this; }
+  };
+  let passed = false;
+  adminAuth(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode };
+};
+
+describe('adminAuth', () => {
+  const saved = { ...process.env };
+  afterEach(() => { process.env = { ...saved }; });
+
+  test('stays closed when no admin key is configured', () => {
+    delete process.env.ADMIN_API_KEY;
+    delete process.env.ADMIN_AUTH_DISABLED;
+    process.env.NODE_ENV = 'development';
+
+    expect(run()).toEqual({ passed: false, status: 503 });
+  });
+
+  test('opens without a key only on explicit opt-in outside production', () => {
+    delete process.env.ADMIN_API_KEY;
+    process.env.ADMIN_AUTH_DISABLED = 'true';
+
+    process.env.NODE_ENV = 'development';
+    expect(run().passed).toBe(true);
+
+    process.env.NODE_ENV = 'production';
+    expect(run()).toEqual({ passed: false, status: 503 });
+  });
+
+  test('checks the X-Admin-Key header when a key is configured', () => {
+    process.env.ADMIN_API_KEY = 'secret';
+
+    expect(run({ 'X-Admin-Key': 'secret' }).passed).toBe(true);
+    expect(run({ 'X-Admin-Key': 'wrong' })).toEqual({ passed: false, status: 401 });
+    expect(run()).toEqual({ passed: false, status: 401 });
+  });
+});
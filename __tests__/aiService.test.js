@@ -0,0 +1,76 @@
+const aiService = require('../src/services/aiService');
+const answerCacheService = require('../src/services/answerCacheService');
+const usageService = require('../src/services/usageService');
+const CircuitBreaker = require('../src/utils/circuitBreaker');
+
+// A provider whose answer never arrives
+const hangingProvider = (name, timeoutMs) => ({
+  name,
+  service: { processHealthQuery: () => new Promise(() => {}) },
+  timeoutMs,
+  settings: { pricing: {} },
+  breaker: new CircuitBreaker(name)
+});
+
+describe('aiService.raceProviders', () => {
+  const responseBudgetMs = aiService.responseBudgetMs;
+  afterEach(() => {
+    aiService.responseBudgetMs = responseBudgetMs;
+    jest.restoreAllMocks();
+  });
+
+  test('a provider still running when the response budget runs out is recorded as a timeout', async () => {
+    aiService.responseBudgetMs = 50;
+    const provider = hangingProvider('slow', 10000);
+
+    await expect(aiService.raceProviders({ query: 'fever', language: 'en' }, [provider])).resolves.toBeNull();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(provider.breaker.totals.failures).toBe(1);
+    expect(provider.breaker.lastError.message).toMatch(/budget/);
+  });
+
+  test('records the usage of a provider that answers after the race was given up', async () => {
+    aiService.responseBudgetMs = 20;
+    jest.spyOn(usageService, 'record').mockReturnValue(0);
+
+    const usage = { promptTokens: 120, completionTokens: 80, estimated: false };
+    const provider = hangingProvider('late', 10000);
+    let answer;
+    provider.service.processHealthQuery = () => new Promise(resolve => { answer = resolve; });
+
+    await expect(aiService.raceProviders({ query: 'fever', language: 'en', phoneNumber: '+919876543210' }, [provider])).resolves.toBeNull();
+    expect(usageService.record).not.toHaveBeenCalled();
+
+    answer({ message: 'late answer', usage });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(usageService.record).toHaveBeenCalledWith(expect.objectContaining({ provider: 'late', phoneNumber: '+919876543210', usage }));
+  });
+});
+
+describe('aiService.processHealthQuery caching', () => {
+  beforeEach(() => {
+    jest.spyOn(answerCacheService, 'get').mockReturnValue(null);
+    jest.spyOn(answerCacheService, 'set').mockReturnValue(true);
+    jest.spyOn(usageService, 'checkBudget').mockReturnValue(null);
+    jest.spyOn(aiService, 'selectProviders').mockReturnValue([]);
+    jest.spyOn(aiService, 'raceProviders').mockResolvedValue({
+      provider: { name: 'gemini' },
+      result: { message: 'Drink plenty of fluids and rest.', confidence: 0.9 }
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('caches an answer to a question asked on its own', async () => {
+    await aiService.processHealthQuery({ query: 'what to do for fever', language: 'en', context: [], phoneNumber: '+919876543210' });
+
+    expect(answerCacheService.set).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not cache an answer written with the earlier conversation', async () => {
+    const context = [{ query: 'my 2 year old has diarrhea', response: 'Give ORS after every loose stool.' }];
+    await aiService.processHealthQuery({ query: 'what to do for fever', language: 'en', context, phoneNumber: '+919876543210' });
+
+    expect(answerCacheService.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+const answerCacheService = require('../src/services/answerCacheService');
+const promptTemplateService = require('../src/services/promptTemplateService');
+
+describe('answerCacheService near duplicates', () => {
+  const answer = { message: 'cached answer', provider: 'gemini', confidence: 0.9 };
+
+  beforeEach(() => answerCacheService.clear());
+
+  test.each([
+    ['Can I take ibuprofen for a bad headache and body ache', 'Can I take ibuprofen for a bad headache and body ache, I am pregnant'],
+    ['How much ORS should I give my 12 year old son with loose motions', 'How much ORS should I give my 2 year old son with loose motions'],
+    ['Home remedies for cough and cold in my baby', 'Home remedies for cough and cold']
+  ])('does not answer "%s" with the answer for "%s"', (cachedQuery, query) => {
+    answerCacheService.set(cachedQuery, 'en', answer);
+
+    expect(answerCacheService.get(query, 'en')).toBeNull();
+  });
+
+  test('does not serve a question that adds a symptom', () => {
+    answerCacheService.set('home remedies for fever cough cold', 'en', answer);
+
+    expect(answerCacheService.get('home remedies fever cough cold headache', 'en')).toBeNull();
+  });
+
+  test.each([
+    ['home remedies for fever cough cold', 'please tell me remedies for fever, cough and cold'],
+    ['bukhar khansi zukam ke gharelu upaay batao', 'bukhaar khaansi jukam ke gharelu upaay']
+  ])('serves "%s" for "%s", which differs only in how it is asked', (cachedQuery, query) => {
+    answerCacheService.set(cachedQuery, 'en', answer);
+
+    expect(answerCacheService.get(query, 'en')).toMatchObject({ message: 'cached answer' });
+  });
+
+  test.each([
+    ["I don't have a fever, what helps a cough", 'dont'],
+    ["my son doesn't eat anything", 'doesnt'],
+    ["can't sleep at night", 'cant'],
+    ['I don’t have a fever', 'dont']
+  ])('keeps the negation in "%s" as one protected word', (query, negation) => {
+    const words = answerCacheService.normalize(query);
+
+    expect(words).toContain(negation);
+    expect(words).not.toContain('t');
+    expect(answerCacheService.isProtected(negation)).toBe(true);
+  });
+});
+
+describe('answerCacheService prompt versions', () => {
+  beforeEach(() => answerCacheService.clear());
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stops serving answers once their prompt template changes', () => {
+    const current = promptTemplateService.getTemplateId('health_answer');
+    answerCacheService.set('home remedies for fever cough cold', 'en', { message: 'old answer', provider: 'gemini', confidence: 0.9, promptTemplate: current });
+    expect(answerCacheService.get('home remedies for fever cough cold', 'en')).toMatchObject({ message: 'old answer' });
+
+    jest.spyOn(promptTemplateService, 'getTemplateId').mockReturnValue('health_answer@99');
+
+    expect(answerCacheService.get('home remedies for fever cough cold', 'en')).toBeNull();
+    expect(answerCacheService.get('home remedies fever cough cold headache', 'en')).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const CommandParser = require('../src/utils/commandParser');
+
+describe('CommandParser.parse', () => {
+  test.each([
+    ['LANG HI', 'hi'],
+    ['lang en', 'en'],
+    ['Language Hinglish', 'hinglish'],
+    ['language english.', 'en'],
+    ['bhasha hindi', 'hi'],
+    ['भाषा हिंदी', 'hi']
+  ])('reads "%s" as a switch to %s', (text, language) => {
+    expect(CommandParser.parse(text)).toEqual({ name: 'LANGUAGE', language, args: { language } });
+  });
+
+  test('a bare LANG asks which languages there are', () => {
+    expect(CommandParser.parse('lang')).toEqual({ name: 'LANGUAGE', language: 'en', args: { language: null } });
+  });
+
+  test.each([
+    'Language problems after a stroke',
+    'language delay in my 3 year old son',
+    'lang french',
+    'help, I have chest pain',
+    'stop the bleeding how?'
+  ])('leaves "%s" as a normal message', (text) => {
+    expect(CommandParser.parse(text)).toBeNull();
+  });
+
+  test.each([
+    ['HELP', 'HELP', 'en'],
+    ['madad', 'HELP', 'hinglish'],
+    ['Delete my data!', 'DELETE_DATA', 'en'],
+    ['मेरा डेटा हटाओ', 'DELETE_DATA', 'hi'],
+    ['STOP', 'STOP', 'en'],
+    ['band karo', 'STOP', 'hinglish'],
+    ['shuru', 'START', 'hinglish']
+  ])('reads "%s" as %s', (text, name, language) => {
+    expect(CommandParser.parse(text)).toEqual(expect.objectContaining({ name, language }));
+  });
+});
@@ -0,0 +1,58 @@
+const commandService = require('../src/services/commandService');
+const supabaseService = require('../src/services/supabaseService');
+const messageService = require('../src/services/messageService');
+const usageService = require('../src/services/usageService');
+const outboundQueueService = require('../src/services/outboundQueueService');
+const triageSessionService = require('../src/services/triageSessionService');
+
+describe('commandService DELETE MY DATA', () => {
+  const phoneNumber = 'whatsapp:+919876543210';
+  const job = (id, to) => ({ id, to, type: 'text', payload: { body: 'Drink fluids for the fever' } });
+
+  beforeEach(() => {
+    jest.spyOn(messageService, 'sendWhatsAppMessage').mockResolvedValue([]);
+    jest.spyOn(usageService, 'saveStore').mockImplementation(() => {});
+    jest.spyOn(outboundQueueService, 'saveState').mockImplementation(() => {});
+    jest.spyOn(triageSessionService, 'saveStore').mockImplementation(() => {});
+
+    usageService.today.users = { [phoneNumber]: 1200, 'whatsapp:+919811111111': 300 };
+    outboundQueueService.state = {
+      pending: [job('p1', phoneNumber), job('p2', 'whatsapp:+919811111111')],
+      deadLetter: [job('d1', '+919876543210')]
+    };
+    triageSessionService.saveSession(phoneNumber, { step: 'duration', answers: {}, texts: ['fever'] });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('clears the user\'s token total, queued and dead-lettered messages and triage session', async () => {
+    jest.spyOn(supabaseService, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(supabaseService, 'deleteUserData').mockResolvedValue(true);
+
+    await commandService.handleAction(phoneNumber, 'DELETE_DATA_YES', 'en');
+
+    expect(usageService.today.users).toEqual({ 'whatsapp:+919811111111': 300 });
+    expect(outboundQueueService.state.pending.map(entry => entry.id)).toEqual(['p2']);
+    expect(outboundQueueService.state.deadLetter).toEqual([]);
+    expect(triageSessionService.getSession(phoneNumber)).toBeNull();
+    expect(messageService.sendWhatsAppMessage).toHaveBeenCalledWith(phoneNumber, expect.stringContaining('deleted'));
+  });
+
+  test('without Supabase the stores on disk are all there is to delete', async () => {
+    jest.spyOn(supabaseService, 'isAvailable').mockReturnValue(false);
+
+    await commandService.handleAction(phoneNumber, 'DELETE_DATA_YES', 'en');
+
+    expect(usageService.today.users[phoneNumber]).toBeUndefined();
+    expect(messageService.sendWhatsAppMessage).toHaveBeenCalledWith(phoneNumber, expect.stringContaining('deleted'));
+  });
+
+  test('"no" deletes nothing', async () => {
+    jest.spyOn(supabaseService, 'deleteUserData').mockResolvedValue(true);
+
+    await commandService.handleAction(phoneNumber, 'DELETE_DATA_NO', 'en');
+
+    expect(supabaseService.deleteUserData).not.toHaveBeenCalled();
+    expect(usageService.today.users[phoneNumber]).toBe(1200);
+    expect(outboundQueueService.state.deadLetter).toHaveLength(1);
+  });
+});
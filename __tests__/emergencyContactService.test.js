@@ -0,0 +1,55 @@
+const emergencyContactService = require('../src/services/emergencyContactService');
+const supabaseService = require('../src/services/supabaseService');
+const messageService = require('../src/services/messageService');
+
+describe('emergencyContactService contact confirmation', () => {
+  const contact = '+919812345678';
+  const users = {
+    '+919876543210': { phone_number: '+919876543210', preferred_language: 'en', emergency_contact: contact, emergency_contact_status: 'pending' },
+    '+919811111111': { phone_number: '+919811111111', preferred_language: 'hi', emergency_contact: contact, emergency_contact_status: 'pending' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(supabaseService, 'getUser').mockImplementation(async (phoneNumber) => users[phoneNumber] || null);
+    jest.spyOn(supabaseService, 'getUsersAwaitingContact').mockResolvedValue(Object.values(users));
+    jest.spyOn(supabaseService, 'markEmergencyContactVerified').mockResolvedValue({});
+    jest.spyOn(supabaseService, 'setEmergencyContact').mockResolvedValue({});
+    jest.spyOn(messageService, 'sendWhatsAppMessage').mockResolvedValue([]);
+    jest.spyOn(messageService, 'sendTemplateMessage').mockResolvedValue({});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('sends the confirmation as a template whose buttons name the requesting user', async () => {
+    emergencyContactService.setFlow('+919876543210', { step: 'awaiting_consent', contactPhone: contact, language: 'en' });
+
+    await emergencyContactService.confirmConsent('+919876543210');
+
+    const [to, template] = messageService.sendTemplateMessage.mock.calls[0];
+    expect(to).toBe(contact);
+    expect(template.params).toEqual(['+919876543210']);
+    expect(template.buttons.map(button => button.payload)).toEqual(['CONTACT_ACCEPT:+919876543210', 'CONTACT_DECLINE:+919876543210']);
+  });
+
+  test('an accept button only verifies the request it belongs to', async () => {
+    await emergencyContactService.handleAction(contact, 'CONTACT_ACCEPT', 'en', '+919876543210');
+
+    expect(supabaseService.markEmergencyContactVerified).toHaveBeenCalledTimes(1);
+    expect(supabaseService.markEmergencyContactVerified).toHaveBeenCalledWith('+919876543210', contact);
+    expect(supabaseService.setEmergencyContact).not.toHaveBeenCalled();
+  });
+
+  test('a button for a request that is not pending changes nothing', async () => {
+    await emergencyContactService.handleAction(contact, 'CONTACT_ACCEPT', 'en', '+919800000000');
+
+    expect(supabaseService.markEmergencyContactVerified).not.toHaveBeenCalled();
+    expect(messageService.sendWhatsAppMessage).toHaveBeenCalledWith(contact, expect.stringContaining('no longer open'));
+  });
+
+  test.each(['yes', 'haan', 'no'])('a typed "%s" from a pending contact accepts or declines nothing', async (text) => {
+    await expect(emergencyContactService.handleMessage(contact, text)).resolves.toBe(true);
+
+    expect(supabaseService.markEmergencyContactVerified).not.toHaveBeenCalled();
+    expect(supabaseService.setEmergencyContact).not.toHaveBeenCalled();
+    expect(messageService.sendWhatsAppMessage).toHaveBeenCalledWith(contact, expect.stringContaining('tap a button'));
+  });
+});
@@ -0,0 +1,32 @@
+const emergencyService = require('../src/services/emergencyService');
+const supabaseService = require('../src/services/supabaseService');
+const messageService = require('../src/services/messageService');
+const optOutService = require('../src/services/optOutService');
+
+describe('emergencyService.alertEmergencyContact', () => {
+  const user = {
+    phone_number: '+919876543210',
+    emergency_contact: '+919812345678',
+    emergency_contact_consent_at: '2026-10-01T10:00:00Z'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(optOutService, 'isOptedOut').mockResolvedValue(false);
+    jest.spyOn(messageService, 'sendEmergencyAlert').mockResolvedValue(true);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('alerts a contact who consented and confirmed', async () => {
+    jest.spyOn(supabaseService, 'getUser').mockResolvedValue({ ...user, emergency_contact_status: 'verified' });
+
+    await expect(emergencyService.alertEmergencyContact(user.phone_number, 'chest pain', 'en')).resolves.toBe(user.emergency_contact);
+    expect(messageService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+  });
+
+  test.each(['pending', null])('does not alert a contact whose status is %s', async (status) => {
+    jest.spyOn(supabaseService, 'getUser').mockResolvedValue({ ...user, emergency_contact_status: status });
+
+    await expect(emergencyService.alertEmergencyContact(user.phone_number, 'chest pain', 'en')).resolves.toBeNull();
+    expect(messageService.sendEmergencyAlert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+const handoffService = require('../src/services/handoffService');
+const supabaseService = require('../src/services/supabaseService');
+
+describe('handoffService.getCase', () => {
+  const worker = { id: 7, name: 'Asha' };
+
+  const withCase = (handoffCase) => {
+    jest.spyOn(supabaseService, 'getHandoffCase').mockResolvedValue({ id: 1, user_phone: '+919876543210', ...handoffCase });
+    jest.spyOn(supabaseService, 'getHandoffMessages').mockResolvedValue([]);
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each([
+    ['a waiting case', { status: 'waiting', worker_id: null }],
+    ['a case the worker claimed', { status: 'claimed', worker_id: 7 }],
+    ['a case the worker closed', { status: 'closed', worker_id: 7 }]
+  ])('returns %s', async (label, handoffCase) => {
+    withCase(handoffCase);
+    await expect(handoffService.getCase(1, worker)).resolves.toMatchObject({ case: handoffCase, messages: [] });
+  });
+
+  test.each([
+    ['claimed', { status: 'claimed', worker_id: 8 }],
+    ['closed', { status: 'closed', worker_id: 8 }]
+  ])('refuses a case another worker %s', async (label, handoffCase) => {
+    withCase(handoffCase);
+    await expect(handoffService.getCase(1, worker)).rejects.toMatchObject({ statusCode: 403 });
+    expect(supabaseService.getHandoffMessages).not.toHaveBeenCalled();
+  });
+});
+
+describe('handoffService.needsReview', () => {
+  test('sends unsure AI answers for review', () => {
+    expect(handoffService.needsReview({ provider: 'knowledge_base', confidence: 0.5 })).toBe(true);
+  });
+
+  test.each(['global', 'user'])('skips fallbacks given because the %s AI budget ran out', (budgetExceeded) => {
+    expect(handoffService.needsReview({ provider: 'knowledge_base', confidence: 0.5, budgetExceeded })).toBe(false);
+  });
+});
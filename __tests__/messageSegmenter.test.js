@@ -0,0 +1,61 @@
+const MessageSegmenter = require('../src/utils/messageSegmenter');
+
+// Drop the "(1/3)\n" label from a part
+const unlabel = (part) => part.replace(/^\(\d+\/\d+\)\n/, '');
+
+describe('MessageSegmenter.split', () => {
+  const bullets = Array.from({ length: 12 }, (_, i) => `- Tip ${i + 1}: drink water and rest well through the day.`).join('\n');
+  const disclaimer = '⚠️ This is general information. Please see a doctor if symptoms get worse.';
+
+  test('returns a short message as a single unlabelled part', () => {
+    expect(MessageSegmenter.split('  Rest and drink fluids.  ')).toEqual(['Rest and drink fluids.']);
+  });
+
+  test('numbers the parts in order and keeps each within the limit', () => {
+    const text = Array.from({ length: 30 }, (_, i) => `Sentence number ${i + 1} about staying hydrated.`).join(' ');
+
+    const parts = MessageSegmenter.split(text, 200);
+
+    parts.forEach((part, index) => {
+      expect(part.startsWith(`(${index + 1}/${parts.length})\n`)).toBe(true);
+      expect(part.length).toBeLessThanOrEqual(200);
+    });
+    expect(parts.map(unlabel).join(' ')).toBe(text);
+  });
+
+  test('keeps bullet lines and paragraphs as written', () => {
+    const text = `Home care for fever:\n\n${bullets}\n\n${disclaimer}`;
+
+    const parts = MessageSegmenter.split(text, 400).map(unlabel);
+
+    expect(parts.join('\n')).toContain('- Tip 1: drink water and rest well through the day.\n- Tip 2:');
+    parts.forEach(part => expect(part).not.toMatch(/day\. - Tip/));
+  });
+
+  test('keeps line breaks when the closing sentence is the safety tail', () => {
+    const text = `Home care for fever:\n${bullets}\nSee a doctor if the fever lasts more than 3 days.`;
+
+    const parts = MessageSegmenter.split(text, 400).map(unlabel);
+
+    expect(parts[0].startsWith('Home care for fever:\n- Tip 1:')).toBe(true);
+    parts.forEach(part => expect(part).not.toMatch(/day\. - Tip/));
+    expect(parts[parts.length - 1].endsWith('See a doctor if the fever lasts more than 3 days.')).toBe(true);
+  });
+
+  test('keeps the safety tail whole in the last part', () => {
+    const text = `${bullets}\n\n${disclaimer}`;
+
+    const parts = MessageSegmenter.split(text, 300).map(unlabel);
+
+    expect(parts.filter(part => part.includes(disclaimer))).toHaveLength(1);
+    expect(parts[parts.length - 1].endsWith(disclaimer)).toBe(true);
+  });
+
+  test('splits Hindi text on the danda', () => {
+    const text = Array.from({ length: 20 }, () => 'खूब पानी पिएं और आराम करें।').join(' ');
+
+    const parts = MessageSegmenter.split(text, 120).map(unlabel);
+
+    parts.forEach(part => expect(part.endsWith('।')).toBe(true));
+  });
+});
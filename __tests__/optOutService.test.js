@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const optOutService = require('../src/services/optOutService');
+const supabaseService = require('../src/services/supabaseService');
+
+describe('optOutService', () => {
+  const phoneNumber = 'whatsapp:+919876543210';
+  let dir;
+
+  // What a fresh process would know: only the file on disk
+  const restart = () => {
+    optOutService.cache.clear();
+    optOutService.optedOut = optOutService.loadStore();
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'opt-outs-'));
+    optOutService.storePath = path.join(dir, 'opt_outs.json');
+    optOutService.cache.clear();
+    optOutService.optedOut = new Map();
+
+    jest.spyOn(supabaseService, 'setOptOut').mockResolvedValue(null);
+    jest.spyOn(supabaseService, 'logOptOutEvent').mockResolvedValue(null);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('without Supabase', () => {
+    beforeEach(() => jest.spyOn(supabaseService, 'isAvailable').mockReturnValue(false));
+
+    test('STOP survives a restart, for the number in any format', async () => {
+      await optOutService.optOut(phoneNumber);
+      restart();
+
+      await expect(optOutService.isOptedOut(phoneNumber)).resolves.toBe(true);
+      await expect(optOutService.isOptedOut('+919876543210')).resolves.toBe(true);
+      await expect(optOutService.isOptedOut('+919811111111')).resolves.toBe(false);
+    });
+
+    test('START survives a restart too', async () => {
+      await optOutService.optOut(phoneNumber);
+      await optOutService.optIn(phoneNumber);
+      restart();
+
+      await expect(optOutService.isOptedOut(phoneNumber)).resolves.toBe(false);
+      expect(JSON.parse(fs.readFileSync(optOutService.storePath, 'utf8'))).toEqual({});
+    });
+
+    test('the admin report lists the numbers kept on disk', async () => {
+      await optOutService.optOut(phoneNumber, { source: 'admin' });
+      restart();
+
+      const report = await optOutService.getReport();
+
+      expect(report.source).toBe('file');
+      expect(report.optedOut).toEqual([{ phone_number: '+919876543210', opted_out_at: expect.any(String) }]);
+    });
+  });
+
+  describe('with Supabase', () => {
+    beforeEach(() => jest.spyOn(supabaseService, 'isAvailable').mockReturnValue(true));
+
+    test('the database answers once the cached lookup is gone', async () => {
+      jest.spyOn(supabaseService, 'isOptedOut').mockResolvedValue(false);
+      await optOutService.optOut(phoneNumber);
+      restart();
+
+      await expect(optOutService.isOptedOut(phoneNumber)).resolves.toBe(false);
+    });
+
+    test('falls back to the file when the database cannot be reached', async () => {
+      jest.spyOn(supabaseService, 'isOptedOut').mockResolvedValue(null);
+      await optOutService.optOut(phoneNumber);
+      restart();
+
+      await expect(optOutService.isOptedOut(phoneNumber)).resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const aiService = require('../src/services/aiService');
+const geminiService = require('../src/services/geminiService');
+const openaiService = require('../src/services/openaiService');
+const promptTemplateService = require('../src/services/promptTemplateService');
+
+// The earlier answer mentions red flags; the question itself is harmless
+const context = [{ query: 'I have a cough', response: 'Go to a hospital if you have trouble breathing or chest pain.' }];
+const userQuery = 'what should I eat?';
+const query = aiService.buildContextualQuery(userQuery, context);
+
+describe('provider triage ignores the earlier conversation', () => {
+  const model = geminiService.model;
+  afterEach(() => {
+    geminiService.model = model;
+    jest.restoreAllMocks();
+  });
+
+  test('Gemini answers the question instead of giving emergency guidance', async () => {
+    geminiService.model = { generateContent: jest.fn().mockResolvedValue({ response: { text: () => 'Eat light, home-cooked food.' } }) };
+    jest.spyOn(geminiService, 'generateEmergencyResponse');
+
+    const result = await geminiService.processHealthQuery({ query, userQuery, language: 'en', context });
+
+    expect(geminiService.generateEmergencyResponse).not.toHaveBeenCalled();
+    expect(result.promptTemplate).toBe(promptTemplateService.getTemplateId('health_answer'));
+  });
+
+  test('OpenAI-style prompts only add the serious-symptom guidance for the question itself', () => {
+    const serious = promptTemplateService.render('health_answer', 'serious', 'en');
+
+    const [harmless] = openaiService.buildHealthMessages(query, 'en', context, [], { userQuery });
+    const [urgent] = openaiService.buildHealthMessages(query, 'en', context, [], { userQuery: 'I have chest pain' });
+
+    expect(harmless.content).not.toContain(serious);
+    expect(urgent.content).toContain(serious);
+  });
+});
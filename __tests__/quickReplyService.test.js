@@ -0,0 +1,23 @@
+const quickReplyService = require('../src/services/quickReplyService');
+
+const MENU_IDS = ['urgency_check', 'emergency_contact_manage', 'emergency_contact_consent', 'emergency_contact_verify',
+  'delete_data_confirm', 'triage_duration', 'triage_severity', 'triage_pregnancy'];
+
+describe('quickReplyService.buildMenu', () => {
+  test('keeps the Hindi urgency menu within the WhatsApp button title limit', () => {
+    const menu = quickReplyService.buildMenu('urgency_check', 'hi');
+
+    expect(menu.buttons.map(button => button.title)).toContain('स्वास्थ्य कर्मी');
+    menu.buttons.forEach(button => expect(button.title.length).toBeLessThanOrEqual(20));
+  });
+
+  test.each(MENU_IDS)('%s fits the title limits in every language', (menuId) => {
+    for (const language of ['en', 'hi', 'hinglish']) {
+      const menu = quickReplyService.buildMenu(menuId, language);
+      const titles = (menu.buttons || menu.list.options).map(option => option.title);
+      const limit = menu.buttons ? 20 : 24;
+
+      titles.forEach(title => expect(title.length).toBeLessThanOrEqual(limit));
+    }
+  });
+});
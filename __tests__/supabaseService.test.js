@@ -0,0 +1,111 @@
+const supabaseService = require('../src/services/supabaseService');
+
+// Minimal stand-in for the Supabase query builder: filters are ignored, and like
+// PostgREST it never returns more than 1000 rows for one request
+const fakeClient = (rows) => ({
+  from: () => {
+    let range = [0, rows.length - 1];
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      or: () => builder,
+      gte: () => builder,
+      order: () => builder,
+      range: (from, to) => { range = [from, to]; return builder; },
+      then: (resolve) => resolve({
+        data: rows.slice(range[0], Math.min(range[1] + 1, range[0] + 1000)),
+        error: null
+      })
+    };
+    return builder;
+  }
+});
+
+describe('supabaseService reports', () => {
+  const original = supabaseService.supabase;
+  afterEach(() => { supabaseService.supabase = original; });
+
+  test('delivery report counts every row past the server row cap', async () => {
+    const timestamp = new Date().toISOString();
+    const rows = Array.from({ length: 2500 }, (_, i) => ({
+      timestamp,
+      provider: i % 2 ? 'twilio' : 'meta',
+      message_status: 'delivered'
+    }));
+    supabaseService.supabase = fakeClient(rows);
+
+    const report = await supabaseService.getDeliveryReport(7);
+
+    expect(report.totals.total).toBe(2500);
+    expect(report.byProvider.twilio.total).toBe(1250);
+  });
+
+  test('AI usage report totals and top users include every row past the server row cap', async () => {
+    const created_at = new Date().toISOString();
+    const rows = Array.from({ length: 1800 }, (_, i) => ({
+      created_at,
+      // The heaviest user only appears after the first 1000 rows
+      user_phone: i < 1000 ? `+91${i}` : '+919999900001',
+      provider: 'openai',
+      prompt_tokens: 10,
+      completion_tokens: 5,
+      estimated: false,
+      cost_usd: '0.001'
+    }));
+    supabaseService.supabase = fakeClient(rows);
+
+    const report = await supabaseService.getAiUsageReport(7);
+
+    expect(report.totals.calls).toBe(1800);
+    expect(report.totals.promptTokens).toBe(18000);
+    expect(report.topUsers[0]).toMatchObject({ phoneNumber: '+919999900001', calls: 800 });
+  });
+});
+
+describe('supabaseService.deleteUserData', () => {
+  const original = supabaseService.supabase;
+  afterEach(() => { supabaseService.supabase = original; });
+
+  // Records every delete and insert; the users row read returns `user`
+  const recordingClient = (user) => {
+    const calls = [];
+    return {
+      calls,
+      from: (table) => {
+        const builder = {
+          select: () => builder,
+          eq: () => builder,
+          maybeSingle: async () => ({ data: user, error: null }),
+          delete: () => { calls.push(['delete', table]); return builder; },
+          insert: async (row) => { calls.push(['insert', table, row]); return { error: null }; },
+          then: (resolve) => resolve({ error: null })
+        };
+        return builder;
+      }
+    };
+  };
+
+  test('keeps a bare opted-out users row so STOP survives the deletion', async () => {
+    const client = recordingClient({ opted_out: true, opted_out_at: '2026-10-01T10:00:00.000Z' });
+    supabaseService.supabase = client;
+
+    await expect(supabaseService.deleteUserData('+919876543210')).resolves.toBe(true);
+
+    expect(client.calls).toContainEqual(['delete', 'users']);
+    expect(client.calls).not.toContainEqual(['delete', 'opt_out_events']);
+    expect(client.calls[client.calls.length - 1]).toEqual(['insert', 'users', {
+      phone_number: '+919876543210',
+      opted_out: true,
+      opted_out_at: '2026-10-01T10:00:00.000Z'
+    }]);
+  });
+
+  test('removes the users row entirely for a number that never opted out', async () => {
+    const client = recordingClient({ opted_out: false, opted_out_at: null });
+    supabaseService.supabase = client;
+
+    await supabaseService.deleteUserData('+919876543210');
+
+    expect(client.calls.filter(([action]) => action === 'insert')).toEqual([]);
+  });
+});
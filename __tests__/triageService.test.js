@@ -0,0 +1,55 @@
+const triageService = require('../src/services/triageService');
+
+describe('triageService.assess', () => {
+  test.each([
+    ['I have chest pain', 'emergency'],
+    ['mera bacha behosh ho gaya', 'emergency'],
+    ['he drank pesticide in the field', 'emergency'],
+    ['usne zehar kha liya', 'emergency'],
+    ['my son is having fits', 'emergency'],
+    ['use daura pad raha hai', 'emergency'],
+    ['I am pregnant and bleeding', 'emergency'],
+    ['accident hua, sir par chot lagi aur ulti ho rahi hai', 'emergency'],
+    ['had an accident and now he is confused', 'emergency'],
+    ['naak se khoon aa raha hai', 'high'],
+    ['sir par chot lagi', 'high'],
+    ['He is not breathing', 'emergency'],
+    ['baby is not breathing', 'emergency'],
+    ['I dont know if this is a heart attack, my chest hurts', 'emergency'],
+    ['wondering if I am having a stroke, my face is drooping', 'emergency'],
+    ['not sure whether he swallowed poison', 'high'],
+    ['I am not sure if I have chest pain', 'high'],
+    ['not sure if I have a fever', 'medium']
+  ])('flags "%s" as %s', (text, severity) => {
+    expect(triageService.assess(text).severity).toBe(severity);
+  });
+
+  test.each([
+    ['I have food poisoning', 'emergency'],
+    ['what food fits a diabetes diet', 'emergency'],
+    ['I am dying to know about vitamins', 'emergency'],
+    ['had an accident last year', 'emergency'],
+    ['does pregnancy cause bleeding gums', 'emergency'],
+    ['khoon ki kami hai', 'high'],
+    ['no chest pain, just a cough', 'emergency']
+  ])('does not flag "%s" as %s or above', (text, level) => {
+    const { severity } = triageService.assess(text);
+    expect(triageService.getSeverityRank(severity)).toBeLessThan(triageService.getSeverityRank(level));
+  });
+
+  test('rates an emergency that rests on a hedged mention as high, never lower', () => {
+    const triage = triageService.assess('I dont know if this is a heart attack');
+
+    expect(triage.severity).toBe('high');
+    expect(triage.matches).toEqual([expect.objectContaining({ id: 'cardiac', severity: 'high', hedged: true })]);
+  });
+
+  test('reports hedged and negated symptoms separately', () => {
+    expect(triageService.assess('not sure if I have chest pain').hedgedSymptoms).toEqual(['chest_pain']);
+    expect(triageService.assess('no chest pain').negatedSymptoms).toEqual(['chest_pain']);
+  });
+
+  test('a hedge does not carry over into the next clause', () => {
+    expect(triageService.assess('not sure if it is the flu. I have chest pain').isEmergency).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+const triageSessionService = require('../src/services/triageSessionService');
+const triageService = require('../src/services/triageService');
+
+const normalize = (text) => triageService.normalize(text);
+const prefill = (query) => triageSessionService.prefillAnswers(query, triageService.assess(query));
+
+describe('triageSessionService answers from the first message', () => {
+  test.each([
+    'I have had high fever for 2 months',
+    'Mujhe 2 mahine se tez bukhar hai',
+    'diarrhoea for 2 months',
+    'mujhe 2 mahine ka bukhar hai'
+  ])('reads the duration in "%s" as no age', (query) => {
+    expect(prefill(query).age).toBeUndefined();
+  });
+
+  test('a long-running adult fever is not escalated as an infant\'s', () => {
+    const query = 'I have had high fever for 2 months';
+    const session = { texts: [query], answers: prefill(query) };
+
+    expect(triageSessionService.assess(session).isEmergency).toBe(false);
+    expect(triageSessionService.getNextStep(session)).toBe('duration');
+    expect(triageSessionService.buildQuery({ originalQuery: query, answers: session.answers })).not.toContain('Age:');
+  });
+
+  test.each([
+    ['my 8 month old has fever', { years: 0, months: 8 }],
+    ['my 3-year-old has a cough', { years: 3, months: null }],
+    ['mera 5 saal ka beta bukhar mein hai', { years: 5, months: null }],
+    ['मेरी 2 साल की बेटी को खांसी है', { years: 2, months: null }],
+    ['fever and cough, aged 40', { years: 40, months: null }],
+    ['umar 8 mahine, dast ho rahe hain', { years: 0, months: 8 }]
+  ])('prefills the age stated in "%s"', (query, age) => {
+    expect(prefill(query).age).toEqual(expect.objectContaining(age));
+  });
+
+  test('prefills pregnancy and severity the message already gives', () => {
+    const answers = prefill('I am pregnant and have a severe headache');
+
+    expect(answers.pregnancy.value).toBe('TRIAGE_PREGNANT_YES');
+    expect(answers.severity.value).toBe('TRIAGE_SEVERITY_SEVERE');
+  });
+});
+
+describe('triageSessionService typed answers', () => {
+  test.each([
+    ['3 din se', 'TRIAGE_DURATION_DAYS'],
+    ['since yesterday', 'TRIAGE_DURATION_DAYS'],
+    ['two weeks', 'TRIAGE_DURATION_LONG'],
+    ['5 days', 'TRIAGE_DURATION_WEEK'],
+    ['aaj subah se', 'TRIAGE_DURATION_TODAY'],
+    ['2 mahine se', 'TRIAGE_DURATION_LONG']
+  ])('reads duration "%s" as %s', (text, value) => {
+    expect(triageSessionService.parseDuration(normalize(text))).toBe(value);
+  });
+
+  test.each([
+    ['bahut zyada', 'TRIAGE_SEVERITY_SEVERE'],
+    ['halka sa', 'TRIAGE_SEVERITY_MILD'],
+    ['moderate', 'TRIAGE_SEVERITY_MODERATE'],
+    ['not sure', null]
+  ])('reads severity "%s" as %s', (text, value) => {
+    expect(triageSessionService.parseSeverity(normalize(text))).toBe(value);
+  });
+
+  test.each([
+    ['35', { years: 35, months: null }],
+    ['8 mahine', { years: 0, months: 8 }],
+    ['two years', { years: 2, months: null }],
+    ['newborn', { years: 0, months: null }],
+    ['pata nahi', { years: null, months: null }]
+  ])('reads an answer to the age question "%s"', (text, age) => {
+    expect(triageSessionService.parseAge(normalize(text), false)).toEqual(age);
+  });
+
+  test.each([
+    ['haan', 'TRIAGE_PREGNANT_YES'],
+    ['nahi', 'TRIAGE_PREGNANT_NO'],
+    ['I am male', 'TRIAGE_PREGNANT_NA'],
+    ['maybe', null]
+  ])('reads pregnancy "%s" as %s', (text, value) => {
+    expect(triageSessionService.parsePregnancy(normalize(text))).toBe(value);
+  });
+});
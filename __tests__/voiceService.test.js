@@ -0,0 +1,22 @@
+const fs = require('fs');
+const voiceService = require('../src/services/voiceService');
+
+describe('voiceService.downloadAudioFile', () => {
+  afterEach(() => { voiceService.allowFileUrls = false; });
+
+  test.each([
+    'file:///etc/passwd',
+    'ftp://example.com/audio.ogg',
+    'data:audio/ogg;base64,AAAA'
+  ])('refuses %s', async (audioUrl) => {
+    await expect(voiceService.downloadAudioFile(audioUrl)).rejects.toThrow(/Unsupported audio URL scheme/);
+  });
+
+  test('reads file:// URLs when the chat simulator allows them', async () => {
+    voiceService.allowFileUrls = true;
+    const filePath = await voiceService.downloadAudioFile(`file://${__filename}`);
+
+    expect(fs.readFileSync(filePath, 'utf8')).toContain('downloadAudioFile');
+    fs.unlinkSync(filePath);
+  });
+});
@@ -7,9 +7,13 @@ require('dotenv').config();
 // Import routes and middleware
 const whatsappRoutes = require('./src/routes/whatsappRoutes');
 const healthRoutes = require('./src/routes/healthRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const agentRoutes = require('./src/routes/agentRoutes');
+const sandboxRoutes = require('./src/routes/sandboxRoutes');
 const errorHandler = require('./src/middleware/errorHandler');
 const logger = require('./src/utils/logger');
 const keepAliveService = require('./src/services/keepAliveService');
+const sandboxService = require('./src/services/sandboxService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -38,7 +42,11 @@ const limiter = rateLimit({
 app.use('/webhook', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for Cloud API webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -55,6 +63,13 @@ app.get('/health', (req, res) => {
 app.use('/webhook', whatsappRoutes);
 app.use('/webhook/whatsapp', whatsappRoutes); // Specific route for Twilio WhatsApp
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/agent', agentRoutes);
+
+// Offline transport: inspect outbound messages and inject inbound ones (WHATSAPP_PROVIDER=sandbox)
+if (sandboxService.enabled) {
+  app.use('/api/sandbox', sandboxRoutes);
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -65,7 +80,10 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       webhook: '/webhook',
-      api: '/api/health'
+      api: '/api/health',
+      admin: '/api/admin',
+      agent: '/api/agent',
+      ...(sandboxService.enabled && { sandbox: '/api/sandbox' })
     }
   });
 });
@@ -86,6 +104,10 @@ app.listen(PORT, () => {
   logger.info(`🚀 WhatsApp Health Assistant running on port ${PORT}`);
   logger.info(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  if (sandboxService.enabled) {
+    logger.warn(`📦 Sandbox transport active: messages go to http://localhost:${PORT}/api/sandbox/outbox, not to WhatsApp`);
+  }
   
   // Initialize keep-alive service to prevent Render free tier from spinning down
   if (process.env.NODE_ENV === 'production') {
@@ -12,6 +12,13 @@ CREATE TABLE IF NOT EXISTS users (
   last_active TIMESTAMPTZ DEFAULT NOW(),
   total_queries INTEGER DEFAULT 0,
   emergency_contact VARCHAR(20),
+  emergency_contact_status VARCHAR(20), -- 'pending', 'verified'
+  emergency_contact_consent_at TIMESTAMPTZ,
+  emergency_contact_verified_at TIMESTAMPTZ,
+  language_set_by_user BOOLEAN DEFAULT FALSE, -- chosen with the LANG command
+  context_reset_at TIMESTAMPTZ, -- RESET command
+  opted_out BOOLEAN DEFAULT FALSE, -- STOP / START commands
+  opted_out_at TIMESTAMPTZ,
   health_profile JSONB DEFAULT '{}'::JSONB,
   user_metadata JSONB DEFAULT '{}'::JSONB
 );
@@ -19,6 +26,17 @@ CREATE TABLE IF NOT EXISTS users (
 -- Indexes for users table
 CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone_number);
 CREATE INDEX IF NOT EXISTS idx_users_last_active ON users(last_active);
+CREATE INDEX IF NOT EXISTS idx_users_emergency_contact ON users(emergency_contact);
+CREATE INDEX IF NOT EXISTS idx_users_opted_out ON users(opted_out);
+
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS emergency_contact_status VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS emergency_contact_consent_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS emergency_contact_verified_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS language_set_by_user BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS context_reset_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS opted_out BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS opted_out_at TIMESTAMPTZ;
 
 -- ==============================================
 -- CONVERSATIONS TABLE
@@ -44,6 +62,10 @@ CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(query_ti
 CREATE INDEX IF NOT EXISTS idx_conversations_emergency ON conversations(is_emergency);
 CREATE INDEX IF NOT EXISTS idx_conversations_category ON conversations(health_category);
 
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS kb_passage_ids TEXT[];
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS prompt_template VARCHAR(60);
+
 -- ==============================================
 -- MESSAGE LOGS TABLE
 -- ==============================================
@@ -54,6 +76,8 @@ CREATE TABLE IF NOT EXISTS message_logs (
   content TEXT,
   message_sid VARCHAR(100),
   message_status VARCHAR(20),
+  provider VARCHAR(30), -- 'twilio', 'meta', 'mtalkz', 'smsindiahub'
+  direction VARCHAR(10), -- 'inbound', 'outbound'
   timestamp TIMESTAMPTZ DEFAULT NOW(),
   status_updated_at TIMESTAMPTZ,
   metadata JSONB DEFAULT '{}'::JSONB
@@ -65,6 +89,11 @@ CREATE INDEX IF NOT EXISTS idx_message_logs_timestamp ON message_logs(timestamp)
 CREATE INDEX IF NOT EXISTS idx_message_logs_message_sid ON message_logs(message_sid);
 CREATE INDEX IF NOT EXISTS idx_message_logs_type ON message_logs(message_type);
 
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS provider VARCHAR(30);
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS direction VARCHAR(10);
+CREATE INDEX IF NOT EXISTS idx_message_logs_direction_timestamp ON message_logs(direction, timestamp);
+
 -- ==============================================
 -- ANALYTICS TABLE
 -- ==============================================
@@ -101,7 +130,16 @@ CREATE TABLE IF NOT EXISTS health_queries (
   follow_up_date DATE,
   query_timestamp TIMESTAMPTZ DEFAULT NOW(),
   resolved BOOLEAN DEFAULT FALSE,
-  resolution_notes TEXT
+  resolution_notes TEXT,
+  triage_rules TEXT[], -- IDs of the red-flag rules that matched
+  triage_version VARCHAR(30),
+  follow_up_answers JSONB, -- answers to the guided triage questions, when asked
+  -- Structured AI answer (recommended_actions holds its home-care steps)
+  answer_summary TEXT,
+  answer_red_flags TEXT[],
+  answer_see_doctor TEXT,
+  answer_severity VARCHAR(20), -- the AI's rating, on the same scale as severity_level
+  answer_follow_up_questions TEXT[]
 );
 
 -- Indexes for health_queries table
@@ -110,6 +148,118 @@ CREATE INDEX IF NOT EXISTS idx_health_queries_severity ON health_queries(severit
 CREATE INDEX IF NOT EXISTS idx_health_queries_follow_up ON health_queries(follow_up_needed);
 CREATE INDEX IF NOT EXISTS idx_health_queries_timestamp ON health_queries(query_timestamp);
 
+-- Columns added after the initial release (safe to re-run on existing databases)
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS triage_rules TEXT[];
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS triage_version VARCHAR(30);
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS follow_up_answers JSONB;
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS answer_summary TEXT;
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS answer_red_flags TEXT[];
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS answer_see_doctor TEXT;
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS answer_severity VARCHAR(20);
+ALTER TABLE health_queries ADD COLUMN IF NOT EXISTS answer_follow_up_questions TEXT[];
+
+-- ==============================================
+-- EMERGENCY EVENTS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS emergency_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_phone VARCHAR(20) NOT NULL,
+  query TEXT,
+  detected_language VARCHAR(10),
+  source VARCHAR(30), -- 'triage', 'quick_reply'
+  conversation_id BIGINT,
+  contact_phone VARCHAR(20),
+  contact_alerted BOOLEAN DEFAULT FALSE,
+  acknowledged BOOLEAN DEFAULT FALSE,
+  acknowledged_by VARCHAR(100),
+  acknowledged_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  metadata JSONB DEFAULT '{}'::JSONB
+);
+
+-- Indexes for emergency_events table
+CREATE INDEX IF NOT EXISTS idx_emergency_events_created_at ON emergency_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_emergency_events_acknowledged ON emergency_events(acknowledged);
+
+-- ==============================================
+-- OPT-OUT EVENTS TABLE (audit trail for STOP / START)
+-- ==============================================
+CREATE TABLE IF NOT EXISTS opt_out_events (
+  id BIGSERIAL PRIMARY KEY,
+  phone_number VARCHAR(20) NOT NULL,
+  action VARCHAR(10) NOT NULL, -- 'opt_out', 'opt_in'
+  source VARCHAR(30), -- 'keyword'
+  keyword VARCHAR(50),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for opt_out_events table
+CREATE INDEX IF NOT EXISTS idx_opt_out_events_phone ON opt_out_events(phone_number);
+CREATE INDEX IF NOT EXISTS idx_opt_out_events_created_at ON opt_out_events(created_at);
+
+-- ==============================================
+-- HEALTH WORKERS TABLE (ASHA / health workers who take handoffs)
+-- ==============================================
+CREATE TABLE IF NOT EXISTS health_workers (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  phone_number VARCHAR(20), -- notified about new cases when set
+  api_key_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the worker's agent API key
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==============================================
+-- HANDOFF CASES TABLE (conversations escalated to a health worker)
+-- ==============================================
+CREATE TABLE IF NOT EXISTS handoff_cases (
+  id BIGSERIAL PRIMARY KEY,
+  user_phone VARCHAR(20) NOT NULL,
+  status VARCHAR(20) DEFAULT 'waiting', -- 'waiting', 'claimed', 'closed'
+  reason VARCHAR(30), -- 'user_request', 'low_confidence'
+  query TEXT,
+  detected_language VARCHAR(10),
+  worker_id BIGINT REFERENCES health_workers(id),
+  claimed_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  close_notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Messages exchanged while a case is open
+CREATE TABLE IF NOT EXISTS handoff_messages (
+  id BIGSERIAL PRIMARY KEY,
+  case_id BIGINT NOT NULL REFERENCES handoff_cases(id) ON DELETE CASCADE,
+  sender VARCHAR(10) NOT NULL, -- 'patient', 'worker'
+  body TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for handoff tables
+CREATE INDEX IF NOT EXISTS idx_handoff_cases_user_phone ON handoff_cases(user_phone);
+CREATE INDEX IF NOT EXISTS idx_handoff_cases_status ON handoff_cases(status);
+CREATE INDEX IF NOT EXISTS idx_handoff_cases_worker ON handoff_cases(worker_id);
+CREATE INDEX IF NOT EXISTS idx_handoff_messages_case ON handoff_messages(case_id);
+
+-- ==============================================
+-- AI USAGE TABLE (tokens and cost of every AI provider call)
+-- ==============================================
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id BIGSERIAL PRIMARY KEY,
+  user_phone VARCHAR(20),
+  provider VARCHAR(30) NOT NULL, -- 'gemini', 'huggingface', 'openai', 'local_llm'
+  model VARCHAR(100),
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  estimated BOOLEAN DEFAULT FALSE, -- TRUE when the provider did not report token counts
+  cost_usd NUMERIC(12, 6) DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for ai_usage table
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_phone ON ai_usage(user_phone);
+
 -- ==============================================
 -- ROW LEVEL SECURITY POLICIES
 -- ==============================================
@@ -120,16 +270,24 @@ ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE message_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE analytics ENABLE ROW LEVEL SECURITY;
 ALTER TABLE health_queries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE emergency_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE opt_out_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE health_workers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE handoff_cases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE handoff_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
 
 -- Policies for users table
 CREATE POLICY IF NOT EXISTS "Enable read access for service" ON users FOR SELECT USING (true);
 CREATE POLICY IF NOT EXISTS "Enable insert for service" ON users FOR INSERT WITH CHECK (true);
 CREATE POLICY IF NOT EXISTS "Enable update for service" ON users FOR UPDATE USING (true);
+CREATE POLICY IF NOT EXISTS "Enable delete for service" ON users FOR DELETE USING (true);
 
 -- Policies for conversations table
 CREATE POLICY IF NOT EXISTS "Enable read access for service" ON conversations FOR SELECT USING (true);
 CREATE POLICY IF NOT EXISTS "Enable insert for service" ON conversations FOR INSERT WITH CHECK (true);
 CREATE POLICY IF NOT EXISTS "Enable update for service" ON conversations FOR UPDATE USING (true);
+CREATE POLICY IF NOT EXISTS "Enable delete for service" ON conversations FOR DELETE USING (true);
 
 -- Policies for message_logs table
 CREATE POLICY IF NOT EXISTS "Enable full access for service" ON message_logs FOR ALL USING (true);
@@ -143,6 +301,22 @@ CREATE POLICY IF NOT EXISTS "Enable update for service" ON analytics FOR UPDATE
 CREATE POLICY IF NOT EXISTS "Enable read access for service" ON health_queries FOR SELECT USING (true);
 CREATE POLICY IF NOT EXISTS "Enable insert for service" ON health_queries FOR INSERT WITH CHECK (true);
 CREATE POLICY IF NOT EXISTS "Enable update for service" ON health_queries FOR UPDATE USING (true);
+CREATE POLICY IF NOT EXISTS "Enable delete for service" ON health_queries FOR DELETE USING (true);
+
+-- Policies for emergency_events table
+CREATE POLICY IF NOT EXISTS "Enable full access for service" ON emergency_events FOR ALL USING (true);
+
+-- Policies for opt_out_events table (append-only audit trail)
+CREATE POLICY IF NOT EXISTS "Enable read access for service" ON opt_out_events FOR SELECT USING (true);
+CREATE POLICY IF NOT EXISTS "Enable insert for service" ON opt_out_events FOR INSERT WITH CHECK (true);
+
+-- Policies for handoff tables
+CREATE POLICY IF NOT EXISTS "Enable full access for service" ON health_workers FOR ALL USING (true);
+CREATE POLICY IF NOT EXISTS "Enable full access for service" ON handoff_cases FOR ALL USING (true);
+CREATE POLICY IF NOT EXISTS "Enable full access for service" ON handoff_messages FOR ALL USING (true);
+
+-- Policies for ai_usage table
+CREATE POLICY IF NOT EXISTS "Enable full access for service" ON ai_usage FOR ALL USING (true);
 
 -- ==============================================
 -- UTILITY FUNCTIONS
@@ -226,7 +400,7 @@ $$ LANGUAGE plpgsql;
 DO $$
 BEGIN
   RAISE NOTICE '✅ WhatsApp Health Assistant Database Schema Setup Complete!';
-  RAISE NOTICE '📊 Tables created: users, conversations, message_logs, analytics, health_queries';
+  RAISE NOTICE '📊 Tables created: users, conversations, message_logs, analytics, health_queries, emergency_events, opt_out_events, health_workers, handoff_cases, handoff_messages';
   RAISE NOTICE '🔒 Row Level Security enabled with appropriate policies';
   RAISE NOTICE '⚡ Utility functions created for analytics and user stats';
   RAISE NOTICE '🚀 Your chatbot database is ready to use!';
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Chat Simulator
+ * Talk to the assistant from a terminal through the same webhook pipeline a
+ * WhatsApp message takes (commands, triage, language detection, storage, AI,
+ * voice), with the sandbox transport standing in for Twilio and the SMS
+ * gateways. Each answer is followed by the AI provider, language, confidence
+ * and how long it took.
+ *
+ *   npm run chat -- --as +919876543210 [--verbose]
+ *
+ * Supabase and AI keys from .env are used as configured, so point .env at a
+ * development project before running this.
+ */
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pathToFileURL } = require('url');
+const winston = require('winston');
+
+// Nothing may reach a real provider, and the simulator keeps its own on-disk state so a running
+// server's queue, dedupe list, triage sessions and AI budget totals are never read or overwritten
+process.env.WHATSAPP_PROVIDER = 'sandbox';
+process.env.SANDBOX_OUTBOX_PATH = process.env.CHAT_OUTBOX_PATH || path.join(process.cwd(), 'logs', 'chat_outbox.json');
+process.env.OUTBOUND_QUEUE_PATH = path.join(process.cwd(), 'logs', 'chat_outbound_queue.json');
+process.env.WEBHOOK_DEDUPE_PATH = path.join(process.cwd(), 'logs', 'chat_processed_messages.json');
+process.env.TRIAGE_SESSION_PATH = path.join(process.cwd(), 'logs', 'chat_triage_sessions.json');
+process.env.AI_USAGE_STORE_PATH = path.join(process.cwd(), 'logs', 'chat_ai_usage.json');
+
+// Command line: --as <number>, --verbose
+const parseArgs = (argv) => {
+  const args = { as: '+919999900001', verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--as' && argv[i + 1]) {
+      args.as = argv[++i];
+    } else if (argv[i] === '--verbose' || argv[i] === '-v') {
+      args.verbose = true;
+    }
+  }
+
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+
+// Logs still go to logs/app.log; the terminal is for the conversation
+const logger = require('../src/utils/logger');
+if (!args.verbose) {
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => { transport.silent = true; });
+}
+
+const sandboxService = require('../src/services/sandboxService');
+const voiceService = require('../src/services/voiceService');
+const aiService = require('../src/services/aiService');
+const languageService = require('../src/services/languageService');
+const whatsappController = require('../src/controllers/whatsappController');
+
+// /voice sends local files as file:// media URLs, which the server itself refuses
+voiceService.allowFileUrls = true;
+
+const AUDIO_TYPES = { '.ogg': 'audio/ogg', '.opus': 'audio/ogg', '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.m4a': 'audio/mp4', '.amr': 'audio/amr' };
+
+const HELP = `Type a message to send it as the current user. Chat commands (HELP, LANG HI, STOP...) go to the bot.
+
+  /as <number>     switch to another user, e.g. /as +919812345678
+  /voice <file>    send a local audio file as a voice note
+  /tap <ID>        tap a button by its ID, e.g. /tap EMERGENCY_YES
+  /whoami          show the current user
+  /help            show this help
+  /quit            exit`;
+
+// Twilio-style sender address, as webhook messages arrive
+const toSender = (number) => (number.startsWith('whatsapp:') ? number : `whatsapp:${number}`);
+
+// Record what the AI and language detection did for the message being handled
+const instrument = () => {
+  const turn = { ai: null, aiMs: null, language: null };
+
+  const processHealthQuery = aiService.processHealthQuery.bind(aiService);
+  aiService.processHealthQuery = async (request) => {
+    const startedAt = Date.now();
+    const result = await processHealthQuery(request);
+    turn.ai = result;
+    turn.aiMs = Date.now() - startedAt;
+    return result;
+  };
+
+  const detectLanguage = languageService.detectLanguage.bind(languageService);
+  languageService.detectLanguage = async (text) => {
+    turn.language = await detectLanguage(text);
+    return turn.language;
+  };
+
+  return turn;
+};
+
+// Print the bot's messages, marking any that went to someone else (emergency contacts, workers)
+const printReplies = (replies, sender) => {
+  if (replies.length === 0) {
+    console.log('  (no reply)');
+  }
+
+  for (const reply of replies) {
+    const recipient = reply.to === sender ? '' : ` → ${reply.to}`;
+    const label = {
+      text: 'bot',
+      interactive: `bot [${reply.richMessage?.menuId || 'menu'}]`,
+      template: `bot [template ${reply.template?.name}]`,
+      audio: 'bot [voice]',
+      sms: `sms via ${reply.gateway}`
+    }[reply.type] || reply.type;
+
+    const body = reply.type === 'audio' ? reply.mediaUrl : reply.body;
+    console.log(`\n${label}${recipient}:\n${body.replace(/^/gm, '  ')}`);
+  }
+};
+
+const printStats = (turn, totalMs) => {
+  const parts = [`${totalMs} ms`];
+
+  if (turn.ai) {
+    parts.push(turn.ai.provider, turn.ai.language, `confidence ${Number(turn.ai.confidence).toFixed(2)}`, `AI ${turn.aiMs} ms`);
+  } else {
+    parts.push(...(turn.language ? [turn.language] : []), 'no AI call');
+  }
+
+  console.log(`\n  ⏱  ${parts.join(' · ')}\n`);
+};
+
+// Send one message through the webhook pipeline and show what came back
+const send = async (sender, message, turn) => {
+  Object.assign(turn, { ai: null, aiMs: null, language: null });
+  const lastEntryId = sandboxService.getLastEntryId();
+  const startedAt = Date.now();
+
+  await whatsappController.processWebhook({
+    provider: 'sandbox',
+    statuses: [],
+    messages: [{
+      phoneNumber: sender,
+      messageBody: message.body || '',
+      mediaUrl: message.mediaUrl || null,
+      mediaType: message.mediaType || null,
+      mediaId: null,
+      messageSid: `CLI${crypto.randomBytes(12).toString('hex')}`,
+      buttonPayload: message.buttonPayload || null,
+      profileName: null,
+      provider: 'sandbox'
+    }]
+  });
+
+  printReplies(sandboxService.getEntriesAfter(lastEntryId), sender);
+  printStats(turn, Date.now() - startedAt);
+};
+
+const main = async () => {
+  let sender = toSender(args.as);
+
+  const turn = instrument();
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const setPrompt = () => rl.setPrompt(`${sender.replace(/^whatsapp:/, '')}> `);
+
+  console.log(`🩺 Health assistant chat simulator - /help for commands\n`);
+  setPrompt();
+  rl.prompt();
+
+  for await (const line of rl) {
+    const input = line.trim();
+    const [command, ...rest] = input.split(/\s+/);
+    const argument = rest.join(' ');
+
+    try {
+      if (!input) {
+        // Nothing to send
+      } else if (command === '/quit' || command === '/exit') {
+        break;
+      } else if (command === '/help') {
+        console.log(HELP);
+      } else if (command === '/whoami') {
+        console.log(sender);
+      } else if (command === '/as') {
+        if (!argument) {
+          console.log('Usage: /as <number>');
+        } else {
+          sender = toSender(argument);
+          setPrompt();
+          console.log(`Now chatting as ${sender}`);
+        }
+      } else if (command === '/voice') {
+        const filePath = path.resolve(argument);
+        const mediaType = AUDIO_TYPES[path.extname(filePath).toLowerCase()];
+        if (!argument || !mediaType) {
+          console.log(`Usage: /voice <file> (${Object.keys(AUDIO_TYPES).join(', ')})`);
+        } else if (!fs.existsSync(filePath)) {
+          console.log(`No such file: ${filePath}`);
+        } else {
+          await send(sender, { mediaUrl: pathToFileURL(filePath).href, mediaType }, turn);
+        }
+      } else if (command === '/tap') {
+        if (!argument) {
+          console.log('Usage: /tap <BUTTON_ID>');
+        } else {
+          await send(sender, { body: argument, buttonPayload: argument }, turn);
+        }
+      } else if (command.startsWith('/')) {
+        console.log(`Unknown command ${command} - /help for commands`);
+      } else {
+        await send(sender, { body: input }, turn);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    }
+
+    rl.prompt();
+  }
+
+  rl.close();
+  process.exit(0);
+};
+
+main();
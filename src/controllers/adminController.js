@@ -0,0 +1,685 @@
+const logger = require('../utils/logger');
+const outboundQueueService = require('../services/outboundQueueService');
+const supabaseService = require('../services/supabaseService');
+const idempotencyService = require('../services/idempotencyService');
+const triageService = require('../services/triageService');
+const optOutService = require('../services/optOutService');
+const handoffService = require('../services/handoffService');
+const aiService = require('../services/aiService');
+const answerCacheService = require('../services/answerCacheService');
+const providerConfigService = require('../services/providerConfigService');
+const promptTemplateService = require('../services/promptTemplateService');
+const usageService = require('../services/usageService');
+const InputValidator = require('../utils/inputValidator');
+const { getSignatureMetrics } = require('../middleware/webhookSignature');
+
+class AdminController {
+
+  // Get outbound queue status with pending and dead-lettered messages
+  async getQueue(req, res) {
+    try {
+      res.json({
+        success: true,
+        status: outboundQueueService.getStatus(),
+        pending: outboundQueueService.getPending(),
+        deadLetter: outboundQueueService.getDeadLetter(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting outbound queue:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve outbound queue'
+      });
+    }
+  }
+
+  // List dead-lettered messages
+  async getDeadLetter(req, res) {
+    try {
+      const deadLetter = outboundQueueService.getDeadLetter();
+
+      res.json({
+        success: true,
+        count: deadLetter.length,
+        messages: deadLetter,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting dead-letter list:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve dead-letter messages'
+      });
+    }
+  }
+
+  // Re-drive one dead-lettered message (and the other parts of it)
+  async redriveDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+      const requeued = outboundQueueService.redrive(id);
+
+      if (requeued.length === 0) {
+        return res.status(404).json({
+          error: 'Message not found',
+          message: 'No dead-lettered message with that ID'
+        });
+      }
+
+      logger.info(`🔁 Admin re-drove dead-lettered message ${id}`);
+      res.json({
+        success: true,
+        requeued: requeued.map(job => job.id),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error re-driving dead-letter message:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to re-drive message'
+      });
+    }
+  }
+
+  // Re-drive every dead-lettered message
+  async redriveAllDeadLetter(req, res) {
+    try {
+      const requeued = outboundQueueService.redriveAll();
+
+      logger.info(`🔁 Admin re-drove ${requeued.length} dead-lettered message(s)`);
+      res.json({
+        success: true,
+        requeued: requeued.map(job => job.id),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error re-driving dead-letter messages:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to re-drive messages'
+      });
+    }
+  }
+
+  // Discard a dead-lettered message
+  async discardDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!outboundQueueService.discard(id)) {
+        return res.status(404).json({
+          error: 'Message not found',
+          message: 'No dead-lettered message with that ID'
+        });
+      }
+
+      logger.info(`🗑️ Admin discarded dead-lettered message ${id}`);
+      res.json({
+        success: true,
+        discarded: id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error discarding dead-letter message:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to discard message'
+      });
+    }
+  }
+
+  // Webhook signature verification and duplicate delivery metrics
+  async getWebhookSecurity(req, res) {
+    try {
+      res.json({
+        success: true,
+        signatures: getSignatureMetrics(),
+        deduplication: idempotencyService.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting webhook security metrics:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve webhook security metrics'
+      });
+    }
+  }
+
+  // Delivery rates (sent/delivered/read/failed) per day and per provider
+  async getDeliveryReport(req, res) {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 7, 90);
+
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Delivery reports require Supabase'
+        });
+      }
+
+      const report = await supabaseService.getDeliveryReport(days);
+      if (!report) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to build delivery report'
+        });
+      }
+
+      res.json({
+        success: true,
+        report,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting delivery report:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to build delivery report'
+      });
+    }
+  }
+
+  // Recent emergency events for the dashboard
+  async getEmergencies(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const unacknowledgedOnly = req.query.unacknowledged === 'true';
+
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Emergency events require Supabase'
+        });
+      }
+
+      const events = await supabaseService.getEmergencyEvents({ limit, unacknowledgedOnly });
+      if (!events) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to retrieve emergency events'
+        });
+      }
+
+      res.json({
+        success: true,
+        count: events.length,
+        events,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting emergency events:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve emergency events'
+      });
+    }
+  }
+
+  // Mark an emergency event as handled
+  async acknowledgeEmergency(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Emergency events require Supabase'
+        });
+      }
+
+      const event = await supabaseService.acknowledgeEmergencyEvent(id, req.body?.acknowledgedBy || null);
+      if (!event) {
+        return res.status(404).json({
+          error: 'Event not found',
+          message: 'No emergency event with that ID'
+        });
+      }
+
+      logger.info(`✅ Admin acknowledged emergency event ${id}`);
+      res.json({
+        success: true,
+        event,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error acknowledging emergency event:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to acknowledge emergency event'
+      });
+    }
+  }
+
+  // Numbers that have opted out, with the recent STOP / START audit trail
+  async getOptOuts(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      const report = await optOutService.getReport({ limit });
+      if (!report) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to retrieve opt-out report'
+        });
+      }
+
+      res.json({
+        success: true,
+        source: report.source,
+        count: report.optedOut.length,
+        optedOut: report.optedOut,
+        events: report.events,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting opt-out report:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve opt-out report'
+      });
+    }
+  }
+
+  // Register a health worker; the response holds their agent API key, shown only once
+  async registerHealthWorker(req, res) {
+    try {
+      const name = (req.body?.name || '').trim();
+      const phoneNumber = req.body?.phoneNumber || null;
+
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Health workers require Supabase'
+        });
+      }
+
+      if (!name) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'name is required'
+        });
+      }
+
+      if (phoneNumber && !InputValidator.normalizeContactNumber(phoneNumber)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'phoneNumber is not a valid mobile number'
+        });
+      }
+
+      const registered = await handoffService.registerWorker({ name, phoneNumber });
+      if (!registered) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to register health worker'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        worker: registered.worker,
+        apiKey: registered.apiKey,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error registering health worker:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to register health worker'
+      });
+    }
+  }
+
+  // List registered health workers
+  async getHealthWorkers(req, res) {
+    try {
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Health workers require Supabase'
+        });
+      }
+
+      const workers = await supabaseService.getHealthWorkers();
+      if (!workers) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to retrieve health workers'
+        });
+      }
+
+      res.json({
+        success: true,
+        count: workers.length,
+        workers,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting health workers:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve health workers'
+      });
+    }
+  }
+
+  // Revoke a health worker's access to the agent API
+  async deactivateHealthWorker(req, res) {
+    try {
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Health workers require Supabase'
+        });
+      }
+
+      const worker = await supabaseService.setHealthWorkerActive(req.params.id, false);
+      if (!worker) {
+        return res.status(404).json({
+          error: 'Worker not found',
+          message: 'No health worker with that ID'
+        });
+      }
+
+      logger.info(`👩‍⚕️ Admin deactivated health worker #${worker.id}`);
+      res.json({
+        success: true,
+        worker,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error deactivating health worker:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to deactivate health worker'
+      });
+    }
+  }
+
+  // Handoff cases across all workers (?status=waiting|claimed|closed)
+  async getHandoffs(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+      if (!supabaseService.isAvailable()) {
+        return res.status(503).json({
+          error: 'Database not configured',
+          message: 'Handoff cases require Supabase'
+        });
+      }
+
+      const cases = await supabaseService.getHandoffCases({ status: req.query.status || null, limit });
+      if (!cases) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to retrieve handoff cases'
+        });
+      }
+
+      res.json({
+        success: true,
+        count: cases.length,
+        cases,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting handoff cases:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve handoff cases'
+      });
+    }
+  }
+
+  // AI provider health: circuit breaker state, failure rate and latency per provider
+  async getAiProviders(req, res) {
+    try {
+      res.json({
+        success: true,
+        providers: aiService.getProviderStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting AI provider status:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve AI provider status'
+      });
+    }
+  }
+
+  // Close a provider's circuit so it is tried again straight away
+  async resetAiProvider(req, res) {
+    try {
+      const provider = aiService.resetProvider(req.params.name);
+      if (!provider) {
+        return res.status(404).json({
+          error: 'Provider not found',
+          message: `No AI provider named ${req.params.name}`
+        });
+      }
+
+      res.json({
+        success: true,
+        provider,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error resetting AI provider:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to reset AI provider'
+      });
+    }
+  }
+
+  // Active AI provider order, models and routing rules
+  async getAiConfig(req, res) {
+    try {
+      res.json({
+        success: true,
+        config: providerConfigService.getConfigInfo(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting AI provider config:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve AI provider config'
+      });
+    }
+  }
+
+  // Reload the AI provider config file after editing it
+  async reloadAiConfig(req, res) {
+    try {
+      const config = aiService.reloadConfig();
+
+      logger.info(`🧭 Admin reloaded AI provider config (v${config.version})`);
+      res.json({
+        success: true,
+        config,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error reloading AI provider config:', error);
+      res.status(400).json({
+        error: 'Invalid AI provider config',
+        message: error.message
+      });
+    }
+  }
+
+  // Prompt templates with their versions and full text, for review
+  async getPromptTemplates(req, res) {
+    try {
+      res.json({
+        success: true,
+        prompts: promptTemplateService.getTemplatesInfo(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting prompt templates:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve prompt templates'
+      });
+    }
+  }
+
+  // Reload prompt templates from disk after editing the templates file
+  async reloadPromptTemplates(req, res) {
+    try {
+      const prompts = promptTemplateService.reload();
+
+      logger.info(`📝 Admin reloaded prompt templates (v${prompts.version})`);
+      res.json({
+        success: true,
+        prompts,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error reloading prompt templates:', error);
+      res.status(400).json({
+        error: 'Invalid prompt templates',
+        message: error.message
+      });
+    }
+  }
+
+  // AI token usage and spend: today's totals against the budgets, plus the stored history
+  async getAiUsage(req, res) {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 7, 90);
+
+      // The budget state is tracked locally; the per-day history needs Supabase
+      let report = null;
+      if (supabaseService.isAvailable()) {
+        report = await supabaseService.getAiUsageReport(days);
+        if (!report) {
+          return res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to build AI usage report'
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        today: usageService.getBudgetStatus(),
+        report,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting AI usage:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to build AI usage report'
+      });
+    }
+  }
+
+  // Answer cache hit rate and most reused answers
+  async getAnswerCache(req, res) {
+    try {
+      res.json({
+        success: true,
+        cache: answerCacheService.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting answer cache stats:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve answer cache stats'
+      });
+    }
+  }
+
+  // Drop all cached answers (e.g. after changing prompts or medical guidance)
+  async clearAnswerCache(req, res) {
+    try {
+      const removed = answerCacheService.clear();
+
+      logger.info(`💾 Admin cleared the answer cache (${removed} entries)`);
+      res.json({
+        success: true,
+        removed,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error clearing answer cache:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to clear answer cache'
+      });
+    }
+  }
+
+  // Active triage rule set
+  async getTriageRules(req, res) {
+    try {
+      res.json({
+        success: true,
+        rules: triageService.getRulesInfo(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting triage rules:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to retrieve triage rules'
+      });
+    }
+  }
+
+  // Reload triage rules from disk after editing the rules file
+  async reloadTriageRules(req, res) {
+    try {
+      const rules = triageService.reload();
+
+      logger.info(`🩺 Admin reloaded triage rules (v${rules.version})`);
+      res.json({
+        success: true,
+        rules,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error reloading triage rules:', error);
+      res.status(400).json({
+        error: 'Invalid triage rules',
+        message: error.message
+      });
+    }
+  }
+
+  // Try the triage rules against a sample message
+  async assessTriage(req, res) {
+    try {
+      const { text } = req.body || {};
+
+      if (!text || typeof text !== 'string') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'text is required'
+        });
+      }
+
+      res.json({
+        success: true,
+        assessment: triageService.assess(text),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error assessing triage sample:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to assess message'
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const handoffService = require('../services/handoffService');
+
+// Handoff errors carry the HTTP status to return; anything else is a 500
+const ERROR_LABELS = { 400: 'Invalid request', 403: 'Forbidden', 404: 'Case not found', 409: 'Conflict' };
+
+const sendError = (res, error, message) => {
+  if (ERROR_LABELS[error.statusCode]) {
+    return res.status(error.statusCode).json({
+      error: ERROR_LABELS[error.statusCode],
+      message: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message
+  });
+};
+
+/**
+ * Agent Controller
+ * REST API used by health workers to work the handoff queue. The calling
+ * worker is set on req.healthWorker by the agentAuth middleware.
+ */
+class AgentController {
+
+  // The authenticated worker
+  async getProfile(req, res) {
+    res.json({
+      success: true,
+      worker: req.healthWorker,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Waiting queue (default), or ?scope=mine / ?scope=closed for the worker's own cases
+  async listCases(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const cases = await handoffService.listCases(req.healthWorker, { scope: req.query.scope || 'waiting', limit });
+
+      if (!cases) {
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Unable to retrieve cases'
+        });
+      }
+
+      res.json({
+        success: true,
+        count: cases.length,
+        cases,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Unable to retrieve cases');
+    }
+  }
+
+  // One case with its message transcript (waiting, or held by this worker)
+  async getCase(req, res) {
+    try {
+      const { case: handoffCase, messages } = await handoffService.getCase(req.params.id, req.healthWorker);
+
+      res.json({
+        success: true,
+        case: handoffCase,
+        messages,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Unable to retrieve case');
+    }
+  }
+
+  // Claim a waiting case
+  async claimCase(req, res) {
+    try {
+      const handoffCase = await handoffService.claimCase(req.params.id, req.healthWorker);
+
+      res.json({
+        success: true,
+        case: handoffCase,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Unable to claim case');
+    }
+  }
+
+  // Send a reply to the patient
+  async sendMessage(req, res) {
+    try {
+      const message = (req.body?.message || '').trim();
+      if (!message) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'message is required'
+        });
+      }
+
+      const sent = await handoffService.sendWorkerMessage(req.params.id, req.healthWorker, message);
+
+      res.status(201).json({
+        success: true,
+        message: sent,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Unable to send message');
+    }
+  }
+
+  // Return a claimed case to the queue
+  async releaseCase(req, res) {
+    try {
+      const handoffCase = await handoffService.releaseCase(req.params.id, req.healthWorker);
+
+      res.json({
+        success: true,
+        case: handoffCase,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Unable to release case');
+    }
+  }
+
+  // Close a case; the bot answers the patient again
+  async closeCase(req, res) {
+    try {
+      const handoffCase = await handoffService.closeCase(req.params.id, req.healthWorker, req.body?.notes || null);
+
+      res.json({
+        success: true,
+        case: handoffCase,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Unable to close case');
+    }
+  }
+}
+
+module.exports = new AgentController();
@@ -2,6 +2,7 @@ const logger = require('../utils/logger');
 const supabaseService = require('../services/supabaseService');
 const knowledgeBaseService = require('../services/knowledgeBaseService');
 const aiService = require('../services/aiService');
+const AnswerFormatter = require('../utils/answerFormatter');
 
 class HealthController {
   
@@ -95,6 +96,10 @@ class HealthController {
         success: true,
         query,
         response: aiResponse.message,
+        // The same answer as plain text plus its fields, when the provider answered in the structured format
+        structured: aiResponse.structured
+          ? { ...aiResponse.structured, text: AnswerFormatter.format(aiResponse.structured, { channel: 'text', language: aiResponse.language }) }
+          : null,
         language: aiResponse.language,
         provider: aiResponse.provider,
         confidence: aiResponse.confidence,
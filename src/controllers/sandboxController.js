@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const sandboxService = require('../services/sandboxService');
+const whatsappController = require('./whatsappController');
+const WebhookParser = require('../utils/webhookParser');
+
+/**
+ * Sandbox Controller
+ * Development endpoints for the sandbox transport: read what the bot sent,
+ * and play the user's side of the conversation without a WhatsApp provider.
+ */
+class SandboxController {
+
+  // Recorded outbound messages (?to=, ?since=ISO timestamp, ?limit=)
+  async getOutbox(req, res) {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const messages = sandboxService.getOutbox({
+      to: req.query.to || null,
+      since: req.query.since || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      messages,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Empty the outbox, or just one number's messages (?to=)
+  async clearOutbox(req, res) {
+    const removed = sandboxService.clearOutbox(req.query.to || null);
+
+    res.json({
+      success: true,
+      removed,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Run an inbound message through the full webhook pipeline and return the replies.
+  // Accepts { from, body, buttonPayload, mediaUrl, mediaType } or a raw Twilio / Cloud API payload.
+  async injectInbound(req, res) {
+    try {
+      const input = req.body || {};
+      const isRawPayload = !!input.From || WebhookParser.isCloudApiPayload(input);
+
+      if (!isRawPayload && (!input.from || !(input.body || input.buttonPayload || input.mediaUrl))) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'from and one of body, buttonPayload or mediaUrl are required'
+        });
+      }
+
+      // Simple messages arrive as a Twilio form post would, from a whatsapp: number
+      const payload = isRawPayload ? input : {
+        From: input.from.startsWith('whatsapp:') ? input.from : `whatsapp:${input.from}`,
+        Body: input.body || '',
+        ButtonPayload: input.buttonPayload,
+        ButtonText: input.buttonText,
+        MediaUrl0: input.mediaUrl,
+        MediaContentType0: input.mediaType || (input.mediaUrl ? 'audio/ogg' : undefined),
+        MessageSid: `SBIN${crypto.randomBytes(12).toString('hex')}`
+      };
+
+      const webhook = WebhookParser.parse(payload);
+      const lastEntryId = sandboxService.getLastEntryId();
+
+      await whatsappController.processWebhook(webhook);
+
+      res.json({
+        success: true,
+        messageSids: webhook.messages.map(message => message.messageSid),
+        replies: sandboxService.getEntriesAfter(lastEntryId),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error injecting sandbox message:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Unable to process sandbox message'
+      });
+    }
+  }
+}
+
+module.exports = new SandboxController();
@@ -5,6 +5,20 @@ const languageService = require('../services/languageService');
 const aiService = require('../services/aiService');
 const voiceService = require('../services/voiceService');
 const supabaseService = require('../services/supabaseService');
+const whatsappCloudService = require('../services/whatsappCloudService');
+const idempotencyService = require('../services/idempotencyService');
+const quickReplyService = require('../services/quickReplyService');
+const emergencyService = require('../services/emergencyService');
+const triageService = require('../services/triageService');
+const emergencyContactService = require('../services/emergencyContactService');
+const commandService = require('../services/commandService');
+const triageSessionService = require('../services/triageSessionService');
+const optOutService = require('../services/optOutService');
+const handoffService = require('../services/handoffService');
+const WebhookParser = require('../utils/webhookParser');
+const CommandParser = require('../utils/commandParser');
+const StructuredAnswer = require('../utils/structuredAnswer');
+const AnswerFormatter = require('../utils/answerFormatter');
 
 class WhatsAppController {
   
@@ -37,27 +51,13 @@ class WhatsAppController {
         return res.status(400).json({ error: 'Invalid message format', details: errors.array() });
       }
 
-      const {
-        From: phoneNumber,
-        Body: messageBody,
-        MediaUrl0: mediaUrl,
-        MediaContentType0: mediaType,
-        MessageSid: messageSid
-      } = req.body;
-
-      logger.info(`📱 Incoming message from ${phoneNumber}: ${messageBody || 'Voice/Media message'}`);
+      // Normalize Twilio form posts and Cloud API JSON into the same message shape
+      const webhook = WebhookParser.parse(req.body);
 
       // Acknowledge receipt immediately
       res.status(200).send('OK');
 
-      // Process message asynchronously
-      await this.processMessage({
-        phoneNumber,
-        messageBody,
-        mediaUrl,
-        mediaType,
-        messageSid
-      });
+      await this.processWebhook(webhook);
 
     } catch (error) {
       logger.error('Error handling incoming message:', error);
@@ -67,19 +67,71 @@ class WhatsAppController {
     }
   }
 
+  // Record status updates and answer each new message in a parsed webhook
+  async processWebhook({ provider, messages, statuses }) {
+    // Cloud API delivers status updates on the same webhook as messages
+    for (const status of statuses) {
+      await this.recordStatusUpdate(status);
+    }
+
+    // Process messages asynchronously
+    for (const message of messages) {
+      // Provider retries reuse the same MessageSid - answer each message only once
+      if (!idempotencyService.claim(message.messageSid)) {
+        continue;
+      }
+
+      logger.info(`📱 Incoming ${provider} message from ${message.phoneNumber}: ${message.messageBody || 'Voice/Media message'}`);
+
+      await supabaseService.logMessage(
+        message.phoneNumber,
+        message.mediaUrl || message.mediaId ? 'voice' : 'incoming',
+        message.messageBody || message.mediaUrl || message.mediaId || '',
+        {
+          media_type: message.mediaType || null,
+          button_payload: message.buttonPayload || null
+        },
+        {
+          messageSid: message.messageSid,
+          provider: message.provider,
+          direction: 'inbound',
+          status: 'received'
+        }
+      );
+
+      await this.processMessage(message);
+    }
+  }
+
   // Process WhatsApp message (text or voice)
-  async processMessage({ phoneNumber, messageBody, mediaUrl, mediaType, messageSid }) {
+  async processMessage({ phoneNumber, messageBody, mediaUrl, mediaType, mediaId, messageSid, buttonPayload }) {
     try {
       let userQuery = messageBody;
       let isVoiceMessage = false;
 
+      // Opted-out users get no replies at all until they send START
+      const user = await supabaseService.getUser(phoneNumber);
+      if (CommandParser.parse(messageBody)?.name !== 'START' && await optOutService.isOptedOut(phoneNumber)) {
+        logger.info(`🔕 Ignoring message from opted-out user ${phoneNumber}`);
+        return;
+      }
+
       // Handle voice messages
-      if (mediaUrl && mediaType && mediaType.includes('audio')) {
+      if ((mediaUrl || mediaId) && mediaType && mediaType.includes('audio')) {
         logger.info(`🎤 Processing voice message from ${phoneNumber}`);
         isVoiceMessage = true;
         
         try {
-          userQuery = await voiceService.convertSpeechToText(mediaUrl);
+          let requestHeaders = {};
+
+          // Cloud API only sends a media ID; resolve it to an authenticated download URL
+          if (!mediaUrl && mediaId) {
+            const media = await whatsappCloudService.getMediaUrl(mediaId);
+            mediaUrl = media.url;
+            requestHeaders = whatsappCloudService.getAuthHeaders();
+          }
+
+          userQuery = await voiceService.convertSpeechToText(mediaUrl, 'auto', requestHeaders);
           logger.info(`🔄 Voice converted to text: ${userQuery}`);
         } catch (voiceError) {
           logger.error('Voice conversion failed:', voiceError);
@@ -101,31 +153,129 @@ class WhatsAppController {
         return;
       }
 
-      // Detect language
-      const detectedLanguage = await languageService.detectLanguage(userQuery);
+      // Commands (HELP, LANG HI, HISTORY, STOP...) act on account state instead of going to the AI
+      const command = CommandParser.parse(userQuery);
+      if (command) {
+        await commandService.execute(phoneNumber, command, user);
+        return;
+      }
+
+      // While a health worker holds the case, messages go to them instead of the AI
+      const handoffCase = await handoffService.relayPatientMessage(phoneNumber, userQuery);
+      if (handoffCase?.status === 'claimed') {
+        const triage = triageService.assess(userQuery);
+        if (triage.isEmergency) {
+          await emergencyService.handleEmergency({
+            phoneNumber,
+            query: userQuery,
+            language: handoffCase.detected_language || 'en',
+            source: 'triage',
+            triage
+          });
+        }
+        return;
+      }
+
+      // Answers to guided triage follow-up questions (typed, tapped or spoken)
+      const session = await triageSessionService.handleMessage(phoneNumber, userQuery, { buttonPayload, isVoice: isVoiceMessage });
+      if (session?.pending) {
+        return;
+      }
+
+      if (!session) {
+        // Button taps and numbered menu answers map to actions instead of AI queries
+        const quickReply = quickReplyService.resolveReply(phoneNumber, userQuery, buttonPayload);
+        if (quickReply) {
+          await this.handleQuickReplyAction(phoneNumber, userQuery, quickReply);
+          return;
+        }
+
+        // Emergency contact setup steps, and contacts confirming they accept
+        if (await emergencyContactService.handleMessage(phoneNumber, userQuery)) {
+          return;
+        }
+      }
+
+      // Detect language, unless the user picked one with LANG; a session keeps the language it started in
+      const detectedLanguage = session?.language || (user?.language_set_by_user
+        ? user.preferred_language
+        : await languageService.detectLanguage(userQuery));
       logger.info(`🌐 Detected language: ${detectedLanguage} for query: ${userQuery}`);
 
+      // Red-flag triage (over the whole session when follow-up questions were asked)
+      const triage = session ? session.triage : triageService.assess(userQuery);
+      if (triage.matches.length > 0) {
+        logger.info(`🩺 Triage ${triage.severity} for ${phoneNumber}: ${triage.matches.map(match => match.id).join(', ')}`);
+      }
+
+      // Short-circuit emergencies before the AI
+      if (triage.isEmergency) {
+        await supabaseService.storeHealthQuery(phoneNumber, triage, session?.answers);
+        await emergencyService.handleEmergency({
+          phoneNumber,
+          query: session ? session.reportedText : userQuery,
+          language: detectedLanguage,
+          source: 'triage',
+          triage
+        });
+        return;
+      }
+
+      // "Talk to a doctor / ASHA" goes to the handoff queue
+      if (!session && handoffService.isHandoffRequest(userQuery)) {
+        await handoffService.requestHandoff(phoneNumber, { reason: 'user_request', query: userQuery, language: detectedLanguage });
+        return;
+      }
+
+      // Symptom reports get follow-up questions first; the health query is stored when they finish
+      if (!session && await triageSessionService.start(phoneNumber, userQuery, detectedLanguage, triage, { isVoice: isVoiceMessage })) {
+        return;
+      }
+
+      // The conversation records what the user asked; the AI also sees the follow-up answers
+      const storedQuery = session ? session.originalQuery : userQuery;
+
       // Get user context from Supabase
       const userContext = await supabaseService.getUserContext(phoneNumber);
       
       // Store current query
-      await supabaseService.storeUserQuery(phoneNumber, userQuery, detectedLanguage);
+      await supabaseService.storeUserQuery(
+        phoneNumber,
+        storedQuery,
+        detectedLanguage,
+        session ? { triage_follow_up: session.answers } : {}
+      );
 
       // Process health query with AI
       const aiResponse = await aiService.processHealthQuery({
-        query: userQuery,
+        query: session ? session.query : userQuery,
         language: detectedLanguage,
         context: userContext,
         phoneNumber
       });
 
       // Store AI response
-      await supabaseService.storeAiResponse(phoneNumber, userQuery, aiResponse.message, aiResponse.provider);
+      await supabaseService.storeAiResponse(
+        phoneNumber,
+        storedQuery,
+        aiResponse.message,
+        aiResponse.provider,
+        aiResponse.confidence,
+        { passageIds: aiResponse.passageIds || null, promptTemplate: aiResponse.promptTemplate || null }
+      );
 
-      // Handle voice response if original was voice message
-      if (isVoiceMessage && aiResponse.message) {
+      // Triage findings and the structured answer's fields go to health_queries
+      if (triage.matches.length > 0 || aiResponse.structured) {
+        await supabaseService.storeHealthQuery(phoneNumber, triage, session?.answers, aiResponse.structured);
+      }
+
+      // Reply by voice if this message, or the one that started the session, was a voice note
+      if ((isVoiceMessage || session?.startedByVoice) && aiResponse.message) {
         try {
-          const voiceUrl = await voiceService.convertTextToSpeech(aiResponse.message, detectedLanguage);
+          const spokenText = aiResponse.structured
+            ? AnswerFormatter.format(aiResponse.structured, { channel: 'voice', language: detectedLanguage })
+            : aiResponse.message;
+          const voiceUrl = await voiceService.convertTextToSpeech(spokenText, detectedLanguage);
           await messageService.sendWhatsAppVoiceMessage(phoneNumber, voiceUrl);
           logger.info(`🔊 Voice response sent to ${phoneNumber}`);
         } catch (voiceError) {
@@ -137,6 +287,19 @@ class WhatsAppController {
         await messageService.sendWhatsAppMessage(phoneNumber, aiResponse.message);
       }
 
+      // Let users flag urgent-sounding symptoms with one tap, whether the triage rules or the answer rated them serious
+      if (triage.severity === 'high' || StructuredAnswer.isAtLeast(aiResponse.structured?.severity, 'high')) {
+        await messageService.sendInteractiveMessage(
+          phoneNumber,
+          quickReplyService.buildMenu('urgency_check', detectedLanguage)
+        );
+      }
+
+      // Unsure answers are queued for a health worker to follow up
+      if (handoffService.needsReview(aiResponse)) {
+        await handoffService.requestHandoff(phoneNumber, { reason: 'low_confidence', query: storedQuery, language: detectedLanguage });
+      }
+
       logger.info(`✅ Message processed successfully for ${phoneNumber}`);
 
     } catch (error) {
@@ -148,15 +311,66 @@ class WhatsAppController {
     }
   }
 
+  // Act on a quick-reply button or numbered menu answer
+  async handleQuickReplyAction(phoneNumber, replyText, { action, ref, language }) {
+    const replyLanguage = language || await languageService.detectLanguage(replyText);
+    logger.info(`🔘 Quick reply action ${action} from ${phoneNumber}`);
+
+    switch (action) {
+      case 'EMERGENCY_YES': {
+        // The button tap itself says little; report the symptoms that triggered the menu
+        const [lastConversation] = await supabaseService.getUserHistory(phoneNumber, 1);
+        await emergencyService.handleEmergency({
+          phoneNumber,
+          query: lastConversation?.query || replyText,
+          language: replyLanguage,
+          source: 'quick_reply'
+        });
+        break;
+      }
+
+      case 'EMERGENCY_NO':
+        await messageService.sendWhatsAppMessage(phoneNumber, languageService.getQuickReplyMessage(action, replyLanguage));
+        break;
+
+      case 'TALK_TO_HEALTH_WORKER': {
+        const [lastConversation] = await supabaseService.getUserHistory(phoneNumber, 1);
+        await handoffService.requestHandoff(phoneNumber, {
+          reason: 'user_request',
+          query: lastConversation?.query || replyText,
+          language: replyLanguage
+        });
+        break;
+      }
+
+      case 'CONTACT_CHANGE':
+      case 'CONTACT_REMOVE':
+      case 'CONTACT_KEEP':
+      case 'CONTACT_CONSENT_YES':
+      case 'CONTACT_CONSENT_NO':
+      case 'CONTACT_ACCEPT':
+      case 'CONTACT_DECLINE':
+        await emergencyContactService.handleAction(phoneNumber, action, replyLanguage, ref);
+        break;
+
+      case 'DELETE_DATA_YES':
+      case 'DELETE_DATA_NO':
+        await commandService.handleAction(phoneNumber, action, replyLanguage);
+        break;
+
+      default:
+        logger.warn(`No handler for quick reply action: ${action}`);
+    }
+  }
+
   // Handle message status callbacks
   async handleStatusCallback(req, res) {
     try {
-      const { MessageStatus, MessageSid, To } = req.body;
+      const { statuses } = WebhookParser.parse(req.body);
       
-      logger.info(`📊 Message status update: ${MessageStatus} for ${MessageSid} to ${To}`);
-      
-      // Store status in database if needed
-      await supabaseService.updateMessageStatus(MessageSid, MessageStatus);
+      for (const status of statuses) {
+        await this.recordStatusUpdate(status);
+      }
       
       res.status(200).send('OK');
     } catch (error) {
@@ -164,6 +378,20 @@ class WhatsAppController {
       res.status(500).send('Error');
     }
   }
+
+  // Store a normalized delivery status update
+  async recordStatusUpdate(statusUpdate) {
+    const { messageSid, status, recipient, provider } = statusUpdate;
+    logger.info(`📊 Message status update (${provider}): ${status} for ${messageSid} to ${recipient}`);
+    
+    // Store status in database if needed
+    const updated = await supabaseService.updateMessageStatus(messageSid, status);
+
+    // Callback raced ahead of the outbound record - apply it once the record is written
+    if (supabaseService.isAvailable() && Array.isArray(updated) && updated.length === 0) {
+      idempotencyService.bufferStatus(statusUpdate);
+    }
+  }
 }
 
 // Export an instance with bound methods
@@ -172,5 +400,6 @@ const controller = new WhatsAppController();
 module.exports = {
   verifyWebhook: controller.verifyWebhook.bind(controller),
   handleIncomingMessage: controller.handleIncomingMessage.bind(controller),
+  processWebhook: controller.processWebhook.bind(controller),
   handleStatusCallback: controller.handleStatusCallback.bind(controller)
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Protect admin endpoints with a shared API key (X-Admin-Key header)
+const adminAuth = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    // Without a configured key admin endpoints stay closed, unless a development setup
+    // explicitly opts out of authentication (never honoured in production)
+    if (process.env.ADMIN_AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production') {
+      return next();
+    }
+
+    logger.warn(`Admin request rejected (ADMIN_API_KEY not configured): ${req.method} ${req.originalUrl}`);
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_KEY to enable admin endpoints'
+    });
+  }
+
+  const providedKey = req.get('X-Admin-Key') || '';
+  const isValid = providedKey.length === adminKey.length &&
+    crypto.timingSafeEqual(Buffer.from(providedKey), Buffer.from(adminKey));
+
+  if (!isValid) {
+    logger.warn(`Unauthorized admin request from ${req.ip}: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Valid X-Admin-Key header required'
+    });
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
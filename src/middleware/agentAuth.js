@@ -0,0 +1,31 @@
+const logger = require('../utils/logger');
+const supabaseService = require('../services/supabaseService');
+const handoffService = require('../services/handoffService');
+
+// Identify the health worker calling the agent API from their key (X-Agent-Key header)
+const agentAuth = async (req, res, next) => {
+  try {
+    if (!supabaseService.isAvailable()) {
+      return res.status(503).json({
+        error: 'Database not configured',
+        message: 'The agent API requires Supabase'
+      });
+    }
+
+    const worker = await handoffService.authenticateWorker(req.get('X-Agent-Key'));
+    if (!worker) {
+      logger.warn(`Unauthorized agent request from ${req.ip}: ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Valid X-Agent-Key header required'
+      });
+    }
+
+    req.healthWorker = worker;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = agentAuth;
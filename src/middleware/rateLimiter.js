@@ -1,5 +1,9 @@
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
+const triageService = require('../services/triageService');
+
+// Red flags of medium severity or above get the more lenient limits
+const URGENT_SEVERITY = 'medium';
 
 // Create different rate limiters for different endpoints
 
@@ -88,14 +92,8 @@ const emergencyLimiter = rateLimit({
     return req.body?.From || req.ip;
   },
   skip: (req) => {
-    // Skip rate limiting for emergency keywords
-    const message = (req.body?.Body || '').toLowerCase();
-    const emergencyKeywords = [
-      'emergency', 'urgent', 'help', 'ambulance', 'hospital', 'emergency',
-      'apatkal', 'madad', 'turant', 'jaldi', 'bachao'
-    ];
-    
-    return emergencyKeywords.some(keyword => message.includes(keyword));
+    // Skip rate limiting for urgent messages
+    return triageService.isAtLeast(req.body?.Body || '', URGENT_SEVERITY);
   }
 });
 
@@ -197,12 +195,7 @@ const dynamicRateLimiter = (req, res, next) => {
   const message = (req.body?.Body || '').toLowerCase();
 
   // Check for emergency requests (less restrictive)
-  const emergencyKeywords = [
-    'emergency', 'urgent', 'help', 'ambulance', 'hospital',
-    'apatkal', 'madad', 'turant', 'jaldi', 'bachao'
-  ];
-
-  const isEmergency = emergencyKeywords.some(keyword => message.includes(keyword));
+  const isEmergency = triageService.isAtLeast(message, URGENT_SEVERITY);
 
   if (isEmergency) {
     // Use emergency limiter (more lenient)
@@ -0,0 +1,114 @@
+const logger = require('../utils/logger');
+const InputValidator = require('../utils/inputValidator');
+const WebhookParser = require('../utils/webhookParser');
+
+// Counters for verified / rejected webhook requests (exposed via admin endpoint)
+const metrics = {
+  verified: 0,
+  rejected: 0,
+  bypassed: 0,
+  rejectionsByReason: {},
+  lastRejection: null,
+  since: new Date().toISOString()
+};
+
+// IPs allowed to skip verification outside production (e.g. local ngrok/curl testing)
+const getBypassIps = () => (process.env.WEBHOOK_SIGNATURE_BYPASS_IPS || '')
+  .split(',')
+  .map(ip => ip.trim())
+  .filter(Boolean);
+
+// Build the URL Twilio signed; behind a proxy the public base URL can be pinned explicitly
+const getSignedUrls = (req) => {
+  const baseUrl = process.env.WEBHOOK_PUBLIC_BASE_URL
+    ? process.env.WEBHOOK_PUBLIC_BASE_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl}${req.originalUrl}`;
+
+  // Twilio may sign with or without an explicit port depending on the configured URL
+  const withoutPort = url.replace(/^(https?:\/\/[^/:]+):\d+/, '$1');
+  return [...new Set([url, withoutPort])];
+};
+
+const reject = (req, res, reason) => {
+  metrics.rejected++;
+  metrics.rejectionsByReason[reason] = (metrics.rejectionsByReason[reason] || 0) + 1;
+  metrics.lastRejection = {
+    reason,
+    ip: req.ip,
+    from: req.body?.From || null,
+    url: req.originalUrl,
+    at: new Date().toISOString()
+  };
+
+  logger.warn(`🛡️ Rejected webhook request (${reason}) from IP ${req.ip}, From: ${req.body?.From || 'n/a'}, URL: ${req.originalUrl}`);
+  return res.status(403).send('Forbidden');
+};
+
+// Verify X-Twilio-Signature (or X-Hub-Signature-256 for Cloud API payloads) before processing
+const verifyWebhookSignature = (req, res, next) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  // Express reports IPv4 clients as IPv4-mapped IPv6 (::ffff:127.0.0.1)
+  const clientIp = (req.ip || '').replace(/^::ffff:/, '');
+
+  if (!isProduction && getBypassIps().includes(clientIp)) {
+    metrics.bypassed++;
+    logger.debug(`Webhook signature check bypassed for allowlisted IP ${clientIp}`);
+    return next();
+  }
+
+  // Cloud API notifications are signed with the Meta app secret
+  if (WebhookParser.isCloudApiPayload(req.body)) {
+    const appSecret = process.env.META_APP_SECRET;
+    if (!appSecret) {
+      if (isProduction) return reject(req, res, 'meta_app_secret_not_configured');
+      metrics.bypassed++;
+      logger.warn('META_APP_SECRET not configured - skipping Cloud API signature check (development only)');
+      return next();
+    }
+
+    const result = InputValidator.validateCloudApiSignature(req.get('X-Hub-Signature-256'), req.rawBody, appSecret);
+    if (!result.isValid) {
+      return reject(req, res, req.get('X-Hub-Signature-256') ? 'invalid_signature' : 'missing_signature');
+    }
+
+    metrics.verified++;
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    if (isProduction) return reject(req, res, 'twilio_auth_token_not_configured');
+    metrics.bypassed++;
+    logger.warn('TWILIO_AUTH_TOKEN not configured - skipping Twilio signature check (development only)');
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) {
+    return reject(req, res, 'missing_signature');
+  }
+
+  const isValid = getSignedUrls(req).some(url =>
+    InputValidator.validateWebhookSignature(signature, url, req.body, authToken).isValid
+  );
+
+  if (!isValid) {
+    return reject(req, res, 'invalid_signature');
+  }
+
+  metrics.verified++;
+  next();
+};
+
+// Get signature verification metrics
+const getSignatureMetrics = () => ({
+  ...metrics,
+  rejectionsByReason: { ...metrics.rejectionsByReason }
+});
+
+module.exports = {
+  verifyWebhookSignature,
+  getSignatureMetrics
+};
@@ -0,0 +1,60 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// All admin endpoints require the admin API key
+router.use(adminAuth);
+
+// Outbound message queue
+router.get('/queue', adminController.getQueue);
+router.get('/queue/dead-letter', adminController.getDeadLetter);
+router.post('/queue/dead-letter/retry', adminController.redriveAllDeadLetter);
+router.post('/queue/dead-letter/:id/retry', adminController.redriveDeadLetter);
+router.delete('/queue/dead-letter/:id', adminController.discardDeadLetter);
+
+// Webhook signature verification metrics
+router.get('/webhook-security', adminController.getWebhookSecurity);
+
+// Message delivery report
+router.get('/reports/delivery', adminController.getDeliveryReport);
+
+// Detected emergencies
+router.get('/emergencies', adminController.getEmergencies);
+router.post('/emergencies/:id/acknowledge', adminController.acknowledgeEmergency);
+
+// Opted-out numbers (STOP / START)
+router.get('/opt-outs', adminController.getOptOuts);
+
+// Health workers and the handoff queue
+router.post('/health-workers', adminController.registerHealthWorker);
+router.get('/health-workers', adminController.getHealthWorkers);
+router.delete('/health-workers/:id', adminController.deactivateHealthWorker);
+router.get('/handoffs', adminController.getHandoffs);
+
+// AI provider circuit breakers
+router.get('/ai/providers', adminController.getAiProviders);
+router.post('/ai/providers/:name/reset', adminController.resetAiProvider);
+
+// AI provider order, models and routing rules
+router.get('/ai/config', adminController.getAiConfig);
+router.post('/ai/config/reload', adminController.reloadAiConfig);
+
+// Prompt templates shared by the AI providers
+router.get('/ai/prompts', adminController.getPromptTemplates);
+router.post('/ai/prompts/reload', adminController.reloadPromptTemplates);
+
+// Cached AI answers
+router.get('/ai/cache', adminController.getAnswerCache);
+router.delete('/ai/cache', adminController.clearAnswerCache);
+
+// AI token usage, spend and daily budgets
+router.get('/ai/usage', adminController.getAiUsage);
+
+// Red-flag triage rules
+router.get('/triage', adminController.getTriageRules);
+router.post('/triage/reload', adminController.reloadTriageRules);
+router.post('/triage/assess', adminController.assessTriage);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const agentController = require('../controllers/agentController');
+const agentAuth = require('../middleware/agentAuth');
+
+const router = express.Router();
+
+// Every agent endpoint acts as the health worker who owns the key
+router.use(agentAuth);
+
+router.get('/me', agentController.getProfile);
+
+// Handoff queue and case actions
+router.get('/cases', agentController.listCases);
+router.get('/cases/:id', agentController.getCase);
+router.post('/cases/:id/claim', agentController.claimCase);
+router.post('/cases/:id/messages', agentController.sendMessage);
+router.post('/cases/:id/release', agentController.releaseCase);
+router.post('/cases/:id/close', agentController.closeCase);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const sandboxController = require('../controllers/sandboxController');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Same key as the admin API when one is configured
+router.use(adminAuth);
+
+// What the bot sent
+router.get('/outbox', sandboxController.getOutbox);
+router.delete('/outbox', sandboxController.clearOutbox);
+
+// Messages from a pretend user
+router.post('/inbound', sandboxController.injectInbound);
+
+module.exports = router;
@@ -1,21 +1,26 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const whatsappController = require('../controllers/whatsappController');
+const WebhookParser = require('../utils/webhookParser');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
 
 const router = express.Router();
 
-// Webhook verification (for Twilio and other providers)
+// Twilio form fields are only required when the payload isn't a Cloud API notification
+const isTwilioPayload = (value, { req }) => !WebhookParser.isCloudApiPayload(req.body);
+
+// Webhook verification (for Twilio and Meta Cloud API hub.challenge)
 router.get('/', whatsappController.verifyWebhook);
 
-// Webhook for incoming messages
-router.post('/', [
-  body('From').notEmpty().withMessage('From number is required'),
+// Webhook for incoming messages (Twilio form posts or Cloud API JSON)
+router.post('/', verifyWebhookSignature, [
+  body('From').if(isTwilioPayload).notEmpty().withMessage('From number is required'),
   body('Body').optional(),
   body('MediaUrl0').optional(),
   body('MediaContentType0').optional()
 ], whatsappController.handleIncomingMessage);
 
 // Status callback for message delivery
-router.post('/status', whatsappController.handleStatusCallback);
+router.post('/status', verifyWebhookSignature, whatsappController.handleStatusCallback);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,38 @@
 const geminiService = require('./geminiService');
 const huggingfaceService = require('./huggingfaceService');
 const openaiService = require('./openaiService');
+const localLlmService = require('./localLlmService');
 const knowledgeBaseService = require('./knowledgeBaseService');
 const languageService = require('./languageService');
+const triageService = require('./triageService');
+const answerCacheService = require('./answerCacheService');
+const providerConfigService = require('./providerConfigService');
+const usageService = require('./usageService');
 const logger = require('../utils/logger');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const StructuredAnswer = require('../utils/structuredAnswer');
+const AnswerFormatter = require('../utils/answerFormatter');
 
 class AIService {
   constructor() {
-    this.providers = [
-      { name: 'gemini', service: geminiService, priority: 1 },
-      { name: 'huggingface', service: huggingfaceService, priority: 2 },
-      { name: 'openai', service: openaiService, priority: 3 }
-    ];
+    this.services = {
+      gemini: geminiService,
+      huggingface: huggingfaceService,
+      openai: openaiService,
+      local_llm: localLlmService
+    };
+
+    // Each provider has a circuit breaker so one that is down or slow gets skipped, and a
+    // deadline after which its answer is no longer waited for. Order, models and routing
+    // come from the provider config file; breakers survive config reloads.
+    this.breakers = new Map();
+    this.applyConfig();
+
+    // Total time a message may spend waiting on AI providers before the knowledge base answers
+    this.responseBudgetMs = parseInt(process.env.AI_RESPONSE_BUDGET_MS) || 25000;
+
+    // Start the next provider if the current one hasn't answered within this many ms (0 = off)
+    this.hedgeAfterMs = parseInt(process.env.AI_HEDGE_AFTER_MS) || 0;
   }
 
   // Main method to process health queries
@@ -19,50 +40,68 @@ class AIService {
     try {
       logger.info(`🤖 Processing health query: "${query}" in language: ${language}`);
 
+      // Questions asked many times before are answered without an AI call
+      const cached = answerCacheService.get(query, language);
+      if (cached) {
+        return {
+          message: cached.message,
+          provider: 'cache',
+          cachedProvider: cached.provider,
+          language: language,
+          confidence: cached.confidence,
+          structured: cached.structured || null,
+          passageIds: cached.passageIds || [],
+          promptTemplate: cached.promptTemplate || null,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Once a daily budget is spent, only the cache and the knowledge base answer; the
+      // budgetExceeded mark keeps these fallbacks out of the health worker review queue
+      const budgetExceeded = usageService.checkBudget(phoneNumber);
+      if (budgetExceeded) {
+        usageService.recordBudgetFallback(budgetExceeded);
+        const fallback = await this.useKnowledgeBaseFallback(query, language, context);
+        return { ...fallback, budgetExceeded };
+      }
+
       // Enhance query with context if available
       const enhancedQuery = this.buildContextualQuery(query, context);
 
-      // Try AI providers in order of priority
-      for (const provider of this.providers) {
-        try {
-          logger.info(`🔄 Trying ${provider.name} provider...`);
-          
-          const result = await provider.service.processHealthQuery({
-            query: enhancedQuery,
-            language,
-            context
-          });
-
-          // More detailed logging for debugging
-          logger.info(`📊 ${provider.name} result:`, {
-            hasResult: !!result,
-            hasMessage: !!(result && result.message),
-            messageLength: result && result.message ? result.message.length : 0,
-            messagePreview: result && result.message ? result.message.substring(0, 100) + '...' : 'No message'
-          });
+      // Knowledge base passages go into every provider's prompt
+      const passages = knowledgeBaseService.retrievePassages(query, language);
+      if (passages.length > 0) {
+        logger.info(`📚 Retrieved ${passages.length} knowledge base passages: ${passages.map(passage => passage.id).join(', ')}`);
+      }
 
-          if (result && result.message && result.message.trim().length > 0) {
-            logger.info(`✅ ${provider.name} provider successful with valid response`);
-            
-            // Translate response if needed
-            const translatedResponse = await this.translateResponse(result.message, language);
-            
-            return {
-              message: translatedResponse,
-              provider: provider.name,
-              language: language,
-              confidence: result.confidence || 0.8,
-              timestamp: new Date().toISOString()
-            };
-          } else {
-            logger.warn(`⚠️ ${provider.name} returned empty or invalid response`);
-          }
+      const providers = this.selectProviders(query, language);
+      // Providers triage userQuery only; the earlier turns in enhancedQuery must not raise the severity
+      const answer = await this.raceProviders({ query: enhancedQuery, userQuery: query, language, context, passages, phoneNumber }, providers);
+
+      if (answer) {
+        // Structured answers are written in the user's language and rendered with localized
+        // headings; free text is translated if needed
+        const { structured = null } = answer.result;
+        const message = structured
+          ? AnswerFormatter.format(structured, { channel: 'whatsapp', language })
+          : await this.translateResponse(answer.result.message, language);
+
+        const response = {
+          message,
+          provider: answer.provider.name,
+          language: language,
+          confidence: answer.result.confidence || 0.8,
+          structured,
+          passageIds: answer.result.passageIds || [],
+          promptTemplate: answer.result.promptTemplate || null,
+          timestamp: new Date().toISOString()
+        };
 
-        } catch (error) {
-          logger.warn(`❌ ${provider.name} provider failed:`, error.message);
-          logger.error(`🔍 Full error details for ${provider.name}:`, error);
-          continue;
+        // An answer shaped by the earlier conversation is not an answer to the bare question
+        if (!context || context.length === 0) {
+          answerCacheService.set(query, language, response);
         }
+        return response;
       }
 
       // If all AI providers fail, use knowledge base only as true fallback
@@ -75,6 +114,272 @@ class AIService {
     }
   }
 
+  // Build the provider list from the active config
+  applyConfig() {
+    this.providers = providerConfigService.getProviders().map(settings => {
+      const breaker = this.breakers.get(settings.name) || new CircuitBreaker(settings.name);
+      if (settings.slowCallMs) {
+        breaker.slowCallMs = settings.slowCallMs;
+      }
+      this.breakers.set(settings.name, breaker);
+
+      return {
+        name: settings.name,
+        service: this.services[settings.name],
+        priority: settings.priority,
+        timeoutMs: settings.timeoutMs,
+        settings,
+        breaker
+      };
+    });
+  }
+
+  // Reload the provider config file; the running config stays if the new file is invalid
+  reloadConfig() {
+    const config = providerConfigService.reload();
+    this.applyConfig();
+    return config;
+  }
+
+  // Configured providers in the order the routing rules give for this query
+  selectProviders(query, language) {
+    const available = this.providers.filter(provider => provider.service.isAvailable());
+    const { order, applied } = providerConfigService.route(available.map(provider => provider.name), query, language);
+
+    if (applied.length > 0) {
+      logger.info(`🧭 Routing rules ${applied.join(', ')} applied: ${order.join(' → ') || 'no providers left'}`);
+    }
+
+    return order.map(name => available.find(provider => provider.name === name));
+  }
+
+  // Ask providers in order within the response budget. A failure moves on to the next
+  // provider; with hedging, a slow provider gets company and the first good answer wins.
+  // Resolves to { provider, result }, or null when no provider answered in time.
+  raceProviders(request, candidates) {
+    const deadline = Date.now() + this.responseBudgetMs;
+
+    return new Promise(resolve => {
+      const running = new Map();
+      let next = 0;
+      let settled = false;
+      let hedgeTimer = null;
+
+      // Calls still running when an answer wins are cancelled, not counted as failures;
+      // when the budget runs out they are aborted with BUDGET_EXPIRED and count as timeouts
+      const finish = (answer, abortReason = Object.assign(new Error('Cancelled'), { code: 'CANCELLED' })) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(hedgeTimer);
+        clearTimeout(budgetTimer);
+
+        for (const controller of running.values()) {
+          controller.abort(abortReason);
+        }
+
+        resolve(answer);
+      };
+
+      const launchNext = () => {
+        clearTimeout(hedgeTimer);
+
+        while (next < candidates.length) {
+          const provider = candidates[next++];
+
+          if (!provider.breaker.canRequest()) {
+            logger.info(`⏭️ Skipping ${provider.name}: circuit open (${provider.breaker.tripReason})`);
+            continue;
+          }
+
+          if (Date.now() >= deadline) {
+            break;
+          }
+
+          // The budget timer cuts off a call that would outlast the budget, so its
+          // timeout is reported as the budget running out
+          start(provider, provider.timeoutMs);
+          return;
+        }
+
+        if (running.size === 0) {
+          finish(null);
+        }
+      };
+
+      const start = (provider, timeoutMs) => {
+        const controller = new AbortController();
+        running.set(provider, controller);
+
+        this.callProvider(provider, request, controller, timeoutMs)
+          .then(result => {
+            running.delete(provider);
+            finish({ provider, result });
+          })
+          .catch(() => {
+            running.delete(provider);
+            if (!settled) launchNext();
+          });
+
+        if (this.hedgeAfterMs > 0) {
+          hedgeTimer = setTimeout(() => {
+            if (!settled && next < candidates.length) {
+              logger.info(`🏁 ${provider.name} has not answered in ${this.hedgeAfterMs} ms, hedging with the next provider`);
+              launchNext();
+            }
+          }, this.hedgeAfterMs);
+        }
+      };
+
+      const budgetTimer = setTimeout(() => {
+        const message = `AI response budget of ${this.responseBudgetMs} ms used up`;
+        logger.warn(`⏰ ${message}`);
+        finish(null, Object.assign(new Error(message), { code: 'BUDGET_EXPIRED' }));
+      }, this.responseBudgetMs);
+
+      launchNext();
+    });
+  }
+
+  // Call one provider with a deadline; resolves with a usable result or rejects
+  async callProvider(provider, request, controller, timeoutMs) {
+    const startedAt = Date.now();
+    const timer = setTimeout(() => {
+      controller.abort(Object.assign(new Error(`${provider.name} timed out after ${timeoutMs} ms`), { code: 'ETIMEDOUT' }));
+    }, timeoutMs);
+
+    // Services get the signal to cancel their HTTP call; one that can't is simply no longer waited for
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    try {
+      logger.info(`🔄 Trying ${provider.name} provider${provider.breaker.state === 'half_open' ? ' (probe)' : ''} (deadline ${timeoutMs} ms)...`);
+
+      const call = provider.service.processHealthQuery({ ...request, settings: provider.settings, signal: controller.signal });
+
+      // The tokens are spent once the provider answers, even if the answer is unusable or nobody
+      // waits for it any more (a hedge that lost, a timeout, Gemini which can't be cancelled)
+      call.then(result => this.recordUsage(provider, request, result), () => {});
+
+      const result = await Promise.race([call, aborted]);
+      const latencyMs = Date.now() - startedAt;
+
+      // More detailed logging for debugging
+      logger.info(`📊 ${provider.name} result:`, {
+        hasResult: !!result,
+        hasMessage: !!(result && result.message),
+        messageLength: result && result.message ? result.message.length : 0,
+        messagePreview: result && result.message ? result.message.substring(0, 100) + '...' : 'No message'
+      });
+
+      if (!result || !result.message || result.message.trim().length === 0) {
+        logger.warn(`⚠️ ${provider.name} returned empty or invalid response`);
+        throw new Error('Empty or invalid response');
+      }
+
+      // Greetings and emergency guidance are free text even from structured providers
+      if (provider.settings.structuredOutput && result.promptTemplate?.startsWith('health_answer@')) {
+        this.parseStructuredAnswer(provider, result);
+      }
+
+      this.recordOutcome(provider, latencyMs);
+      logger.info(`✅ ${provider.name} provider successful with valid response (${latencyMs} ms)`);
+      return result;
+
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        provider.breaker.release();
+        logger.info(`🛑 ${provider.name} call cancelled: another provider answered first`);
+      } else if (error.code === 'BUDGET_EXPIRED') {
+        // The provider had its whole share of the budget without answering: a timeout
+        this.recordOutcome(provider, Date.now() - startedAt, error);
+        logger.warn(`⏰ ${provider.name} timed out: ${error.message}`);
+      } else {
+        this.recordOutcome(provider, Date.now() - startedAt, error);
+        logger.warn(`❌ ${provider.name} provider failed:`, error.message);
+        logger.error(`🔍 Full error details for ${provider.name}:`, error);
+      }
+      throw error;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Count the tokens of a provider call that returned
+  recordUsage(provider, request, result) {
+    if (!result?.usage) {
+      return;
+    }
+
+    usageService.record({
+      phoneNumber: request.phoneNumber,
+      provider: provider.name,
+      model: result.model || provider.settings.model,
+      usage: result.usage,
+      pricing: provider.settings.pricing
+    });
+  }
+
+  // Validate a provider's JSON answer into result.structured. An answer that doesn't follow
+  // the format is kept as free text; one with no readable text left fails the call.
+  parseStructuredAnswer(provider, result) {
+    const { answer, fallbackText, error } = StructuredAnswer.parse(result.message);
+
+    if (answer) {
+      result.structured = answer;
+      return;
+    }
+
+    if (!fallbackText) {
+      throw new Error(`Unusable structured answer: ${error}`);
+    }
+
+    logger.warn(`📋 ${provider.name} answer is not in the structured format (${error}), using it as free text`);
+    result.message = fallbackText;
+  }
+
+  // Feed a call's outcome to the provider's breaker, logging when it changes state
+  recordOutcome(provider, latencyMs, error = null) {
+    const before = provider.breaker.state;
+
+    if (error) {
+      provider.breaker.recordFailure(error, latencyMs);
+    } else {
+      provider.breaker.recordSuccess(latencyMs);
+    }
+
+    const after = provider.breaker.state;
+    if (after === 'open' && before !== 'open') {
+      logger.warn(`🔌 ${provider.name} circuit opened: ${provider.breaker.tripReason}; retrying in ${provider.breaker.cooldownMs / 1000}s`);
+    } else if (after === 'closed' && before === 'half_open') {
+      logger.info(`🔌 ${provider.name} circuit closed: probe succeeded`);
+    }
+  }
+
+  // Provider configuration and circuit breaker state, for the admin status endpoint
+  getProviderStatus() {
+    return this.providers.map(provider => ({
+      name: provider.name,
+      priority: provider.priority,
+      model: provider.settings.model,
+      configured: provider.service.isAvailable(),
+      ...provider.breaker.getStatus()
+    }));
+  }
+
+  // Close a provider's circuit by hand; returns null for an unknown provider
+  resetProvider(name) {
+    const provider = this.providers.find(candidate => candidate.name === name);
+    if (!provider) {
+      return null;
+    }
+
+    provider.breaker.reset();
+    logger.info(`🔌 ${name} circuit reset by admin`);
+    return this.getProviderStatus().find(status => status.name === name);
+  }
+
   // Build contextual query using conversation history
   buildContextualQuery(currentQuery, context) {
     if (!context || !context.length) {
@@ -122,11 +427,9 @@ class AIService {
       const knowledgeResponse = await knowledgeBaseService.searchHealthInfo(query, language);
       
       if (knowledgeResponse) {
-        // Limit knowledge base response length to prevent long formatted responses
-        const limitedResponse = this.limitResponseLength(knowledgeResponse, 200);
-        
+        // Full answer is returned; MessageService splits long replies into parts
         return {
-          message: limitedResponse,
+          message: knowledgeResponse,
           provider: 'knowledge_base',
           language: language,
           confidence: 0.5, // Lower confidence for fallback
@@ -143,35 +446,6 @@ class AIService {
     }
   }
 
-  // Limit response length to prevent overly long responses
-  limitResponseLength(response, maxLength = 200) {
-    if (!response || response.length <= maxLength) {
-      return response;
-    }
-
-    // Remove formatting characters and emojis
-    let cleanResponse = response
-      .replace(/[📍💊🌡️🏥💧🍯🧄🫖]/g, '') // Remove emojis
-      .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold formatting
-      .replace(/\*/g, '') // Remove asterisks
-      .replace(/\n•/g, ',') // Convert bullet points to commas
-      .replace(/\n/g, ' ') // Replace newlines with spaces
-      .trim();
-
-    // Truncate to max length and add "See doctor if symptoms persist"
-    if (cleanResponse.length > maxLength) {
-      cleanResponse = cleanResponse.substring(0, maxLength - 50).trim();
-      // Find last complete sentence
-      const lastPeriod = cleanResponse.lastIndexOf('.');
-      if (lastPeriod > 50) {
-        cleanResponse = cleanResponse.substring(0, lastPeriod + 1);
-      }
-      cleanResponse += ' See doctor if symptoms persist.';
-    }
-
-    return cleanResponse;
-  }
-
   // Get default error response
   getDefaultErrorResponse(language) {
     const defaultResponses = {
@@ -191,21 +465,7 @@ class AIService {
 
   // Check if query indicates emergency
   isEmergencyQuery(query) {
-    const emergencyKeywords = [
-      // English
-      'emergency', 'urgent', 'heart attack', 'stroke', 'bleeding', 'accident', 'unconscious', 
-      'can\'t breathe', 'chest pain', 'severe pain', 'suicide', 'overdose',
-      
-      // Hindi
-      'आपातकाल', 'तुरंत', 'दिल का दौरा', 'खून', 'दुर्घटना', 'बेहोश', 'सांस नहीं', 'छाती में दर्द',
-      
-      // Hinglish
-      'emergency hai', 'urgent hai', 'heart attack', 'bleeding ho raha', 'saans nahi aa rahi',
-      'chest pain hai', 'behosh hai'
-    ];
-
-    const lowerQuery = query.toLowerCase();
-    return emergencyKeywords.some(keyword => lowerQuery.includes(keyword.toLowerCase()));
+    return triageService.isEmergency(query);
   }
 
   // Get emergency response
@@ -221,14 +481,13 @@ class AIService {
 
   // Analyze query sentiment and urgency
   analyzeQuery(query) {
-    const urgencyWords = ['urgent', 'emergency', 'immediate', 'severe', 'critical', 'serious'];
     const painWords = ['pain', 'hurt', 'ache', 'burning', 'sharp', 'throbbing'];
     const mentalHealthWords = ['depressed', 'anxiety', 'stress', 'worried', 'scared', 'panic'];
 
     const lowerQuery = query.toLowerCase();
     
     return {
-      urgency: urgencyWords.some(word => lowerQuery.includes(word)) ? 'high' : 'normal',
+      urgency: triageService.isAtLeast(query, 'high') ? 'high' : 'normal',
       hasPain: painWords.some(word => lowerQuery.includes(word)),
       mentalHealth: mentalHealthWords.some(word => lowerQuery.includes(word)),
       isQuestion: lowerQuery.includes('?') || lowerQuery.startsWith('what') || lowerQuery.startsWith('how') || lowerQuery.startsWith('why')
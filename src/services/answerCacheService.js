@@ -0,0 +1,325 @@
+const logger = require('../utils/logger');
+const triageService = require('./triageService');
+const promptTemplateService = require('./promptTemplateService');
+
+/**
+ * Answer Cache Service
+ * Reuses AI answers for the handful of questions people ask over and over
+ * ("bukhar me kya kare", "what to do for fever"). Queries are normalized to a
+ * bag of meaningful words - Hinglish spelling variants folded together, filler
+ * words dropped - and matched per language, exactly or as a near duplicate
+ * that differs only in how the question is asked ("tips", "batao", "home
+ * remedies"). Red-flag symptoms and questions that lean on the earlier
+ * conversation are never served from the cache.
+ * Answers written with an older version of their prompt template are not
+ * served once the template changes.
+ */
+
+// Multi-word phrases that mean one thing, folded before splitting into words
+const PHRASE_VARIANTS = [
+  [/\b(sir|sar)\s*(dard|dardh)\b/g, 'sirdard'],
+  [/\bpet\s*(dard|dardh)\b/g, 'petdard'],
+  [/\bkya\s+kar(e|en|ein|u|un|oon|na|ni)\b/g, 'kya kare'],
+  [/\bwhat\s+(should|can|do)\s+i\s+do\b/g, 'what do'],
+  [/सिर\s*दर्द/g, 'सिरदर्द'],
+  [/पेट\s*दर्द/g, 'पेटदर्द']
+];
+
+// Common Hinglish spellings of the same word
+const SPELLING_VARIANTS = {
+  bukhaar: 'bukhar', bukar: 'bukhar', bhukar: 'bukhar', bukhār: 'bukhar',
+  khasi: 'khansi', khaansi: 'khansi', khansee: 'khansi',
+  jukam: 'zukam', zukaam: 'zukam', jukaam: 'zukam',
+  dawai: 'dawa', dawaai: 'dawa', davai: 'dawa', dava: 'dawa',
+  ilaaj: 'ilaj', elaj: 'ilaj', upay: 'upaay', upchar: 'ilaj',
+  dardh: 'dard',
+  ultee: 'ulti', vomit: 'vomiting', vomitting: 'vomiting',
+  diarrhoea: 'diarrhea',
+  sugar: 'diabetes', madhumeh: 'diabetes',
+  bp: 'blood pressure'
+};
+
+// Words that carry no meaning for matching (English, Hinglish, Hindi)
+const FILLER_WORDS = new Set([
+  'i', 'im', 'me', 'my', 'a', 'an', 'the', 'is', 'am', 'are', 'was', 'be', 'have', 'has', 'had', 'having', 'got',
+  'please', 'pls', 'plz', 'kindly', 'tell', 'about', 'for', 'of', 'to', 'in', 'on', 'with', 'and', 'or', 'do', 'does',
+  'should', 'can', 'could', 'what', 'how', 'hello', 'hi', 'hey', 'sir', 'madam', 'ji', 'bhai', 'namaste',
+  'mujhe', 'mujhko', 'mera', 'meri', 'mere', 'hai', 'hain', 'he', 'ho', 'hu', 'hoon', 'tha', 'thi', 'ka', 'ki', 'ke',
+  'ko', 'se', 'mein', 'main', 'mai', 'ne', 'kya', 'kaise', 'gaya', 'gayi', 'gya', 'raha', 'rahi', 'hua', 'hui', 'bhi', 'aur',
+  'है', 'हैं', 'हूं', 'हूँ', 'का', 'की', 'के', 'को', 'से', 'में', 'मुझे', 'मेरा', 'मेरी', 'मेरे', 'क्या', 'कैसे', 'हो', 'गया',
+  'गई', 'रहा', 'रही', 'हुआ', 'भी', 'और', 'जी', 'कृपया', 'नमस्ते'
+]);
+
+// Words about how the question is asked rather than what it is about; the only words
+// a near duplicate may add or leave out
+const ASKING_WORDS = new Set([
+  'tips', 'advice', 'suggest', 'suggestion', 'suggestions', 'home', 'remedy', 'remedies', 'treatment', 'cure',
+  'gharelu', 'upaay', 'ilaj', 'batao', 'btao', 'bataye', 'bataiye', 'bataen', 'kare',
+  'घरेलू', 'उपाय', 'इलाज', 'बताओ', 'बताएं', 'बताइए', 'करें', 'करे'
+]);
+
+// Questions that only make sense with the earlier conversation, or carry personal follow-up answers
+const CONTEXT_PATTERNS = [
+  /\b(it|that|this|same|still|again|also|more|else|above|previous|earlier|you said|what about|and if)\b/i,
+  /\b(wahi|woh|vo|yeh|ye|phir|abhi bhi|ab bhi)\b/i,
+  /(^|\s)(वही|वो|यह|ये|फिर|अभी भी)(\s|$|[?।])/,
+  /Follow-up answers:/
+];
+
+// Words that change the answer for the patient (age, pregnancy, negation); two questions that
+// differ in one of these, or in any number ("12 year old" / "2 year old"), are never near duplicates,
+// even if one is ever listed as an asking word
+const PROTECTED_WORDS = new Set([
+  'pregnant', 'pregnancy', 'garbhvati', 'breastfeeding', 'feeding', 'गर्भवती', 'गर्भ', 'प्रेगनेंट',
+  'baby', 'babies', 'infant', 'newborn', 'child', 'children', 'kid', 'kids', 'son', 'daughter', 'old', 'elderly',
+  'year', 'years', 'month', 'months', 'week', 'weeks', 'saal', 'sal', 'mahine', 'mahina', 'hafte',
+  'baccha', 'bachcha', 'bacha', 'bachche', 'bacche', 'shishu', 'budhe', 'buzurg',
+  'बच्चा', 'बच्चे', 'बच्ची', 'शिशु', 'नवजात', 'साल', 'वर्ष', 'महीने', 'बुजुर्ग',
+  'no', 'not', 'without', 'never', 'none', 'nor', 'cannot', 'dont', 'doesnt', 'didnt', 'cant', 'couldnt', 'isnt', 'arent',
+  'wasnt', 'werent', 'wont', 'wouldnt', 'shouldnt', 'havent', 'hasnt', 'hadnt', 'nahi', 'nahin', 'mat', 'bina', 'नहीं', 'मत', 'बिना'
+]);
+
+// Answers from these sources are cheap already or not worth repeating
+const UNCACHED_PROVIDERS = new Set(['knowledge_base', 'default', 'cache']);
+
+class AnswerCacheService {
+  constructor() {
+    this.enabled = process.env.ANSWER_CACHE_ENABLED !== 'false';
+    this.ttlMs = parseInt(process.env.ANSWER_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.maxEntries = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES) || 500;
+    this.similarityThreshold = parseFloat(process.env.ANSWER_CACHE_SIMILARITY) || 0.8;
+
+    // "language:sorted words" -> { language, words, message, provider, confidence, passageIds, promptTemplate, sampleQuery, createdAt, expiresAt, hits }
+    this.entries = new Map();
+    this.stats = { lookups: 0, hits: 0, nearHits: 0, misses: 0, stores: 0, evictions: 0, skipped: {} };
+  }
+
+  // Cached answer for a query, or null; counts the lookup towards the hit rate
+  get(query, language) {
+    const normalized = this.prepare(query, language);
+    if (!normalized) {
+      return null;
+    }
+
+    this.stats.lookups++;
+    const now = Date.now();
+
+    let entry = this.entries.get(normalized.key);
+    let similarity = 1;
+
+    if (!entry || entry.expiresAt <= now || !this.isCurrent(entry)) {
+      ({ entry, similarity } = this.findNearDuplicate(language, normalized.words, now));
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    entry.hits++;
+    entry.lastHitAt = now;
+    this.stats.hits++;
+    if (similarity < 1) {
+      this.stats.nearHits++;
+    }
+
+    logger.info(`💾 Answer cache hit for "${query}" (${similarity < 1 ? `similarity ${similarity.toFixed(2)} to ` : ''}"${entry.sampleQuery}")`);
+    return { ...entry, similarity };
+  }
+
+  // Remember an AI answer for later identical or near-identical questions
+  set(query, language, answer) {
+    if (UNCACHED_PROVIDERS.has(answer.provider)) {
+      return false;
+    }
+
+    const normalized = this.prepare(query, language, { countSkips: false });
+    if (!normalized) {
+      return false;
+    }
+
+    if (!this.entries.has(normalized.key) && this.entries.size >= this.maxEntries) {
+      this.evict();
+    }
+
+    const now = Date.now();
+    this.entries.set(normalized.key, {
+      language,
+      words: normalized.words,
+      message: answer.message,
+      provider: answer.provider,
+      confidence: answer.confidence,
+      structured: answer.structured || null,
+      passageIds: answer.passageIds || [],
+      promptTemplate: answer.promptTemplate || null,
+      sampleQuery: query,
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      hits: 0,
+      lastHitAt: null
+    });
+    this.stats.stores++;
+
+    return true;
+  }
+
+  // Normalize a query into its cache key, or null when it must not use the cache
+  prepare(query, language, { countSkips = true } = {}) {
+    const skip = (reason) => {
+      if (countSkips) {
+        this.stats.skipped[reason] = (this.stats.skipped[reason] || 0) + 1;
+      }
+      return null;
+    };
+
+    if (!this.enabled) {
+      return skip('disabled');
+    }
+    if (CONTEXT_PATTERNS.some(pattern => pattern.test(query))) {
+      return skip('context_dependent');
+    }
+    if (triageService.isAtLeast(query, 'high')) {
+      return skip('red_flag');
+    }
+
+    const words = this.normalize(query);
+    if (words.length === 0) {
+      return skip('no_keywords');
+    }
+
+    return { key: `${language}:${words.join(' ')}`, words };
+  }
+
+  // Distinct meaningful words of a query, sorted
+  normalize(query) {
+    let text = query.toLowerCase().normalize('NFC');
+
+    for (const [pattern, replacement] of PHRASE_VARIANTS) {
+      text = text.replace(pattern, replacement);
+    }
+
+    const words = text
+      // "don't" -> "dont" rather than "don" + "t"; "child's" -> "child"
+      .replace(/['’]s\b/g, '')
+      .replace(/(\p{L})['’](\p{L})/gu, '$1$2')
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .flatMap(word => (SPELLING_VARIANTS[word] || word).split(' '))
+      .filter(word => word && !FILLER_WORDS.has(word));
+
+    return [...new Set(words)].sort();
+  }
+
+  // Closest unexpired entry in the same language that has the same words apart from
+  // asking words, and whose words still overlap enough (Jaccard)
+  findNearDuplicate(language, words, now) {
+    const querySet = new Set(words);
+    let best = { entry: null, similarity: 0 };
+
+    for (const entry of this.entries.values()) {
+      if (entry.language !== language || entry.expiresAt <= now || !this.isCurrent(entry)) {
+        continue;
+      }
+
+      const entrySet = new Set(entry.words);
+      const differing = [...words.filter(word => !entrySet.has(word)), ...entry.words.filter(word => !querySet.has(word))];
+      if (differing.some(word => !ASKING_WORDS.has(word) || this.isProtected(word))) {
+        continue;
+      }
+
+      const shared = entry.words.filter(word => querySet.has(word)).length;
+      const similarity = shared / (querySet.size + entry.words.length - shared);
+
+      if (similarity >= this.similarityThreshold && similarity > best.similarity) {
+        best = { entry, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  // Whether an entry was written with the current version of its prompt template
+  isCurrent(entry) {
+    if (!entry.promptTemplate) {
+      return true;
+    }
+
+    const [name] = entry.promptTemplate.split('@');
+    try {
+      return promptTemplateService.getTemplateId(name) === entry.promptTemplate;
+    } catch (error) {
+      // The template was removed
+      return false;
+    }
+  }
+
+  // Whether a word may not differ between near duplicates: numbers, ages, pregnancy, negations
+  isProtected(word) {
+    return /\p{N}/u.test(word) || PROTECTED_WORDS.has(word);
+  }
+
+  // Make room: drop expired entries, else the least recently used one
+  evict() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed === 0) {
+      let oldestKey = null;
+      let oldestUse = Infinity;
+
+      for (const [key, entry] of this.entries.entries()) {
+        const lastUse = entry.lastHitAt || entry.createdAt;
+        if (lastUse < oldestUse) {
+          oldestUse = lastUse;
+          oldestKey = key;
+        }
+      }
+
+      this.entries.delete(oldestKey);
+      removed = 1;
+    }
+
+    this.stats.evictions += removed;
+  }
+
+  // Forget every cached answer; returns how many there were
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  // Hit-rate metrics and the most reused answers
+  getStats() {
+    const answered = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      skipped: { ...this.stats.skipped },
+      hitRate: answered > 0 ? Number((this.stats.hits / answered).toFixed(3)) : null,
+      entries: this.entries.size,
+      ttlMs: this.ttlMs,
+      similarityThreshold: this.similarityThreshold,
+      topEntries: [...this.entries.values()]
+        .sort((a, b) => b.hits - a.hits)
+        .slice(0, 10)
+        .map(entry => ({
+          query: entry.sampleQuery,
+          language: entry.language,
+          provider: entry.provider,
+          hits: entry.hits,
+          expiresAt: new Date(entry.expiresAt).toISOString()
+        }))
+    };
+  }
+}
+
+module.exports = new AnswerCacheService();
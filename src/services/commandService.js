@@ -0,0 +1,154 @@
+const logger = require('../utils/logger');
+const messageService = require('./messageService');
+const languageService = require('./languageService');
+const supabaseService = require('./supabaseService');
+const quickReplyService = require('./quickReplyService');
+const emergencyContactService = require('./emergencyContactService');
+const optOutService = require('./optOutService');
+const triageSessionService = require('./triageSessionService');
+const usageService = require('./usageService');
+const outboundQueueService = require('./outboundQueueService');
+const sandboxService = require('./sandboxService');
+
+/**
+ * Command Service
+ * Carries out chat commands recognized by CommandParser against the user's
+ * stored state and replies with a localized confirmation.
+ */
+class CommandService {
+
+  // Run a parsed command for a user (user is their users row, or null)
+  async execute(phoneNumber, command, user) {
+    // An explicit LANG choice wins over the language the command was typed in
+    const language = user?.language_set_by_user ? user.preferred_language : command.language;
+    logger.info(`⌨️ Command ${command.name} from ${phoneNumber}`);
+
+    switch (command.name) {
+      case 'HELP':
+        await this.reply(phoneNumber, 'help', language);
+        break;
+
+      case 'LANGUAGE':
+        await this.setLanguage(phoneNumber, command.args.language, language);
+        break;
+
+      case 'HISTORY':
+        await this.sendHistory(phoneNumber, language);
+        break;
+
+      case 'RESET':
+        await this.resetConversation(phoneNumber, language);
+        break;
+
+      case 'DELETE_DATA':
+        // Irreversible, so ask first
+        await messageService.sendInteractiveMessage(phoneNumber, quickReplyService.buildMenu('delete_data_confirm', language));
+        break;
+
+      case 'STOP':
+        this.clearSessionState(phoneNumber);
+        await optOutService.optOut(phoneNumber, { source: 'keyword', keyword: command.args.keyword });
+        // The one message an opted-out number still receives
+        await messageService.sendWhatsAppMessage(
+          phoneNumber,
+          languageService.getCommandMessage('stopped', language),
+          { allowOptedOut: true }
+        );
+        break;
+
+      case 'START':
+        await optOutService.optIn(phoneNumber, { source: 'keyword', keyword: command.args.keyword });
+        await this.reply(phoneNumber, 'started', language);
+        break;
+
+      default:
+        logger.warn(`No handler for command: ${command.name}`);
+    }
+  }
+
+  // Act on the DELETE MY DATA confirmation buttons
+  async handleAction(phoneNumber, action, language) {
+    if (action !== 'DELETE_DATA_YES') {
+      await this.reply(phoneNumber, 'delete_cancelled', language);
+      return;
+    }
+
+    // What this server keeps on disk goes whatever happens to the database rows;
+    // without Supabase it is all there is
+    this.clearSessionState(phoneNumber);
+    this.forgetLocalData(phoneNumber);
+    const deleted = supabaseService.isAvailable() ? await supabaseService.deleteUserData(phoneNumber) : true;
+
+    await this.reply(phoneNumber, deleted ? 'data_deleted' : 'unavailable', language);
+  }
+
+  // LANG command
+  async setLanguage(phoneNumber, requestedLanguage, language) {
+    if (!requestedLanguage) {
+      await this.reply(phoneNumber, 'language_unknown', language);
+      return;
+    }
+
+    const updated = await supabaseService.setPreferredLanguage(phoneNumber, requestedLanguage);
+    await this.reply(phoneNumber, updated ? 'language_set' : 'unavailable', updated ? requestedLanguage : language);
+  }
+
+  // HISTORY command: the last few questions with their dates
+  async sendHistory(phoneNumber, language) {
+    if (!supabaseService.isAvailable()) {
+      await this.reply(phoneNumber, 'unavailable', language);
+      return;
+    }
+
+    const history = await supabaseService.getUserHistory(phoneNumber, 5);
+    if (history.length === 0) {
+      await this.reply(phoneNumber, 'history_empty', language);
+      return;
+    }
+
+    const lines = history.map((item, index) => {
+      const date = new Date(item.query_timestamp).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+      const question = item.query.length > 80 ? `${item.query.substring(0, 80)}...` : item.query;
+      return `${index + 1}. ${date} - ${question}`;
+    });
+
+    await messageService.sendWhatsAppMessage(
+      phoneNumber,
+      `${languageService.getCommandMessage('history_header', language)}\n\n${lines.join('\n')}`
+    );
+  }
+
+  // RESET command: forget conversation context and any half-finished menus
+  async resetConversation(phoneNumber, language) {
+    this.clearSessionState(phoneNumber);
+
+    const updated = await supabaseService.resetUserContext(phoneNumber);
+    await this.reply(phoneNumber, updated ? 'reset' : 'unavailable', language);
+  }
+
+  // Drop menu, flow and triage session state for a user
+  clearSessionState(phoneNumber) {
+    quickReplyService.forget(phoneNumber);
+    emergencyContactService.clearFlow(phoneNumber);
+    triageSessionService.clear(phoneNumber);
+  }
+
+  // Per-user data in the file-backed stores: today's AI token total, queued and
+  // dead-lettered message bodies and the sandbox outbox
+  forgetLocalData(phoneNumber) {
+    const number = optOutService.normalize(phoneNumber);
+
+    usageService.forgetUser(phoneNumber);
+    outboundQueueService.forgetRecipient(to => optOutService.normalize(to) === number);
+    if (sandboxService.enabled) {
+      sandboxService.clearOutbox(phoneNumber);
+    }
+  }
+
+  // Send a localized command reply
+  async reply(phoneNumber, key, language) {
+    await messageService.sendWhatsAppMessage(phoneNumber, languageService.getCommandMessage(key, language));
+  }
+}
+
+module.exports = new CommandService();
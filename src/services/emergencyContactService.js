@@ -0,0 +1,324 @@
+const logger = require('../utils/logger');
+const InputValidator = require('../utils/inputValidator');
+const messageService = require('./messageService');
+const languageService = require('./languageService');
+const supabaseService = require('./supabaseService');
+const quickReplyService = require('./quickReplyService');
+const triageService = require('./triageService');
+const optOutService = require('./optOutService');
+
+/**
+ * Emergency Contact Service
+ * Guided chat flow to add, change and remove the person alerted in an
+ * emergency. The user's consent is recorded when they save a contact, and the
+ * contact is asked to confirm before the entry is marked verified. The
+ * confirmation request is an approved WhatsApp template whose buttons name the
+ * requesting user, so a contact asked by several people answers each one.
+ */
+
+// "emergency contact" in the supported languages starts the flow
+const START_PATTERN = /emergency\s+contact|emergency\s+number|आपातकालीन\s+संपर्क|आपातकालीन\s+नंबर/i;
+const REMOVE_PATTERN = /\b(remove|delete|hatao|hataiye|hata\s+do)\b|हटा/i;
+const CHANGE_PATTERN = /\b(add|change|set|update|new|badlo|badal|jodo|jod\s+do)\b|बदल|जोड/i;
+const CANCEL_PATTERN = /^(cancel|radd|रद्द|रद्द\s+करें)$/i;
+const YES_PATTERN = /^(yes|y|ok|okay|agree|accept|haan|han|ha|ji|हाँ|हां|जी)$/i;
+const NO_PATTERN = /^(no|n|nahi|nahin|na|नहीं|ना)$/i;
+
+class EmergencyContactService {
+  constructor() {
+    // Users part-way through the flow: { step, contactPhone, language, expiresAt }
+    this.flows = new Map();
+    this.flowTtlMs = parseInt(process.env.EMERGENCY_CONTACT_FLOW_TTL_MS) || 15 * 60 * 1000;
+
+    // Approved template for the confirmation request (Cloud API template name / Twilio content SID)
+    this.verifyTemplate = {
+      name: process.env.WHATSAPP_CONTACT_VERIFY_TEMPLATE || 'emergency_contact_verify',
+      contentSid: process.env.TWILIO_CONTACT_VERIFY_CONTENT_SID || null
+    };
+  }
+
+  // Handle a message if it belongs to the contact flow; returns true when consumed
+  async handleMessage(phoneNumber, messageBody) {
+    const text = messageBody.trim();
+    const flow = this.getFlow(phoneNumber);
+
+    if (flow) {
+      // Never hold up someone reporting an emergency mid-flow
+      if (triageService.isEmergency(text)) {
+        this.flows.delete(phoneNumber);
+        return false;
+      }
+
+      if (CANCEL_PATTERN.test(text)) {
+        this.flows.delete(phoneNumber);
+        await this.reply(phoneNumber, 'cancelled', flow.language);
+        return true;
+      }
+
+      if (flow.step === 'awaiting_number') {
+        await this.receiveNumber(phoneNumber, text, flow.language);
+        return true;
+      }
+
+      if (flow.step === 'awaiting_consent') {
+        if (YES_PATTERN.test(text)) {
+          await this.confirmConsent(phoneNumber);
+        } else if (NO_PATTERN.test(text)) {
+          this.flows.delete(phoneNumber);
+          await this.reply(phoneNumber, 'cancelled', flow.language);
+        } else {
+          await this.requestConsent(phoneNumber, flow.contactPhone, flow.language);
+        }
+        return true;
+      }
+    }
+
+    // "emergency contact" inside a real emergency report is not a settings request
+    if (START_PATTERN.test(text) && !triageService.isEmergency(text.replace(START_PATTERN, ' '))) {
+      await this.start(phoneNumber, text);
+      return true;
+    }
+
+    // A typed "yes" can't say whose request it answers; point the contact to the buttons
+    if (YES_PATTERN.test(text) || NO_PATTERN.test(text)) {
+      return await this.remindContactToTap(phoneNumber);
+    }
+
+    return false;
+  }
+
+  // Act on a button from one of the contact menus; ref is the requesting user on the contact's buttons
+  async handleAction(phoneNumber, action, language, ref = null) {
+    switch (action) {
+      case 'CONTACT_CHANGE':
+        await this.requestNumber(phoneNumber, language);
+        break;
+
+      case 'CONTACT_REMOVE':
+        await this.removeContact(phoneNumber, language);
+        break;
+
+      case 'CONTACT_KEEP': {
+        const user = await supabaseService.getUser(phoneNumber);
+        await this.reply(phoneNumber, 'kept', language, { contact: user?.emergency_contact });
+        break;
+      }
+
+      case 'CONTACT_CONSENT_YES':
+        if (this.getFlow(phoneNumber)?.step === 'awaiting_consent') {
+          await this.confirmConsent(phoneNumber);
+        } else {
+          await this.requestNumber(phoneNumber, language);
+        }
+        break;
+
+      case 'CONTACT_CONSENT_NO':
+        this.flows.delete(phoneNumber);
+        await this.reply(phoneNumber, 'cancelled', language);
+        break;
+
+      case 'CONTACT_ACCEPT':
+      case 'CONTACT_DECLINE':
+        if (!await this.handleContactResponse(phoneNumber, action === 'CONTACT_ACCEPT', ref)) {
+          await this.reply(phoneNumber, 'request_closed', language);
+        }
+        break;
+
+      default:
+        logger.warn(`Unknown emergency contact action: ${action}`);
+    }
+  }
+
+  // Entry point: show the current contact, or go straight to the requested step
+  async start(phoneNumber, text) {
+    const language = await languageService.detectLanguage(text);
+
+    if (!supabaseService.isAvailable()) {
+      await this.reply(phoneNumber, 'unavailable', language);
+      return;
+    }
+
+    if (REMOVE_PATTERN.test(text)) {
+      await this.removeContact(phoneNumber, language);
+      return;
+    }
+
+    // "emergency contact 98765 43210" - number given up front
+    const inlineNumber = text.match(/\+?\d[\d\s-]{8,}\d/);
+    if (inlineNumber) {
+      await this.receiveNumber(phoneNumber, inlineNumber[0], language);
+      return;
+    }
+
+    const user = await supabaseService.getUser(phoneNumber);
+    if (user?.emergency_contact && !CHANGE_PATTERN.test(text)) {
+      const status = languageService.getEmergencyContactMessage(`status_${user.emergency_contact_status || 'pending'}`, language);
+      await messageService.sendInteractiveMessage(
+        phoneNumber,
+        quickReplyService.buildMenu('emergency_contact_manage', language, { contact: user.emergency_contact, status })
+      );
+      return;
+    }
+
+    await this.requestNumber(phoneNumber, language);
+  }
+
+  // Ask for the contact's number
+  async requestNumber(phoneNumber, language) {
+    this.setFlow(phoneNumber, { step: 'awaiting_number', language });
+    await this.reply(phoneNumber, 'ask_number', language);
+  }
+
+  // Validate a typed number, then ask for consent
+  async receiveNumber(phoneNumber, text, language) {
+    const contactPhone = InputValidator.normalizeContactNumber(text);
+
+    if (!contactPhone) {
+      this.setFlow(phoneNumber, { step: 'awaiting_number', language });
+      await this.reply(phoneNumber, 'invalid_number', language);
+      return;
+    }
+
+    if (contactPhone === InputValidator.normalizeContactNumber(phoneNumber)) {
+      this.setFlow(phoneNumber, { step: 'awaiting_number', language });
+      await this.reply(phoneNumber, 'own_number', language);
+      return;
+    }
+
+    // A contact who sent STOP would never receive the confirmation or an alert
+    if (await optOutService.isOptedOut(contactPhone)) {
+      this.setFlow(phoneNumber, { step: 'awaiting_number', language });
+      await this.reply(phoneNumber, 'contact_opted_out', language, { contact: contactPhone });
+      return;
+    }
+
+    await this.requestConsent(phoneNumber, contactPhone, language);
+  }
+
+  // Explain what will be shared and ask the user to agree
+  async requestConsent(phoneNumber, contactPhone, language) {
+    this.setFlow(phoneNumber, { step: 'awaiting_consent', contactPhone, language });
+    await messageService.sendInteractiveMessage(
+      phoneNumber,
+      quickReplyService.buildMenu('emergency_contact_consent', language, { contact: contactPhone })
+    );
+  }
+
+  // Save the contact with the user's consent and ask the contact to confirm
+  async confirmConsent(phoneNumber) {
+    const { contactPhone, language } = this.getFlow(phoneNumber);
+    this.flows.delete(phoneNumber);
+
+    const saved = await supabaseService.setEmergencyContact(phoneNumber, contactPhone);
+    if (!saved) {
+      await this.reply(phoneNumber, 'unavailable', language);
+      return;
+    }
+
+    await messageService.sendTemplateMessage(contactPhone, this.buildVerifyTemplate(phoneNumber, language));
+
+    await this.reply(phoneNumber, 'verification_sent', language, { contact: contactPhone });
+  }
+
+  // The contact has usually never messaged us, so only a template reaches them. Its
+  // text comes from the emergency_contact_verify menu; the buttons carry the user's number.
+  buildVerifyTemplate(phoneNumber, language) {
+    const userNumber = InputValidator.normalizeContactNumber(phoneNumber) || phoneNumber;
+    const menu = quickReplyService.buildMenu('emergency_contact_verify', language, { user: userNumber });
+
+    return {
+      ...this.verifyTemplate,
+      language,
+      params: [userNumber],
+      body: menu.body,
+      buttons: menu.buttons.map(option => ({
+        title: option.title,
+        payload: quickReplyService.buildPayload(option.id, phoneNumber)
+      }))
+    };
+  }
+
+  // Remove the user's contact and withdraw consent
+  async removeContact(phoneNumber, language) {
+    this.flows.delete(phoneNumber);
+
+    const user = await supabaseService.getUser(phoneNumber);
+    if (!user?.emergency_contact) {
+      await this.reply(phoneNumber, 'none_set', language);
+      return;
+    }
+
+    const removed = await supabaseService.setEmergencyContact(phoneNumber, null);
+    await this.reply(phoneNumber, removed ? 'removed' : 'unavailable', language);
+  }
+
+  // The contact accepted or declined one user's request; returns false if that request isn't pending
+  async handleContactResponse(contactNumber, accepted, requesterNumber) {
+    const contactPhone = InputValidator.normalizeContactNumber(contactNumber);
+    const user = contactPhone && requesterNumber ? await supabaseService.getUser(requesterNumber) : null;
+
+    if (!user || user.emergency_contact !== contactPhone || user.emergency_contact_status !== 'pending') {
+      logger.warn(`📇 ${contactNumber} answered an emergency contact request from ${requesterNumber || 'an unknown user'} that is not pending`);
+      return false;
+    }
+
+    const language = user.preferred_language || 'en';
+    const userNumber = InputValidator.normalizeContactNumber(user.phone_number) || user.phone_number;
+
+    if (accepted) {
+      await supabaseService.markEmergencyContactVerified(user.phone_number, contactPhone);
+      await this.reply(user.phone_number, 'contact_accepted', language, { contact: contactPhone });
+      await this.reply(contactNumber, 'thanks_contact', language, { user: userNumber });
+    } else {
+      await supabaseService.setEmergencyContact(user.phone_number, null);
+      await this.reply(user.phone_number, 'contact_declined', language, { contact: contactPhone });
+      await this.reply(contactNumber, 'declined_contact', language, { user: userNumber });
+    }
+
+    logger.info(`📇 ${contactPhone} ${accepted ? 'accepted' : 'declined'} being emergency contact for ${user.phone_number}`);
+    return true;
+  }
+
+  // Tell a contact with pending requests to answer with the buttons; returns false if they have none
+  async remindContactToTap(contactNumber) {
+    const contactPhone = InputValidator.normalizeContactNumber(contactNumber);
+    const users = contactPhone ? await supabaseService.getUsersAwaitingContact(contactPhone) : [];
+
+    if (users.length === 0) {
+      return false;
+    }
+
+    await this.reply(contactNumber, 'tap_to_confirm', users[0].preferred_language || 'en');
+    return true;
+  }
+
+  // Send a localized flow message
+  async reply(phoneNumber, key, language, params = {}) {
+    await messageService.sendWhatsAppMessage(
+      phoneNumber,
+      languageService.getEmergencyContactMessage(key, language, params)
+    );
+  }
+
+  // Current flow state for a user, if it has not expired
+  getFlow(phoneNumber) {
+    const flow = this.flows.get(phoneNumber);
+    if (flow && flow.expiresAt <= Date.now()) {
+      this.flows.delete(phoneNumber);
+      return null;
+    }
+    return flow || null;
+  }
+
+  // Abandon a half-finished flow
+  clearFlow(phoneNumber) {
+    this.flows.delete(phoneNumber);
+  }
+
+  // Store flow state with a fresh expiry
+  setFlow(phoneNumber, state) {
+    this.flows.set(phoneNumber, { ...state, expiresAt: Date.now() + this.flowTtlMs });
+  }
+}
+
+module.exports = new EmergencyContactService();
@@ -0,0 +1,76 @@
+const logger = require('../utils/logger');
+const aiService = require('./aiService');
+const messageService = require('./messageService');
+const languageService = require('./languageService');
+const supabaseService = require('./supabaseService');
+const optOutService = require('./optOutService');
+
+/**
+ * Emergency Service
+ * Handles a detected medical emergency: 112 guidance to the user first,
+ * then the conversation flag, the alert to the user's emergency contact and
+ * an event record for the admin dashboard.
+ */
+class EmergencyService {
+
+  // Run the emergency pipeline; source is 'triage' or 'quick_reply'
+  async handleEmergency({ phoneNumber, query, language = 'en', source = 'triage', triage = null }) {
+    logger.warn(`🚨 Emergency detected for ${phoneNumber} (${source}): ${query}`);
+
+    // Guidance goes out before anything else so nothing can delay it
+    const guidance = aiService.getEmergencyResponse(language);
+    await messageService.sendWhatsAppMessage(phoneNumber, guidance);
+
+    const conversation = await supabaseService.storeUserQuery(phoneNumber, query, language, { emergency_source: source }, true);
+    await supabaseService.storeAiResponse(phoneNumber, query, guidance, 'emergency_protocol', 1.0);
+
+    const contactPhone = await this.alertEmergencyContact(phoneNumber, query, language);
+
+    await supabaseService.logEmergencyEvent({
+      phoneNumber,
+      query,
+      language,
+      source,
+      conversationId: conversation?.id || null,
+      contactPhone: contactPhone || null,
+      contactAlerted: !!contactPhone,
+      metadata: triage
+        ? { triage_version: triage.version, triage_rules: triage.matches.map(match => match.id) }
+        : {}
+    });
+  }
+
+  // Notify the user's stored emergency contact; returns the contact number when alerted
+  async alertEmergencyContact(phoneNumber, query, language) {
+    const user = await supabaseService.getUser(phoneNumber);
+    const contactPhone = user?.emergency_contact;
+
+    // Only contacts the user consented to and who confirmed themselves are alerted
+    if (!contactPhone || !user.emergency_contact_consent_at) {
+      logger.info(`No consented emergency contact on file for ${phoneNumber}`);
+      return null;
+    }
+    if (user.emergency_contact_status !== 'verified') {
+      logger.info(`🚨 Emergency contact ${contactPhone} for ${phoneNumber} has not confirmed yet (${user.emergency_contact_status || 'no status'}); not alerting`);
+      return null;
+    }
+
+    if (await optOutService.isOptedOut(contactPhone)) {
+      logger.warn(`🚨 Emergency contact ${contactPhone} for ${phoneNumber} has opted out; not alerting`);
+      return null;
+    }
+
+    const alert = languageService.getEmergencyContactAlert(phoneNumber, query, language);
+    const sent = await messageService.sendEmergencyAlert(contactPhone, alert);
+
+    if (!sent) {
+      logger.error(`🚨 Could not alert emergency contact ${contactPhone} for ${phoneNumber}`);
+      return null;
+    }
+
+    logger.info(`🚨 Emergency contact ${contactPhone} alerted for ${phoneNumber}`);
+    return contactPhone;
+  }
+}
+
+module.exports = new EmergencyService();
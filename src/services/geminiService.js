@@ -1,5 +1,9 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const triageService = require('./triageService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const promptTemplateService = require('./promptTemplateService');
+const usageService = require('./usageService');
 
 class GeminiService {
   constructor() {
@@ -12,13 +16,28 @@ class GeminiService {
     }
   }
 
-  // Process health query using Gemini
-  async processHealthQuery({ query, language, context }) {
+  // Process health query using Gemini; settings (model, temperature, maxTokens) come from the provider config.
+  // query may carry the earlier conversation; userQuery is the user's own message and the only text triaged.
+  async processHealthQuery({ query, userQuery = query, language, context, passages = [], settings = null }) {
     try {
       if (!this.model) {
         throw new Error('Gemini API not configured');
       }
 
+      // Red-flag symptoms get emergency guidance, even when the message opens with a greeting
+      const triage = triageService.assess(userQuery);
+      if (triage.isEmergency) {
+        const emergencyText = await this.generateEmergencyResponse(userQuery, language);
+        return {
+          message: emergencyText.trim(),
+          confidence: 0.9,
+          provider: 'gemini',
+          severity: triage.severity,
+          usage: usageService.buildUsage({ prompt: this.buildEmergencyPrompt(userQuery, language), completion: emergencyText }),
+          promptTemplate: promptTemplateService.getTemplateId('emergency_response')
+        };
+      }
+
       // Handle greetings and basic queries with quick responses
       if (this.isGreeting(query)) {
         return {
@@ -28,11 +47,19 @@ class GeminiService {
         };
       }
 
-      const prompt = this.buildHealthPrompt(query, language, context);
+      const structured = !!settings?.structuredOutput;
+      const prompt = this.buildHealthPrompt(query, language, context, triage.severity, passages, { structured });
       
-      logger.info('🧠 Sending query to Gemini...');
+      const model = settings
+        ? this.genAI.getGenerativeModel({
+          model: settings.model,
+          generationConfig: { temperature: settings.temperature, maxOutputTokens: settings.maxTokens }
+        })
+        : this.model;
+
+      logger.info(`🧠 Sending query to Gemini${settings ? ` (${settings.model})` : ''}...`);
       
-      const result = await this.model.generateContent(prompt);
+      const result = await model.generateContent(prompt);
       const response = await result.response;
       const text = response.text();
 
@@ -45,15 +72,19 @@ class GeminiService {
 
       logger.info('✅ Gemini response received and validated');
 
-      // Process and limit response length
-      const processedResponse = this.processHealthResponse(text.trim());
+      // Process and limit response length (a JSON answer is validated by AIService instead)
+      const processedResponse = structured ? text.trim() : this.processHealthResponse(text.trim());
       
       logger.info(`📝 Processed response (${processedResponse.length} chars):`, processedResponse.substring(0, 100) + '...');
 
       return {
         message: processedResponse,
         confidence: 0.9,
-        provider: 'gemini'
+        provider: 'gemini',
+        // This SDK version doesn't return token counts, so usage is estimated
+        usage: usageService.buildUsage({ prompt, completion: text }),
+        passageIds: passages.map(passage => passage.id),
+        promptTemplate: promptTemplateService.getTemplateId('health_answer')
       };
 
     } catch (error) {
@@ -67,34 +98,35 @@ class GeminiService {
     }
   }
 
-  // Build health-specific prompt for Gemini
-  buildHealthPrompt(query, language, context) {
-    const systemPrompt = `You are a simple health assistant. Give SHORT answers ONLY.
+  // Build health-specific prompt for Gemini from the shared health_answer template
+  buildHealthPrompt(query, language, context, severity = 'low', passages = [], { structured = false } = {}) {
+    const sections = [promptTemplateService.render('health_answer', 'system', language)];
 
-Rules:
-- Answer in 2-3 sentences maximum
-- NO bullet points, lists, or formatting
-- NO emojis or symbols  
-- Answer ONLY what is asked
-- Give basic treatment advice
-- End with "See doctor if symptoms persist"
-
-Examples:
-"I have fever" → "Take rest and drink plenty of water. Use paracetamol 500mg every 6 hours for fever. See doctor if symptoms persist."
-
-"headache" → "Rest in a quiet, dark room. Take paracetamol or apply cold compress on forehead. See doctor if symptoms persist."
+    if (severity === 'high') {
+      sections.push(promptTemplateService.render('health_answer', 'serious', language));
+    }
 
-Language: Respond in ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? 'Hinglish' : 'English'}`;
+    // Knowledge base passages the answer should agree with
+    if (passages.length > 0) {
+      sections.push(promptTemplateService.render('health_answer', 'references', language, {
+        passages: knowledgeBaseService.formatPassagesForPrompt(passages)
+      }));
+    }
 
-    let contextSection = '';
     if (context && context.length > 0) {
-      const recentContext = context.slice(-2).map(item => 
+      const history = context.slice(-2).map(item => 
         `Previous Q: ${item.query}\nPrevious A: ${item.response}`
       ).join('\n\n');
-      contextSection = `\n\nPREVIOUS CONVERSATION CONTEXT:\n${recentContext}`;
+      sections.push(promptTemplateService.render('health_answer', 'history', language, { history }));
     }
 
-    return `${systemPrompt}${contextSection}\n\nCURRENT USER QUERY: ${query}\n\nPlease provide a helpful, accurate, and culturally appropriate health response:`;
+    sections.push(promptTemplateService.render('health_answer', 'question', language, { query }));
+
+    if (structured) {
+      sections.push(promptTemplateService.render('health_answer', 'format', language));
+    }
+
+    return sections.join('\n\n');
   }
 
   // Process and limit response length
@@ -178,18 +210,11 @@ Language: Respond in ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? '
         throw new Error('Gemini API not configured');
       }
 
-      const prompt = `Provide comprehensive information about ${condition} including:
-1. What it is (definition)
-2. Common symptoms
-3. Causes and risk factors
-4. Prevention methods
-5. Treatment options
-6. When to see a doctor
-7. Lifestyle recommendations
-
-Respond in ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? 'Hinglish' : 'English'}.
-Make it suitable for rural Indian communities with limited medical knowledge.
-Include cultural context and accessibility considerations for rural areas.`;
+      const variables = { condition, specialty: 'general', languageName: promptTemplateService.getLanguageName(language) };
+      const prompt = [
+        promptTemplateService.render('condition_info', 'system', language, variables),
+        promptTemplateService.render('condition_info', 'request', language, variables)
+      ].join('\n\n');
 
       const result = await this.model.generateContent(prompt);
       const response = await result.response;
@@ -209,18 +234,7 @@ Include cultural context and accessibility considerations for rural areas.`;
         throw new Error('Gemini API not configured');
       }
 
-      const prompt = `The user reports these symptoms: ${symptoms}
-
-This appears to be a medical emergency. Provide:
-1. Immediate emergency guidance
-2. When to call emergency services (112 in India)
-3. First aid steps if applicable
-4. What to do while waiting for help
-5. What information to give emergency responders
-
-Respond in ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? 'Hinglish' : 'English'}.
-Be clear, direct, and include emergency contact numbers for India.
-Emphasize urgency without causing panic.`;
+      const prompt = this.buildEmergencyPrompt(symptoms, language);
 
       const result = await this.model.generateContent(prompt);
       const response = await result.response;
@@ -232,6 +246,15 @@ Emphasize urgency without causing panic.`;
       throw error;
     }
   }
+
+  // Emergency guidance prompt from the emergency_response template
+  buildEmergencyPrompt(symptoms, language = 'en') {
+    const variables = { symptoms, languageName: promptTemplateService.getLanguageName(language) };
+    return [
+      promptTemplateService.render('emergency_response', 'system', language, variables),
+      promptTemplateService.render('emergency_response', 'request', language, variables)
+    ].join('\n\n');
+  }
 }
 
 module.exports = new GeminiService();
\ No newline at end of file
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const InputValidator = require('../utils/inputValidator');
+const messageService = require('./messageService');
+const languageService = require('./languageService');
+const supabaseService = require('./supabaseService');
+
+/**
+ * Handoff Service
+ * Escalates conversations to registered ASHA / health workers. Cases wait in
+ * a queue until a worker claims one through the agent API; from then on the
+ * patient's messages go to that worker, the worker's replies are relayed over
+ * WhatsApp, and the bot stays quiet until the case is closed.
+ */
+
+// Messages asking for a person rather than the bot
+const HANDOFF_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a\s+|an\s+|the\s+|real\s+)*(human|person|doctor|nurse|health\s*worker|asha|someone|agent)\b/,
+  /\b(doctor|asha|asha\s+didi|health\s*worker|insaan|kisi)\s+(se|ko)\s+(baat|bulao|milao)\b/,
+  /(डॉक्टर|डाक्टर|आशा|स्वास्थ्य\s+कर्मी|इंसान|किसी)\s+से\s+बात/
+];
+
+// Error with an HTTP status for the agent API to return
+const handoffError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+class HandoffService {
+  constructor() {
+    // AI answers below this confidence (e.g. knowledge-base fallbacks) are escalated
+    this.confidenceThreshold = parseFloat(process.env.HANDOFF_CONFIDENCE_THRESHOLD) || 0.6;
+  }
+
+  // Check if a message asks to talk to a person
+  isHandoffRequest(text) {
+    const message = (text || '').toLowerCase();
+    return HANDOFF_REQUEST_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  // Check if an AI answer is unsure enough to need a health worker. Fallbacks given because
+  // the AI budget ran out are low-confidence by design and would flood the queue.
+  needsReview(aiResponse) {
+    if (aiResponse.budgetExceeded) {
+      return false;
+    }
+    return (aiResponse.confidence ?? 1) < this.confidenceThreshold;
+  }
+
+  // Queue a conversation for a health worker; reason is 'user_request' or 'low_confidence'
+  async requestHandoff(phoneNumber, { reason, query, language = 'en' }) {
+    const userAsked = reason === 'user_request';
+
+    if (!supabaseService.isAvailable()) {
+      if (userAsked) {
+        await messageService.sendWhatsAppMessage(phoneNumber, languageService.getQuickReplyMessage('TALK_TO_HEALTH_WORKER', language));
+      }
+      return null;
+    }
+
+    const existing = await supabaseService.getOpenHandoffCase(phoneNumber);
+    if (existing) {
+      if (userAsked) {
+        await this.reply(phoneNumber, 'already_queued', language);
+      }
+      return existing;
+    }
+
+    const handoffCase = await supabaseService.createHandoffCase({ phoneNumber, reason, query, language });
+    if (!handoffCase) {
+      // Point people to the helpline rather than leave them waiting on nothing
+      if (userAsked) {
+        await messageService.sendWhatsAppMessage(phoneNumber, languageService.getQuickReplyMessage('TALK_TO_HEALTH_WORKER', language));
+      }
+      return null;
+    }
+
+    if (query) {
+      await supabaseService.addHandoffMessage(handoffCase.id, 'patient', query);
+    }
+
+    await this.reply(phoneNumber, userAsked ? 'queued' : 'low_confidence', language);
+    await this.notifyWorkers(handoffCase);
+
+    logger.info(`👩‍⚕️ Handoff case #${handoffCase.id} opened for ${phoneNumber} (${reason})`);
+    return handoffCase;
+  }
+
+  // Let active workers with a phone number know a case is waiting
+  async notifyWorkers(handoffCase) {
+    const workers = await supabaseService.getHealthWorkers({ activeOnly: true }) || [];
+
+    for (const worker of workers.filter(candidate => candidate.phone_number)) {
+      await messageService.sendWhatsAppMessage(
+        worker.phone_number,
+        `👩‍⚕️ New case #${handoffCase.id} is waiting (${handoffCase.reason.replace('_', ' ')}). Claim it through the agent API.`
+      );
+    }
+  }
+
+  // Add a patient message to their open case; returns the case, or null when there is none
+  async relayPatientMessage(phoneNumber, text) {
+    if (!supabaseService.isAvailable()) {
+      return null;
+    }
+
+    const handoffCase = await supabaseService.getOpenHandoffCase(phoneNumber);
+    if (!handoffCase) {
+      return null;
+    }
+
+    await supabaseService.addHandoffMessage(handoffCase.id, 'patient', text);
+    return handoffCase;
+  }
+
+  // Cases for the agent API: the waiting queue, or the worker's own claimed / closed cases
+  async listCases(worker, { scope = 'waiting', limit = 50 } = {}) {
+    const filters = {
+      waiting: { status: 'waiting' },
+      mine: { status: 'claimed', workerId: worker.id },
+      closed: { status: 'closed', workerId: worker.id }
+    }[scope];
+
+    if (!filters) {
+      throw handoffError(400, 'scope must be waiting, mine or closed');
+    }
+
+    return await supabaseService.getHandoffCases({ ...filters, limit });
+  }
+
+  // A case with its transcript, if the worker may see it: waiting cases, and the worker's own
+  // claimed or closed ones (the same cases listCases shows them)
+  async getCase(caseId, worker) {
+    const handoffCase = await this.findCase(caseId);
+
+    if (handoffCase.status !== 'waiting' && handoffCase.worker_id !== worker.id) {
+      throw handoffError(403, 'Case belongs to another worker');
+    }
+
+    const messages = await supabaseService.getHandoffMessages(caseId) || [];
+    return { case: handoffCase, messages };
+  }
+
+  // A case by ID, without access checks
+  async findCase(caseId) {
+    const handoffCase = await supabaseService.getHandoffCase(caseId);
+    if (!handoffCase) {
+      throw handoffError(404, 'No handoff case with that ID');
+    }
+    return handoffCase;
+  }
+
+  // Take a waiting case; the bot goes quiet for this patient from here on
+  async claimCase(caseId, worker) {
+    const claimed = await supabaseService.updateHandoffCase(caseId, {
+      fromStatus: 'waiting',
+      fields: { status: 'claimed', worker_id: worker.id, claimed_at: new Date().toISOString() }
+    });
+
+    if (!claimed) {
+      await this.findCase(caseId);
+      throw handoffError(409, 'Case is not waiting; another worker may have claimed it');
+    }
+
+    await this.reply(claimed.user_phone, 'claimed', claimed.detected_language, { worker: worker.name });
+    logger.info(`👩‍⚕️ Handoff case #${caseId} claimed by ${worker.name} (#${worker.id})`);
+    return claimed;
+  }
+
+  // Put a claimed case back in the queue
+  async releaseCase(caseId, worker) {
+    const released = await supabaseService.updateHandoffCase(caseId, {
+      fromStatus: 'claimed',
+      workerId: worker.id,
+      fields: { status: 'waiting', worker_id: null, claimed_at: null }
+    });
+
+    if (!released) {
+      await this.assertClaimedBy(caseId, worker);
+      throw handoffError(500, 'Unable to update case');
+    }
+
+    logger.info(`👩‍⚕️ Handoff case #${caseId} released by ${worker.name} (#${worker.id})`);
+    return released;
+  }
+
+  // Relay a worker's reply to the patient over WhatsApp
+  async sendWorkerMessage(caseId, worker, message) {
+    const handoffCase = await this.assertClaimedBy(caseId, worker);
+
+    const jobs = await messageService.sendWhatsAppMessage(
+      handoffCase.user_phone,
+      languageService.getHandoffMessage('worker_message', handoffCase.detected_language, { worker: worker.name, message })
+    );
+
+    if (jobs.length === 0) {
+      throw handoffError(409, 'Patient has opted out of messages');
+    }
+
+    return await supabaseService.addHandoffMessage(caseId, 'worker', message);
+  }
+
+  // Close a case and hand the conversation back to the bot
+  async closeCase(caseId, worker, notes = null) {
+    const closed = await supabaseService.updateHandoffCase(caseId, {
+      fromStatus: 'claimed',
+      workerId: worker.id,
+      fields: { status: 'closed', closed_at: new Date().toISOString(), close_notes: notes }
+    });
+
+    if (!closed) {
+      await this.assertClaimedBy(caseId, worker);
+      throw handoffError(500, 'Unable to update case');
+    }
+
+    await this.reply(closed.user_phone, 'closed', closed.detected_language);
+    logger.info(`👩‍⚕️ Handoff case #${caseId} closed by ${worker.name} (#${worker.id})`);
+    return closed;
+  }
+
+  // Load a case and make sure this worker currently holds it
+  async assertClaimedBy(caseId, worker) {
+    const handoffCase = await this.findCase(caseId);
+
+    if (handoffCase.status !== 'claimed') {
+      throw handoffError(409, `Case is ${handoffCase.status}, not claimed`);
+    }
+    if (handoffCase.worker_id !== worker.id) {
+      throw handoffError(403, 'Case is claimed by another worker');
+    }
+
+    return handoffCase;
+  }
+
+  // Register a worker; the API key is only ever returned here
+  async registerWorker({ name, phoneNumber = null }) {
+    const apiKey = crypto.randomBytes(24).toString('hex');
+    const worker = await supabaseService.createHealthWorker({
+      name,
+      phoneNumber: phoneNumber ? InputValidator.normalizeContactNumber(phoneNumber) : null,
+      apiKeyHash: this.hashKey(apiKey)
+    });
+
+    if (!worker) {
+      return null;
+    }
+
+    logger.info(`👩‍⚕️ Health worker registered: ${worker.name} (#${worker.id})`);
+    return { worker, apiKey };
+  }
+
+  // The active worker an agent API key belongs to, if any
+  async authenticateWorker(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    return await supabaseService.getHealthWorkerByKeyHash(this.hashKey(apiKey));
+  }
+
+  // Only key hashes are stored
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  // Send a localized handoff message to a patient
+  async reply(phoneNumber, key, language, params = {}) {
+    await messageService.sendWhatsAppMessage(phoneNumber, languageService.getHandoffMessage(key, language || 'en', params));
+  }
+}
+
+module.exports = new HandoffService();
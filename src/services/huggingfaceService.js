@@ -1,5 +1,8 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const promptTemplateService = require('./promptTemplateService');
+const usageService = require('./usageService');
 
 class HuggingFaceService {
   constructor() {
@@ -9,25 +12,31 @@ class HuggingFaceService {
     this.textGenerationModel = 'gpt2'; // Fallback model
   }
 
-  // Process health query using Hugging Face
-  async processHealthQuery({ query, language, context }) {
+  // Process health query using Hugging Face; settings (model, fallbackModel, temperature,
+  // maxTokens) come from the provider config and the signal cancels the HTTP calls
+  async processHealthQuery({ query, language, context, passages = [], settings = {}, signal }) {
     try {
       if (!this.apiToken) {
         throw new Error('Hugging Face API not configured');
       }
 
-      const enhancedQuery = this.buildHealthPrompt(query, language, context);
+      const enhancedQuery = this.buildHealthPrompt(query, language, context, passages);
+      const passageIds = passages.map(passage => passage.id);
+      const promptTemplate = promptTemplateService.getTemplateId('health_answer');
       
       logger.info('🤗 Sending query to Hugging Face...');
 
       // Try conversational model first
       try {
-        const result = await this.generateConversationalResponse(enhancedQuery);
+        const result = await this.generateConversationalResponse(enhancedQuery, signal, settings);
         if (result && result.trim().length > 0) {
           return {
             message: this.formatHealthResponse(result, language),
             confidence: 0.8,
-            provider: 'huggingface'
+            provider: 'huggingface',
+            usage: usageService.buildUsage({ prompt: enhancedQuery, completion: result }),
+            passageIds,
+            promptTemplate
           };
         }
       } catch (error) {
@@ -35,7 +44,7 @@ class HuggingFaceService {
       }
 
       // Fallback to text generation
-      const result = await this.generateTextResponse(enhancedQuery);
+      const result = await this.generateTextResponse(enhancedQuery, signal, settings);
       
       if (!result || result.trim().length === 0) {
         throw new Error('Empty response from Hugging Face');
@@ -46,7 +55,11 @@ class HuggingFaceService {
       return {
         message: this.formatHealthResponse(result, language),
         confidence: 0.7,
-        provider: 'huggingface'
+        provider: 'huggingface',
+        model: settings.fallbackModel || this.textGenerationModel,
+        usage: usageService.buildUsage({ prompt: enhancedQuery, completion: result }),
+        passageIds,
+        promptTemplate
       };
 
     } catch (error) {
@@ -56,17 +69,17 @@ class HuggingFaceService {
   }
 
   // Generate conversational response
-  async generateConversationalResponse(prompt) {
+  async generateConversationalResponse(prompt, signal, settings = {}) {
     try {
       const response = await axios.post(
-        `${this.baseUrl}/${this.healthModel}`,
+        `${this.baseUrl}/${settings.model || this.healthModel}`,
         {
           inputs: {
             text: prompt
           },
           parameters: {
-            max_length: 500,
-            temperature: 0.7,
+            max_length: settings.maxTokens || 500,
+            temperature: settings.temperature ?? 0.7,
             do_sample: true,
             pad_token_id: 50256
           }
@@ -76,7 +89,8 @@ class HuggingFaceService {
             'Authorization': `Bearer ${this.apiToken}`,
             'Content-Type': 'application/json'
           },
-          timeout: 30000
+          timeout: 30000,
+          signal
         }
       );
 
@@ -97,10 +111,10 @@ class HuggingFaceService {
   }
 
   // Generate text response
-  async generateTextResponse(prompt) {
+  async generateTextResponse(prompt, signal, settings = {}) {
     try {
       const response = await axios.post(
-        `${this.baseUrl}/${this.textGenerationModel}`,
+        `${this.baseUrl}/${settings.fallbackModel || this.textGenerationModel}`,
         {
           inputs: prompt,
           parameters: {
@@ -116,7 +130,8 @@ class HuggingFaceService {
             'Authorization': `Bearer ${this.apiToken}`,
             'Content-Type': 'application/json'
           },
-          timeout: 30000
+          timeout: 30000,
+          signal
         }
       );
 
@@ -135,15 +150,18 @@ class HuggingFaceService {
     }
   }
 
-  // Build health-specific prompt
-  buildHealthPrompt(query, language, context) {
-    const healthPrompt = `You are a helpful AI health assistant for rural Indian communities. Provide accurate, simple, and culturally appropriate health information. Always recommend consulting healthcare professionals for serious conditions.
+  // Build health-specific prompt from the shared health_answer template, in the
+  // question/response shape the completion models continue
+  buildHealthPrompt(query, language, context, passages = []) {
+    const sections = [promptTemplateService.render('health_answer', 'system', language)];
 
-Question: ${query}
-
-Health Assistant Response:`;
+    if (passages.length > 0) {
+      sections.push(promptTemplateService.render('health_answer', 'references', language, {
+        passages: knowledgeBaseService.formatPassagesForPrompt(passages)
+      }));
+    }
 
-    return healthPrompt;
+    return `${sections.join('\n\n')}\n\nQuestion: ${query}\n\nHealth Assistant Response:`;
   }
 
   // Format and clean the response
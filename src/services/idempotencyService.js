@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Idempotency Service
+ * Remembers which inbound MessageSids were already processed so provider
+ * webhook retries don't get answered twice, and holds delivery status
+ * callbacks that arrive before the outbound message has been recorded.
+ */
+class IdempotencyService {
+  constructor() {
+    this.storePath = process.env.WEBHOOK_DEDUPE_PATH || path.join(process.cwd(), 'logs', 'processed_messages.json');
+    this.ttlMs = parseInt(process.env.WEBHOOK_DEDUPE_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.statusBufferTtlMs = parseInt(process.env.STATUS_BUFFER_TTL_MS) || 10 * 60 * 1000;
+
+    this.processed = this.loadStore();
+    this.bufferedStatuses = new Map();
+    this.stats = { duplicates: 0, bufferedStatuses: 0, appliedBufferedStatuses: 0 };
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  // Claim a message for processing; returns false if it was already seen
+  claim(messageSid) {
+    if (!messageSid) {
+      return true;
+    }
+
+    const existing = this.processed.get(messageSid);
+    if (existing && existing.expiresAt > Date.now()) {
+      this.stats.duplicates++;
+      logger.info(`♻️ Duplicate webhook for ${messageSid} ignored (first seen ${new Date(existing.seenAt).toISOString()})`);
+      return false;
+    }
+
+    this.processed.set(messageSid, {
+      seenAt: Date.now(),
+      expiresAt: Date.now() + this.ttlMs
+    });
+    this.saveStore();
+
+    return true;
+  }
+
+  // Hold a status update until the outbound record for its SID exists
+  bufferStatus(statusUpdate) {
+    const { messageSid } = statusUpdate;
+    if (!messageSid) return;
+
+    const entries = this.bufferedStatuses.get(messageSid) || [];
+    entries.push({ ...statusUpdate, receivedAt: Date.now() });
+    this.bufferedStatuses.set(messageSid, entries);
+    this.stats.bufferedStatuses++;
+
+    logger.debug(`⏳ Buffered ${statusUpdate.status} status for ${messageSid} until its message is recorded`);
+  }
+
+  // Remove and return buffered status updates for a SID, oldest first
+  takeBufferedStatuses(messageSid) {
+    const entries = this.bufferedStatuses.get(messageSid) || [];
+    this.bufferedStatuses.delete(messageSid);
+
+    const fresh = entries.filter(entry => Date.now() - entry.receivedAt < this.statusBufferTtlMs);
+    this.stats.appliedBufferedStatuses += fresh.length;
+
+    return fresh;
+  }
+
+  // Drop expired SIDs and stale buffered statuses
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [sid, entry] of this.processed.entries()) {
+      if (entry.expiresAt <= now) {
+        this.processed.delete(sid);
+        removed++;
+      }
+    }
+
+    for (const [sid, entries] of this.bufferedStatuses.entries()) {
+      if (entries.every(entry => now - entry.receivedAt >= this.statusBufferTtlMs)) {
+        this.bufferedStatuses.delete(sid);
+        logger.warn(`Dropped buffered status update(s) for ${sid}: no outbound record appeared`);
+      }
+    }
+
+    if (removed > 0) {
+      this.saveStore();
+      logger.debug(`Idempotency cleanup removed ${removed} expired message ID(s)`);
+    }
+  }
+
+  // Get dedupe statistics
+  getStats() {
+    return {
+      ...this.stats,
+      trackedMessageIds: this.processed.size,
+      pendingStatusSids: this.bufferedStatuses.size,
+      ttlMs: this.ttlMs
+    };
+  }
+
+  // Load processed SIDs from disk so restarts don't re-answer retried webhooks
+  loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        const now = Date.now();
+        return new Map(Object.entries(data).filter(([, entry]) => entry.expiresAt > now));
+      }
+    } catch (error) {
+      logger.error('Could not load processed message store, starting empty:', error);
+    }
+
+    return new Map();
+  }
+
+  // Persist processed SIDs
+  saveStore() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.processed)));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      logger.error('Could not persist processed message store:', error);
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
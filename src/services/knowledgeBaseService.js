@@ -1,12 +1,85 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const triageService = require('./triageService');
+
+// Ready answers for the most common symptoms
+const COMMON_SYMPTOMS = {
+  fever: {
+    en: "For fever, rest and drink plenty of water. Take paracetamol 500mg every 6 hours if needed. Use cold compress on forehead. See doctor if temperature exceeds 103°F or persists for more than 3 days.",
+    hi: "बुखार के लिए आराम करें और बहुत पानी पिएं। जरूरत पड़ने पर हर 6 घंटे में पैरासिटामोल 500mg लें। माथे पर ठंडी पट्टी रखें। यदि तापमान 103°F से अधिक हो या 3 दिन से अधिक रहे तो डॉक्टर से मिलें।",
+    hinglish: "Fever ke liye aaram karo aur bahut paani piyo. Jarurat padne par har 6 ghante mein paracetamol 500mg lo. Mathe par thandi patti rakho. Agar temperature 103°F se zyada ho ya 3 din se zyada rahe to doctor se milo."
+  },
+  headache: {
+    en: "For headache, rest in a quiet, dark room. Apply cold or warm compress on forehead. Take paracetamol or ibuprofen as directed. Stay hydrated. See doctor if severe or persistent.",
+    hi: "सिरदर्द के लिए शांत, अंधेरे कमरे में आराम करें। माथे पर ठंडी या गर्म पट्टी लगाएं। निर्देशानुसार पैरासिटामोल या इबुप्रोफेन लें। हाइड्रेटेड रहें। यदि गंभीर या लगातार हो तो डॉक्टर से मिलें।",
+    hinglish: "Headache ke liye shaant, andhera kamre mein aaram karo. Mathe par thandi ya garm patti lagao. Direction ke according paracetamol ya ibuprofen lo. Hydrated raho. Agar serious ya lagatar ho to doctor se milo."
+  },
+  cough: {
+    en: "For cough, drink warm water with honey and lemon. Use steam inhalation. Avoid cold drinks and ice cream. Take cough syrup if needed. See doctor if blood in cough or persists for more than 2 weeks.",
+    hi: "खांसी के लिए शहद और नींबू के साथ गर्म पानी पिएं। भाप का सेवन करें। ठंडे पेय और आइसक्रीम से बचें। जरूरत पड़ने पर खांसी की सिरप लें। यदि खांसी में खून या 2 सप्ताह से अधिक हो तो डॉक्टर से मिलें।",
+    hinglish: "Cough ke liye honey aur lemon ke saath garm paani piyo. Steam inhalation karo. Thande drinks aur ice cream se bacho. Jarurat padne par cough syrup lo. Agar cough mein blood ho ya 2 hafta se zyada ho to doctor se milo."
+  }
+};
+
+// Hindi/Hinglish words for the common symptoms
+const HINDI_SYMPTOMS = {
+  'bukhar': 'fever',
+  'garmi': 'fever', 
+  'temperature': 'fever',
+  'sir dard': 'headache',
+  'sar dard': 'headache',
+  'headache': 'headache',
+  'khansi': 'cough',
+  'khasi': 'cough',
+  'बुखार': 'fever',
+  'सिरदर्द': 'headache',
+  'सिर दर्द': 'headache',
+  'खांसी': 'cough'
+};
+
+// Other names people use for the diseases in the knowledge base
+const DISEASE_ALIASES = {
+  diabetes: ['diabetes', 'diabetic', 'sugar', 'madhumeh', 'मधुमेह', 'डायबिटीज', 'शुगर'],
+  hypertension: ['hypertension', 'blood pressure', 'high bp', 'bp', 'रक्तचाप', 'ब्लड प्रेशर', 'बीपी'],
+  heart_disease: ['heart', 'cardiac', 'dil', 'hriday', 'हृदय', 'दिल']
+};
+
+// Disease sections offered to the AI, and the words that show a question is about each one
+const PASSAGE_SECTIONS = {
+  definition: ['what is', 'kya hai', 'kya hota', 'meaning', 'क्या है', 'क्या होता'],
+  symptoms: ['symptom', 'sign', 'lakshan', 'pata kaise', 'लक्षण'],
+  management: ['treatment', 'treat', 'manage', 'control', 'cure', 'medicine', 'ilaj', 'ilaaj', 'upay', 'dawa', 'kya kare', 'kya karu', 'इलाज', 'उपचार', 'दवा', 'क्या करें'],
+  emergency_signs: ['danger', 'serious', 'emergency', 'khatra', 'gambhir', 'खतरा', 'गंभीर']
+};
+
+const SECTION_TITLES = {
+  definition: 'what it is',
+  symptoms: 'symptoms',
+  management: 'management',
+  emergency_signs: 'emergency signs'
+};
+
+// Words too common to say which disease a question is about
+const OVERLAP_SKIP_WORDS = new Set(['have', 'what', 'with', 'from', 'this', 'that', 'should', 'about', 'please', 'kaise', 'karna', 'mein', 'hona']);
+
+// Longest passage text put into a prompt
+const PASSAGE_MAX_CHARS = 400;
+
+const EMERGENCY_KEYWORDS = [
+  'emergency', 'urgent', 'help', 'ambulance', 'hospital',
+  'emergency', 'apatkal', 'madad', 'ambulance', 'aspatal'
+];
 
 class KnowledgeBaseService {
   constructor() {
     this.knowledgeBasePath = path.join(__dirname, '../data/health_knowledge_base.json');
     this.knowledgeBase = null;
     this.loadKnowledgeBase();
+
+    // Passages retrieved for each AI prompt
+    this.retrievalEnabled = process.env.KNOWLEDGE_RETRIEVAL_ENABLED !== 'false';
+    this.maxPassages = parseInt(process.env.KNOWLEDGE_RETRIEVAL_MAX_PASSAGES) || 4;
   }
 
   // Load knowledge base from JSON file
@@ -73,48 +146,29 @@ class KnowledgeBaseService {
 
   // Get direct response for common symptoms
   getDirectSymptomResponse(query, language) {
-    const commonSymptoms = {
-      fever: {
-        en: "For fever, rest and drink plenty of water. Take paracetamol 500mg every 6 hours if needed. Use cold compress on forehead. See doctor if temperature exceeds 103°F or persists for more than 3 days.",
-        hi: "बुखार के लिए आराम करें और बहुत पानी पिएं। जरूरत पड़ने पर हर 6 घंटे में पैरासिटामोल 500mg लें। माथे पर ठंडी पट्टी रखें। यदि तापमान 103°F से अधिक हो या 3 दिन से अधिक रहे तो डॉक्टर से मिलें।",
-        hinglish: "Fever ke liye aaram karo aur bahut paani piyo. Jarurat padne par har 6 ghante mein paracetamol 500mg lo. Mathe par thandi patti rakho. Agar temperature 103°F se zyada ho ya 3 din se zyada rahe to doctor se milo."
-      },
-      headache: {
-        en: "For headache, rest in a quiet, dark room. Apply cold or warm compress on forehead. Take paracetamol or ibuprofen as directed. Stay hydrated. See doctor if severe or persistent.",
-        hi: "सिरदर्द के लिए शांत, अंधेरे कमरे में आराम करें। माथे पर ठंडी या गर्म पट्टी लगाएं। निर्देशानुसार पैरासिटामोल या इबुप्रोफेन लें। हाइड्रेटेड रहें। यदि गंभीर या लगातार हो तो डॉक्टर से मिलें।",
-        hinglish: "Headache ke liye shaant, andhera kamre mein aaram karo. Mathe par thandi ya garm patti lagao. Direction ke according paracetamol ya ibuprofen lo. Hydrated raho. Agar serious ya lagatar ho to doctor se milo."
-      },
-      cough: {
-        en: "For cough, drink warm water with honey and lemon. Use steam inhalation. Avoid cold drinks and ice cream. Take cough syrup if needed. See doctor if blood in cough or persists for more than 2 weeks.",
-        hi: "खांसी के लिए शहद और नींबू के साथ गर्म पानी पिएं। भाप का सेवन करें। ठंडे पेय और आइसक्रीम से बचें। जरूरत पड़ने पर खांसी की सिरप लें। यदि खांसी में खून या 2 सप्ताह से अधिक हो तो डॉक्टर से मिलें।",
-        hinglish: "Cough ke liye honey aur lemon ke saath garm paani piyo. Steam inhalation karo. Thande drinks aur ice cream se bacho. Jarurat padne par cough syrup lo. Agar cough mein blood ho ya 2 hafta se zyada ho to doctor se milo."
-      }
-    };
+    const symptom = this.findCommonSymptom(query);
+    if (symptom) {
+      return COMMON_SYMPTOMS[symptom][language] || COMMON_SYMPTOMS[symptom]['en'];
+    }
 
+    return null;
+  }
+
+  // Common symptom a query is about, by English name or Hindi/Hinglish variant
+  findCommonSymptom(query) {
     // Check for direct symptom matches
-    for (const [symptom, responses] of Object.entries(commonSymptoms)) {
+    for (const symptom of Object.keys(COMMON_SYMPTOMS)) {
       const symptomKeywords = [symptom, symptom + 's', 'i have ' + symptom, symptom + ' problem'];
       
       if (symptomKeywords.some(keyword => query.includes(keyword))) {
-        return responses[language] || responses['en'];
+        return symptom;
       }
     }
 
     // Check for Hindi/Hinglish variants
-    const hindiSymptoms = {
-      'bukhar': 'fever',
-      'garmi': 'fever', 
-      'temperature': 'fever',
-      'sir dard': 'headache',
-      'sar dard': 'headache',
-      'headache': 'headache',
-      'khansi': 'cough',
-      'khasi': 'cough'
-    };
-
-    for (const [hindiWord, englishSymptom] of Object.entries(hindiSymptoms)) {
-      if (query.includes(hindiWord) && commonSymptoms[englishSymptom]) {
-        return commonSymptoms[englishSymptom][language] || commonSymptoms[englishSymptom]['en'];
+    for (const [hindiWord, englishSymptom] of Object.entries(HINDI_SYMPTOMS)) {
+      if (query.includes(hindiWord)) {
+        return englishSymptom;
       }
     }
 
@@ -193,18 +247,122 @@ class KnowledgeBaseService {
 
   // Search emergency information
   searchEmergencyInfo(query, language) {
-    const emergencyKeywords = [
-      'emergency', 'urgent', 'help', 'ambulance', 'hospital',
-      'emergency', 'apatkal', 'madad', 'ambulance', 'aspatal'
-    ];
-
-    if (emergencyKeywords.some(keyword => query.includes(keyword))) {
+    if (EMERGENCY_KEYWORDS.some(keyword => query.includes(keyword))) {
       return this.getEmergencyContacts(language);
     }
 
     return null;
   }
 
+  // Passages relevant to a query, most relevant first, to ground the AI's answer.
+  // Each is { id, title, text }, in the user's language where the knowledge base has it.
+  retrievePassages(query, language = 'en', limit = this.maxPassages) {
+    if (!this.retrievalEnabled || !query) {
+      return [];
+    }
+
+    const lowerQuery = query.toLowerCase();
+    const scored = [];
+
+    const symptom = this.findCommonSymptom(lowerQuery);
+    if (symptom) {
+      scored.push({ score: 4, passage: this.buildSymptomPassage(symptom, language) });
+    }
+
+    const askedSections = Object.keys(PASSAGE_SECTIONS)
+      .filter(section => PASSAGE_SECTIONS[section].some(keyword => this.mentions(lowerQuery, keyword)));
+
+    for (const [diseaseKey, diseaseData] of Object.entries(this.knowledgeBase.diseases)) {
+      const diseaseInfo = diseaseData[language] || diseaseData['en'];
+      const named = (DISEASE_ALIASES[diseaseKey] || [diseaseKey.replace(/_/g, ' ')])
+        .some(alias => this.mentions(lowerQuery, alias));
+      const symptomOverlap = this.countSymptomOverlap(lowerQuery, diseaseData, language);
+
+      if (!named && symptomOverlap === 0) {
+        continue;
+      }
+
+      for (const section of Object.keys(PASSAGE_SECTIONS)) {
+        if (!diseaseInfo[section]) continue;
+
+        // A named disease brings its definition first unless the question asks for something specific
+        let score = named ? 2 : 0;
+        if (askedSections.includes(section)) score += 2;
+        if (section === 'symptoms') score += symptomOverlap;
+        if (section === 'definition' && named && askedSections.length === 0) score += 1;
+
+        if (score > 0) {
+          scored.push({ score, passage: this.buildDiseasePassage(diseaseKey, section, diseaseInfo) });
+        }
+      }
+    }
+
+    // Emergency numbers always make it in for red-flag symptoms
+    const redFlag = triageService.isAtLeast(query, 'high');
+    if (redFlag || EMERGENCY_KEYWORDS.some(keyword => this.mentions(lowerQuery, keyword))) {
+      scored.push({ score: redFlag ? 10 : 1, passage: this.buildEmergencyPassage() });
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(item => item.passage);
+  }
+
+  // Reference section for an AI prompt: one "[id] title: text" line per passage
+  formatPassagesForPrompt(passages) {
+    return passages.map(passage => `[${passage.id}] ${passage.title}: ${passage.text}`).join('\n');
+  }
+
+  buildDiseasePassage(diseaseKey, section, diseaseInfo) {
+    const content = diseaseInfo[section];
+    return {
+      id: `${diseaseKey}.${section}`,
+      title: `${diseaseInfo.name} - ${SECTION_TITLES[section]}`,
+      text: this.truncatePassage(Array.isArray(content) ? content.join('; ') : content)
+    };
+  }
+
+  buildSymptomPassage(symptom, language) {
+    return {
+      id: `symptom.${symptom}`,
+      title: `${symptom.charAt(0).toUpperCase()}${symptom.slice(1)} - home care`,
+      text: COMMON_SYMPTOMS[symptom][language] || COMMON_SYMPTOMS[symptom]['en']
+    };
+  }
+
+  buildEmergencyPassage() {
+    return {
+      id: 'emergency_contacts.india',
+      title: 'Emergency numbers (India)',
+      text: (this.knowledgeBase.emergency_contacts?.india || []).join('; ')
+    };
+  }
+
+  truncatePassage(text) {
+    return text.length > PASSAGE_MAX_CHARS ? `${text.substring(0, PASSAGE_MAX_CHARS - 3)}...` : text;
+  }
+
+  // Whole-word (or whole-phrase) match; Devanagari has no case or word boundaries to worry about
+  mentions(text, phrase) {
+    if (/[^\x00-\x7F]/.test(phrase)) {
+      return text.includes(phrase);
+    }
+
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+  }
+
+  // How many of the query's words appear in a disease's symptom list (English and the user's language)
+  countSymptomOverlap(query, diseaseData, language) {
+    const symptomText = [...(diseaseData.en?.symptoms || []), ...(diseaseData[language]?.symptoms || [])]
+      .join(' ')
+      .toLowerCase();
+
+    const words = new Set(query.split(/[^\p{L}\p{M}]+/u).filter(word => word.length >= 4 && !OVERLAP_SKIP_WORDS.has(word)));
+    return [...words].filter(word => this.mentions(symptomText, word)).length;
+  }
+
   // Check for keyword matches
   checkKeywordMatch(query, keywords) {
     const queryWords = query.split(' ');
@@ -273,6 +273,260 @@ class LanguageService {
     return errorMessages[errorType]?.[language] || errorMessages[errorType]?.en || errorMessages.general_error[language];
   }
 
+  // Get confirmation message for a quick-reply action
+  getQuickReplyMessage(action, language = 'en') {
+    const messages = {
+      EMERGENCY_NO: {
+        en: 'Okay. Rest, drink plenty of fluids and keep watching your symptoms. Message me anytime if they get worse. 🙏',
+        hi: 'ठीक है। आराम करें, खूब पानी पिएं और अपने लक्षणों पर नज़र रखें। तबीयत बिगड़े तो कभी भी संदेश भेजें। 🙏',
+        hinglish: 'Theek hai. Aaram kariye, khoob paani pijiye aur symptoms par nazar rakhiye. Tabiyat bigde to kabhi bhi message kariye. 🙏'
+      },
+      TALK_TO_HEALTH_WORKER: {
+        en: 'Please contact your local ASHA worker or call the 104 health helpline to speak to a health worker. For emergencies dial 112. 📞',
+        hi: 'स्वास्थ्य कर्मी से बात करने के लिए अपनी आशा कार्यकर्ता से संपर्क करें या 104 हेल्पलाइन पर कॉल करें। आपातकाल में 112 डायल करें। 📞',
+        hinglish: 'Health worker se baat karne ke liye apni ASHA worker se contact kariye ya 104 helpline par call kariye. Emergency mein 112 dial kariye. 📞'
+      }
+    };
+
+    return messages[action]?.[language] || messages[action]?.en || this.getGreetingMessage(language);
+  }
+
+  // Alert text sent to a user's emergency contact
+  getEmergencyContactAlert(phoneNumber, query, language = 'en') {
+    const excerpt = query.length > 200 ? `${query.substring(0, 200)}...` : query;
+    const alerts = {
+      en: `${phoneNumber} may be having a medical emergency. They told our health assistant: "${excerpt}"\n\nPlease call or reach them right away. If you cannot reach them, dial 112.`,
+      hi: `${phoneNumber} को चिकित्सा आपातकाल हो सकता है। उन्होंने हमारे स्वास्थ्य सहायक को बताया: "${excerpt}"\n\nकृपया तुरंत उनसे संपर्क करें। संपर्क न हो पाए तो 112 डायल करें।`,
+      hinglish: `${phoneNumber} ko medical emergency ho sakti hai. Unhone hamare health assistant ko bataya: "${excerpt}"\n\nPlease turant unse contact kariye. Contact na ho paaye to 112 dial kariye.`
+    };
+
+    return alerts[language] || alerts.en;
+  }
+
+  // Messages for the emergency contact setup flow; params fill {placeholders}
+  getEmergencyContactMessage(key, language = 'en', params = {}) {
+    const messages = {
+      ask_number: {
+        en: 'Please send the mobile number of the person we should alert in an emergency (for example 98765 43210). Send CANCEL to stop.',
+        hi: 'कृपया उस व्यक्ति का मोबाइल नंबर भेजें जिसे आपातकाल में सूचना दी जाए (जैसे 98765 43210)। रोकने के लिए CANCEL भेजें।',
+        hinglish: 'Please us person ka mobile number bhejiye jise emergency mein alert kiya jaye (jaise 98765 43210). Rokne ke liye CANCEL bhejiye.'
+      },
+      invalid_number: {
+        en: 'That does not look like a valid mobile number. Please send a 10-digit number, or CANCEL to stop.',
+        hi: 'यह सही मोबाइल नंबर नहीं लगता। कृपया 10 अंकों का नंबर भेजें, या रोकने के लिए CANCEL भेजें।',
+        hinglish: 'Ye sahi mobile number nahi lag raha. Please 10 digit ka number bhejiye, ya rokne ke liye CANCEL bhejiye.'
+      },
+      own_number: {
+        en: 'That is your own number. Please send the number of a family member or friend.',
+        hi: 'यह आपका अपना नंबर है। कृपया परिवार के सदस्य या दोस्त का नंबर भेजें।',
+        hinglish: 'Ye aapka apna number hai. Please family member ya dost ka number bhejiye.'
+      },
+      contact_opted_out: {
+        en: '{contact} has stopped messages from this service, so they cannot be alerted. Please send a different number, or ask them to send START first.',
+        hi: '{contact} ने इस सेवा से संदेश बंद कर रखे हैं, इसलिए उन्हें सूचना नहीं भेजी जा सकती। कृपया दूसरा नंबर भेजें, या उनसे पहले START भेजने को कहें।',
+        hinglish: '{contact} ne is service se messages band kar rakhe hain, isliye unhe alert nahi bheja ja sakta. Please dusra number bhejiye, ya unse pehle START bhejne ko kahiye.'
+      },
+      verification_sent: {
+        en: '✅ Saved. I have sent {contact} a message to confirm. They will get alerts as soon as you report an emergency.',
+        hi: '✅ सेव हो गया। पुष्टि के लिए मैंने {contact} को संदेश भेजा है। आपातकाल बताने पर उन्हें तुरंत सूचना मिलेगी।',
+        hinglish: '✅ Save ho gaya. Confirm karne ke liye maine {contact} ko message bheja hai. Emergency batane par unhe turant alert milega.'
+      },
+      contact_accepted: {
+        en: '✅ {contact} confirmed they will be your emergency contact.',
+        hi: '✅ {contact} ने आपका आपातकालीन संपर्क बनने की पुष्टि की है।',
+        hinglish: '✅ {contact} ne aapka emergency contact banne ki confirm kar diya hai.'
+      },
+      contact_declined: {
+        en: '{contact} declined to be your emergency contact, so it has been removed. Send "emergency contact" to add someone else.',
+        hi: '{contact} ने आपातकालीन संपर्क बनने से मना किया, इसलिए इसे हटा दिया गया है। किसी और को जोड़ने के लिए "आपातकालीन संपर्क" भेजें।',
+        hinglish: '{contact} ne emergency contact banne se mana kiya, isliye ise hata diya gaya hai. Kisi aur ko add karne ke liye "emergency contact" bhejiye.'
+      },
+      thanks_contact: {
+        en: 'Thank you. You will be alerted here if {user} reports a medical emergency.',
+        hi: 'धन्यवाद। अगर {user} चिकित्सा आपातकाल बताते हैं तो आपको यहां सूचना मिलेगी।',
+        hinglish: 'Dhanyavaad. Agar {user} medical emergency batate hain to aapko yahan alert milega.'
+      },
+      declined_contact: {
+        en: 'Okay, you will not receive alerts for {user}.',
+        hi: 'ठीक है, आपको {user} के लिए सूचनाएं नहीं मिलेंगी।',
+        hinglish: 'Theek hai, aapko {user} ke liye alerts nahi milenge.'
+      },
+      tap_to_confirm: {
+        en: 'To accept or decline being someone\'s emergency contact, please tap a button on their request message.',
+        hi: 'किसी का आपातकालीन संपर्क बनना स्वीकार या मना करने के लिए, कृपया उनके अनुरोध संदेश पर बटन दबाएं।',
+        hinglish: 'Kisi ka emergency contact banna accept ya mana karne ke liye, please unke request message par button dabaiye.'
+      },
+      request_closed: {
+        en: 'This emergency contact request is no longer open, so nothing was changed.',
+        hi: 'यह आपातकालीन संपर्क अनुरोध अब खुला नहीं है, इसलिए कुछ नहीं बदला गया।',
+        hinglish: 'Ye emergency contact request ab khula nahi hai, isliye kuch nahi badla gaya.'
+      },
+      removed: {
+        en: 'Your emergency contact has been removed.',
+        hi: 'आपका आपातकालीन संपर्क हटा दिया गया है।',
+        hinglish: 'Aapka emergency contact hata diya gaya hai.'
+      },
+      none_set: {
+        en: 'You have no emergency contact saved.',
+        hi: 'आपका कोई आपातकालीन संपर्क सेव नहीं है।',
+        hinglish: 'Aapka koi emergency contact save nahi hai.'
+      },
+      kept: {
+        en: 'Okay, your emergency contact stays {contact}.',
+        hi: 'ठीक है, आपका आपातकालीन संपर्क {contact} ही रहेगा।',
+        hinglish: 'Theek hai, aapka emergency contact {contact} hi rahega.'
+      },
+      cancelled: {
+        en: 'Okay, cancelled. Your emergency contact was not changed.',
+        hi: 'ठीक है, रद्द कर दिया। आपका आपातकालीन संपर्क नहीं बदला गया।',
+        hinglish: 'Theek hai, cancel kar diya. Aapka emergency contact nahi badla gaya.'
+      },
+      unavailable: {
+        en: 'Sorry, emergency contacts cannot be saved right now. Please try again later. In an emergency dial 112.',
+        hi: 'क्षमा करें, अभी आपातकालीन संपर्क सेव नहीं हो सकता। कृपया बाद में प्रयास करें। आपातकाल में 112 डायल करें।',
+        hinglish: 'Sorry, abhi emergency contact save nahi ho sakta. Please baad mein try kariye. Emergency mein 112 dial kariye.'
+      },
+      status_pending: {
+        en: 'waiting for their confirmation',
+        hi: 'पुष्टि बाकी',
+        hinglish: 'confirmation baaki hai'
+      },
+      status_verified: {
+        en: 'confirmed',
+        hi: 'पुष्टि हो चुकी',
+        hinglish: 'confirm ho chuka'
+      }
+    };
+
+    const template = messages[key]?.[language] || messages[key]?.en || '';
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+  }
+
+  // Replies to chat commands (HELP, LANG, HISTORY, RESET, DELETE MY DATA, STOP, START)
+  getCommandMessage(key, language = 'en') {
+    const messages = {
+      help: {
+        en: '🩺 I answer health questions in English, Hindi and Hinglish. Type your question or send a voice note.\n\nCommands:\nHELP - this message\nLANG EN / LANG HI / LANG HINGLISH - reply language\nHISTORY - your recent questions\nRESET - start a fresh conversation\nEMERGENCY CONTACT - who to alert in an emergency\nDELETE MY DATA - erase your data\nSTOP - stop all messages (START to resume)\n\nIn an emergency dial 112.',
+        hi: '🩺 मैं हिंदी, अंग्रेज़ी और हिंग्लिश में स्वास्थ्य सवालों के जवाब देता हूं। अपना सवाल लिखें या वॉइस नोट भेजें।\n\nकमांड:\nमदद - यह संदेश\nभाषा हिंदी / LANG EN / LANG HINGLISH - जवाब की भाषा\nइतिहास - आपके हाल के सवाल\nरीसेट - नई बातचीत शुरू करें\nआपातकालीन संपर्क - आपातकाल में किसे सूचना दें\nमेरा डेटा हटाओ - अपना डेटा मिटाएं\nबंद करो - सभी संदेश बंद (फिर शुरू करने के लिए शुरू भेजें)\n\nआपातकाल में 112 डायल करें।',
+        hinglish: '🩺 Main Hindi, English aur Hinglish mein health sawalon ke jawab deta hun. Apna sawal likhiye ya voice note bhejiye.\n\nCommands:\nMADAD - ye message\nLANG HINGLISH / LANG HI / LANG EN - jawab ki bhasha\nHISTORY - aapke recent sawal\nRESET - nayi baatcheet shuru kariye\nEMERGENCY CONTACT - emergency mein kise alert karein\nMERA DATA DELETE KARO - apna data mitaiye\nBAND KARO - saare messages band (phir se shuru karne ke liye SHURU bhejiye)\n\nEmergency mein 112 dial kariye.'
+      },
+      language_set: {
+        en: '✅ I will reply in English from now on.',
+        hi: '✅ अब से मैं हिंदी में जवाब दूंगा।',
+        hinglish: '✅ Ab se main Hinglish mein jawab dunga.'
+      },
+      language_unknown: {
+        en: 'I can reply in English, Hindi or Hinglish. Send LANG EN, LANG HI or LANG HINGLISH.',
+        hi: 'मैं अंग्रेज़ी, हिंदी या हिंग्लिश में जवाब दे सकता हूं। LANG EN, LANG HI या LANG HINGLISH भेजें।',
+        hinglish: 'Main English, Hindi ya Hinglish mein jawab de sakta hun. LANG EN, LANG HI ya LANG HINGLISH bhejiye.'
+      },
+      history_header: {
+        en: '📋 Your recent questions:',
+        hi: '📋 आपके हाल के सवाल:',
+        hinglish: '📋 Aapke recent sawal:'
+      },
+      history_empty: {
+        en: 'You have not asked any questions yet.',
+        hi: 'आपने अभी तक कोई सवाल नहीं पूछा है।',
+        hinglish: 'Aapne abhi tak koi sawal nahi pucha hai.'
+      },
+      reset: {
+        en: '🔄 Done. I will treat your next message as a new conversation.',
+        hi: '🔄 हो गया। आपका अगला संदेश नई बातचीत माना जाएगा।',
+        hinglish: '🔄 Ho gaya. Aapka agla message nayi baatcheet maana jayega.'
+      },
+      data_deleted: {
+        en: '🗑️ All your data has been deleted. You can keep asking questions any time.',
+        hi: '🗑️ आपका सारा डेटा मिटा दिया गया है। आप कभी भी फिर से सवाल पूछ सकते हैं।',
+        hinglish: '🗑️ Aapka saara data delete kar diya gaya hai. Aap kabhi bhi phir se sawal puch sakte hain.'
+      },
+      delete_cancelled: {
+        en: 'Okay, nothing was deleted.',
+        hi: 'ठीक है, कुछ भी नहीं मिटाया गया।',
+        hinglish: 'Theek hai, kuch bhi delete nahi kiya gaya.'
+      },
+      stopped: {
+        en: 'You will not receive any more messages from this health assistant. Send START to turn messages back on.',
+        hi: 'अब आपको इस स्वास्थ्य सहायक से कोई संदेश नहीं मिलेगा। फिर से शुरू करने के लिए START या शुरू भेजें।',
+        hinglish: 'Ab aapko is health assistant se koi message nahi milega. Phir se shuru karne ke liye START ya SHURU bhejiye.'
+      },
+      started: {
+        en: '✅ Welcome back! Messages are on again. Send HELP to see what I can do.',
+        hi: '✅ फिर से स्वागत है! संदेश फिर से चालू हैं। मैं क्या कर सकता हूं, देखने के लिए मदद भेजें।',
+        hinglish: '✅ Welcome back! Messages phir se chalu hain. Main kya kar sakta hun dekhne ke liye MADAD bhejiye.'
+      },
+      unavailable: {
+        en: 'Sorry, I cannot change your settings right now. Please try again later.',
+        hi: 'क्षमा करें, अभी आपकी सेटिंग्स नहीं बदल सकता। कृपया बाद में प्रयास करें।',
+        hinglish: 'Sorry, abhi aapki settings change nahi ho sakti. Please baad mein try kariye.'
+      }
+    };
+
+    return messages[key]?.[language] || messages[key]?.en || '';
+  }
+
+  // Messages to a patient whose conversation is handed to a health worker
+  getHandoffMessage(key, language = 'en', params = {}) {
+    const messages = {
+      queued: {
+        en: '👩‍⚕️ I have asked a health worker to reply to you. They will message you here, usually within a few hours. In an emergency dial 112.',
+        hi: '👩‍⚕️ मैंने एक स्वास्थ्य कर्मी से आपको जवाब देने को कहा है। वे आमतौर पर कुछ घंटों में यहीं संदेश भेजेंगे। आपातकाल में 112 डायल करें।',
+        hinglish: '👩‍⚕️ Maine ek health worker ko aapko reply karne ko kaha hai. Wo aam taur par kuch ghanton mein yahin message karenge. Emergency mein 112 dial kariye.'
+      },
+      already_queued: {
+        en: 'A health worker has already been asked to reply to you. They will message you here soon.',
+        hi: 'एक स्वास्थ्य कर्मी को पहले ही आपको जवाब देने के लिए कहा जा चुका है। वे जल्द ही यहां संदेश भेजेंगे।',
+        hinglish: 'Ek health worker ko pehle hi aapko reply karne ke liye kaha ja chuka hai. Wo jaldi yahan message karenge.'
+      },
+      low_confidence: {
+        en: 'I am not fully sure about this answer, so I have also asked a health worker to look at your question. They will message you here.',
+        hi: 'मुझे इस जवाब पर पूरा भरोसा नहीं है, इसलिए मैंने एक स्वास्थ्य कर्मी से भी आपका सवाल देखने को कहा है। वे यहां संदेश भेजेंगे।',
+        hinglish: 'Mujhe is jawab par pura bharosa nahi hai, isliye maine ek health worker ko bhi aapka sawal dekhne ko kaha hai. Wo yahan message karenge.'
+      },
+      claimed: {
+        en: '👩‍⚕️ {worker}, a health worker, is now looking after your question. Your messages will go to them until they close the conversation.',
+        hi: '👩‍⚕️ स्वास्थ्य कर्मी {worker} अब आपका सवाल देख रहे हैं। बातचीत बंद होने तक आपके संदेश उन्हीं के पास जाएंगे।',
+        hinglish: '👩‍⚕️ Health worker {worker} ab aapka sawal dekh rahe hain. Baatcheet band hone tak aapke messages unhi ke paas jayenge.'
+      },
+      worker_message: {
+        en: '👩‍⚕️ {worker}: {message}',
+        hi: '👩‍⚕️ {worker}: {message}',
+        hinglish: '👩‍⚕️ {worker}: {message}'
+      },
+      closed: {
+        en: 'The health worker has closed this conversation. I am back to answer your questions - send HELP to see what I can do.',
+        hi: 'स्वास्थ्य कर्मी ने यह बातचीत बंद कर दी है। अब मैं फिर से आपके सवालों के जवाब दूंगा - मदद भेजकर देखें मैं क्या कर सकता हूं।',
+        hinglish: 'Health worker ne ye baatcheet band kar di hai. Ab main phir se aapke sawalon ke jawab dunga - MADAD bhejkar dekhiye main kya kar sakta hun.'
+      }
+    };
+
+    const template = messages[key]?.[language] || messages[key]?.en || '';
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+  }
+
+  // Guided triage follow-up prompts that are not menus
+  getTriageSessionMessage(key, language = 'en') {
+    const messages = {
+      intro: {
+        en: '🩺 A few quick questions so my advice fits your situation. Reply SKIP at any time to get advice straight away.',
+        hi: '🩺 कुछ छोटे सवाल, ताकि मेरी सलाह आपकी स्थिति के अनुसार हो। तुरंत सलाह के लिए कभी भी SKIP या छोड़ो भेजें।',
+        hinglish: '🩺 Kuch chhote sawal, taaki meri salah aapki situation ke hisaab se ho. Turant salah ke liye kabhi bhi SKIP ya CHHODO bhejiye.'
+      },
+      ask_age: {
+        en: 'How old is the person who is unwell? Reply with the age in years, or in months for a baby.',
+        hi: 'जो बीमार है, उनकी उम्र कितनी है? उम्र साल में लिखें, या बच्चे के लिए महीनों में।',
+        hinglish: 'Jo bimar hai, unki umar kitni hai? Umar saal mein likhiye, ya baby ke liye mahino mein.'
+      },
+      ask_associated: {
+        en: 'Any other symptoms? For example vomiting, rash, cough or trouble breathing. Reply NO if there are none.',
+        hi: 'क्या कोई और लक्षण हैं? जैसे उल्टी, दाने, खांसी या सांस लेने में तकलीफ। कोई नहीं है तो नहीं भेजें।',
+        hinglish: 'Koi aur symptoms hain? Jaise ulti, rash, khansi ya saans lene mein takleef. Koi nahi hai to NAHI bhejiye.'
+      }
+    };
+
+    return messages[key]?.[language] || messages[key]?.en || '';
+  }
+
   // Get greeting message in appropriate language
   getGreetingMessage(language = 'en') {
     const greetings = {
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const openaiService = require('./openaiService');
+const promptTemplateService = require('./promptTemplateService');
+const usageService = require('./usageService');
+
+/**
+ * Local LLM Service
+ * Talks to any OpenAI-compatible chat completions endpoint on the local
+ * network - Ollama (http://localhost:11434/v1), llama.cpp server, vLLM,
+ * LM Studio - so a clinic with poor connectivity can answer on-prem. The
+ * prompt is the same one sent to OpenAI.
+ */
+class LocalLlmService {
+  constructor() {
+    this.baseUrl = (process.env.LOCAL_LLM_URL || '').replace(/\/+$/, '');
+    this.model = 'llama3.1:8b';
+    this.apiKey = process.env.LOCAL_LLM_API_KEY || null;
+  }
+
+  // Process health query using the local model; settings come from the provider config
+  // and the signal cancels the HTTP call
+  async processHealthQuery({ query, userQuery = query, language, context, passages = [], settings = {}, signal }) {
+    try {
+      if (!this.baseUrl) {
+        throw new Error('Local LLM not configured');
+      }
+
+      const messages = openaiService.buildHealthMessages(query, language, context, passages, { structured: settings.structuredOutput, userQuery });
+
+      const model = settings.model || this.model;
+      logger.info(`🖥️ Sending query to local LLM (${model})...`);
+
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        {
+          model: model,
+          messages: messages,
+          max_tokens: settings.maxTokens || 500,
+          temperature: settings.temperature ?? 0.7,
+          top_p: 0.9,
+          stream: false
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+          },
+          signal
+        }
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content;
+
+      if (!text || text.trim().length === 0) {
+        throw new Error('Empty response from local LLM');
+      }
+
+      logger.info('✅ Local LLM response received');
+
+      return {
+        message: text.trim(),
+        confidence: 0.8,
+        provider: 'local_llm',
+        // Ollama and llama.cpp report usage; servers that don't get an estimate
+        usage: usageService.buildUsage({
+          reported: response.data.usage,
+          prompt: messages.map(message => message.content).join('\n'),
+          completion: text
+        }),
+        passageIds: passages.map(passage => passage.id),
+        promptTemplate: promptTemplateService.getTemplateId('health_answer')
+      };
+
+    } catch (error) {
+      logger.error('Local LLM error:', error);
+      throw error;
+    }
+  }
+
+  // Check if a local endpoint is configured
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+}
+
+module.exports = new LocalLlmService();
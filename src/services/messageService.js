@@ -1,79 +1,361 @@
 const twilio = require('twilio');
 const axios = require('axios');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const whatsappCloudService = require('./whatsappCloudService');
+const sandboxService = require('./sandboxService');
+const outboundQueueService = require('./outboundQueueService');
+const quickReplyService = require('./quickReplyService');
+const supabaseService = require('./supabaseService');
+const optOutService = require('./optOutService');
+const MessageSegmenter = require('../utils/messageSegmenter');
 
 class MessageService {
   constructor() {
+    // WhatsApp transport for this deployment: 'twilio' (default), 'meta' (Cloud API)
+    // or 'sandbox' (offline outbox for development and tests)
+    this.provider = (process.env.WHATSAPP_PROVIDER || 'twilio').toLowerCase();
+
+    // Longer replies are split into numbered parts (Twilio caps at 1600 chars, Cloud API at 4096)
+    this.maxMessageLength = parseInt(process.env.MAX_MESSAGE_LENGTH) || (this.provider === 'meta' ? 4000 : 1500);
+    this.partDelayMs = parseInt(process.env.MESSAGE_PART_DELAY_MS) || 1000;
+
     // Initialize Twilio client
     if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
       this.twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
       this.twilioNumber = process.env.TWILIO_PHONE_NUMBER;
     }
 
+    // Twilio Content API templates created for interactive menus, keyed by definition
+    this.twilioContentCache = new Map();
+
     // Initialize other providers
     this.mtalkzApiKey = process.env.MTALKZ_API_KEY;
     this.smsIndiaHubApiKey = process.env.SMSINDIALUB_API_KEY;
+
+    // Text replies go through the durable outbound queue (retries + dead-letter)
+    outboundQueueService.registerHandler('text', (job) => this.deliverQueuedText(job));
+    outboundQueueService.registerHandler('interactive', (job) => this.deliverQueuedInteractive(job));
+    outboundQueueService.registerHandler('template', (job) => this.deliverQueuedTemplate(job));
   }
 
-  // Send WhatsApp text message via Twilio
-  async sendWhatsAppMessage(to, message) {
-    try {
-      if (!this.twilioClient) {
-        throw new Error('Twilio client not configured');
-      }
+  // Send WhatsApp text message, split into ordered parts if it is too long.
+  // allowOptedOut is only for the confirmation of a STOP request itself.
+  async sendWhatsAppMessage(to, message, { allowOptedOut = false } = {}) {
+    if (!allowOptedOut && await this.isOptedOut(to, 'text message')) {
+      return [];
+    }
+
+    const parts = MessageSegmenter.split(message, this.maxMessageLength);
+    const groupId = parts.length > 1 ? crypto.randomUUID() : null;
+
+    if (parts.length > 1) {
+      logger.info(`✂️ Splitting ${message.length} char message to ${to} into ${parts.length} parts`);
+    }
+
+    const jobs = parts.map((part, index) => outboundQueueService.enqueue({
+      to,
+      type: 'text',
+      payload: { body: part, allowOptedOut },
+      groupId,
+      part: index + 1,
+      totalParts: parts.length
+    }));
+
+    // Deliver now; anything that fails stays queued and is retried with backoff
+    await outboundQueueService.processRecipient(to);
+
+    return jobs;
+  }
 
-      // Handle phone number format - remove whatsapp: prefix if already present
-      const toNumber = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
-      const fromNumber = this.twilioNumber.startsWith('whatsapp:') ? this.twilioNumber : `whatsapp:${this.twilioNumber}`;
+  // Outbound queue handler: deliver one text part, throwing if every provider fails
+  async deliverQueuedText(job) {
+    if (!job.payload.allowOptedOut) {
+      await this.assertNotOptedOut(job.to);
+    }
+
+    // Space out multi-part messages so they arrive in order
+    if (job.part > 1) {
+      await new Promise(resolve => setTimeout(resolve, this.partDelayMs));
+    }
+
+    return await this.sendWhatsAppPart(job.to, job.payload.body);
+  }
 
-      // Limit message length to 1600 characters (WhatsApp limit)
-      let truncatedMessage = message;
-      if (message.length > 1500) {
-        truncatedMessage = message.substring(0, 1500) + '\n\n💬 Message truncated due to length limit.';
+  // Send a single message part via the configured provider, then the SMS fallbacks
+  async sendWhatsAppPart(to, message) {
+    try {
+      if (this.provider === 'meta') {
+        return await whatsappCloudService.sendTextMessage(to, message);
       }
 
-      const result = await this.twilioClient.messages.create({
-        body: truncatedMessage,
-        from: fromNumber,
-        to: toNumber
-      });
+      if (this.provider === 'sandbox') {
+        return await sandboxService.sendTextMessage(to, message);
+      }
 
-      logger.info(`📤 WhatsApp message sent via Twilio to ${to}, SID: ${result.sid}`);
-      return result;
+      const result = await this.sendViaTwilio(to, message);
+      return { sid: result.sid, provider: 'twilio', raw: result };
 
     } catch (error) {
-      logger.error('Failed to send WhatsApp message via Twilio:', error);
+      logger.error(`Failed to send WhatsApp message via ${this.provider}:`, error);
       
       // Try alternative providers
-      return await this.sendViaMtalkz(to, message) || 
-             await this.sendViaSmsIndiaHub(to, message);
+      const mtalkzResult = await this.sendViaMtalkz(to, message);
+      if (mtalkzResult) {
+        return { sid: mtalkzResult.message_id || null, provider: 'mtalkz', raw: mtalkzResult };
+      }
+
+      const smsIndiaHubResult = await this.sendViaSmsIndiaHub(to, message);
+      if (smsIndiaHubResult) {
+        return { sid: smsIndiaHubResult.message_id || null, provider: 'smsindiahub', raw: smsIndiaHubResult };
+      }
+
+      throw error;
     }
   }
 
-  // Send WhatsApp voice message via Twilio
+  // Send quick-reply buttons or a list picker; falls back to numbered text
+  async sendInteractiveMessage(to, richMessage) {
+    if (await this.isOptedOut(to, `${richMessage.menuId} menu`)) {
+      return null;
+    }
+
+    // Remember the menu so numbered or typed replies can be mapped back to an action
+    quickReplyService.rememberMenu(to, richMessage);
+
+    const job = outboundQueueService.enqueue({
+      to,
+      type: 'interactive',
+      payload: { richMessage }
+    });
+
+    await outboundQueueService.processRecipient(to);
+
+    return job;
+  }
+
+  // Outbound queue handler: deliver an interactive message
+  async deliverQueuedInteractive(job) {
+    const { richMessage } = job.payload;
+    await this.assertNotOptedOut(job.to);
+
+    try {
+      if (this.provider === 'meta') {
+        return await whatsappCloudService.sendInteractiveMessage(job.to, richMessage);
+      }
+
+      if (this.provider === 'sandbox') {
+        return await sandboxService.sendInteractiveMessage(job.to, richMessage, quickReplyService.formatAsText(richMessage));
+      }
+
+      const result = await this.sendInteractiveViaTwilio(job.to, richMessage);
+      return { sid: result.sid, provider: 'twilio', raw: result };
+
+    } catch (error) {
+      logger.warn(`Interactive message to ${job.to} failed (${error.message}), sending numbered text instead`);
+      return await this.sendWhatsAppPart(job.to, quickReplyService.formatAsText(richMessage));
+    }
+  }
+
+  // Send an approved WhatsApp template: { name, contentSid, language, params, buttons: [{ title, payload }], body }.
+  // Only a template may start a conversation with a number that hasn't messaged us in the last 24 hours.
+  async sendTemplateMessage(to, template) {
+    if (await this.isOptedOut(to, `${template.name} template`)) {
+      return null;
+    }
+
+    const job = outboundQueueService.enqueue({
+      to,
+      type: 'template',
+      payload: { template }
+    });
+
+    await outboundQueueService.processRecipient(to);
+
+    return job;
+  }
+
+  // Outbound queue handler: deliver a template message. There is no free-text fallback,
+  // since outside the 24-hour window WhatsApp would reject that too.
+  async deliverQueuedTemplate(job) {
+    const { template } = job.payload;
+    await this.assertNotOptedOut(job.to);
+
+    if (this.provider === 'meta') {
+      return await whatsappCloudService.sendTemplateMessage(job.to, template);
+    }
+
+    if (this.provider === 'sandbox') {
+      return await sandboxService.sendTemplateMessage(job.to, template);
+    }
+
+    const result = await this.sendTemplateViaTwilio(job.to, template);
+    return { sid: result.sid, provider: 'twilio', raw: result };
+  }
+
+  // Send an approved Content API template via Twilio; variables are the body parameters, then the button payloads
+  async sendTemplateViaTwilio(to, template) {
+    if (!this.twilioClient) {
+      throw new Error('Twilio client not configured');
+    }
+    if (!template.contentSid) {
+      throw new Error(`No Twilio content SID configured for the ${template.name} template`);
+    }
+
+    const values = [...template.params, ...template.buttons.map(button => button.payload)];
+    const contentVariables = Object.fromEntries(values.map((value, index) => [String(index + 1), value]));
+    const toNumber = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
+    const fromNumber = this.twilioNumber.startsWith('whatsapp:') ? this.twilioNumber : `whatsapp:${this.twilioNumber}`;
+
+    const result = await this.twilioClient.messages.create({
+      contentSid: template.contentSid,
+      contentVariables: JSON.stringify(contentVariables),
+      from: fromNumber,
+      to: toNumber
+    });
+
+    logger.info(`🧩 Template ${template.name} sent via Twilio to ${to}, SID: ${result.sid}`);
+    return result;
+  }
+
+  // Send interactive content via Twilio (Content API quick-reply / list-picker)
+  async sendInteractiveViaTwilio(to, richMessage) {
+    if (!this.twilioClient) {
+      throw new Error('Twilio client not configured');
+    }
+
+    const contentSid = await this.getTwilioContentSid(richMessage);
+    const toNumber = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
+    const fromNumber = this.twilioNumber.startsWith('whatsapp:') ? this.twilioNumber : `whatsapp:${this.twilioNumber}`;
+
+    const result = await this.twilioClient.messages.create({
+      contentSid,
+      from: fromNumber,
+      to: toNumber
+    });
+
+    logger.info(`🔘 Interactive ${richMessage.menuId} sent via Twilio to ${to}, SID: ${result.sid}`);
+    return result;
+  }
+
+  // Create (once) the Twilio Content API template for a rich message
+  async getTwilioContentSid(richMessage) {
+    const cacheKey = crypto.createHash('sha1').update(JSON.stringify(richMessage)).digest('hex');
+    if (this.twilioContentCache.has(cacheKey)) {
+      return this.twilioContentCache.get(cacheKey);
+    }
+
+    const types = richMessage.list
+      ? {
+          'twilio/list-picker': {
+            body: richMessage.body,
+            button: richMessage.list.button,
+            items: richMessage.list.options.map(option => ({
+              item: option.title,
+              id: option.id,
+              description: option.description || ''
+            }))
+          }
+        }
+      : {
+          'twilio/quick-reply': {
+            body: richMessage.body,
+            actions: richMessage.buttons.map(option => ({ title: option.title, id: option.id }))
+          }
+        };
+
+    // Plain text variant for channels that can't render the interactive type
+    types['twilio/text'] = { body: quickReplyService.formatAsText(richMessage) };
+
+    const response = await axios.post('https://content.twilio.com/v1/Content', {
+      friendly_name: `health_${richMessage.menuId}_${richMessage.language}_${cacheKey.substring(0, 8)}`,
+      language: richMessage.language === 'hi' ? 'hi' : 'en',
+      types
+    }, {
+      auth: {
+        username: process.env.TWILIO_ACCOUNT_SID,
+        password: process.env.TWILIO_AUTH_TOKEN
+      },
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+
+    this.twilioContentCache.set(cacheKey, response.data.sid);
+    logger.info(`🧩 Created Twilio content template ${response.data.sid} for ${richMessage.menuId} (${richMessage.language})`);
+    return response.data.sid;
+  }
+
+  // Send WhatsApp text message via Twilio
+  async sendViaTwilio(to, message) {
+    if (!this.twilioClient) {
+      throw new Error('Twilio client not configured');
+    }
+
+    // Handle phone number format - remove whatsapp: prefix if already present
+    const toNumber = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
+    const fromNumber = this.twilioNumber.startsWith('whatsapp:') ? this.twilioNumber : `whatsapp:${this.twilioNumber}`;
+
+    const result = await this.twilioClient.messages.create({
+      body: message,
+      from: fromNumber,
+      to: toNumber
+    });
+
+    logger.info(`📤 WhatsApp message sent via Twilio to ${to}, SID: ${result.sid}`);
+    return result;
+  }
+
+  // Send WhatsApp voice message via the configured provider
   async sendWhatsAppVoiceMessage(to, mediaUrl) {
+    if (await this.isOptedOut(to, 'voice message')) {
+      return null;
+    }
+
     try {
-      if (!this.twilioClient) {
-        throw new Error('Twilio client not configured');
+      let result;
+
+      if (this.provider === 'meta') {
+        result = await whatsappCloudService.sendAudioMessage(to, mediaUrl);
+      } else if (this.provider === 'sandbox') {
+        result = await sandboxService.sendAudioMessage(to, mediaUrl);
+      } else {
+        if (!this.twilioClient) {
+          throw new Error('Twilio client not configured');
+        }
+
+        const twilioResult = await this.twilioClient.messages.create({
+          mediaUrl: [mediaUrl],
+          from: `whatsapp:${this.twilioNumber}`,
+          to: `whatsapp:${to}`
+        });
+
+        logger.info(`🔊 WhatsApp voice message sent via Twilio to ${to}, SID: ${twilioResult.sid}`);
+        result = { sid: twilioResult.sid, provider: 'twilio', raw: twilioResult };
       }
 
-      const result = await this.twilioClient.messages.create({
-        mediaUrl: [mediaUrl],
-        from: `whatsapp:${this.twilioNumber}`,
-        to: `whatsapp:${to}`
+      await supabaseService.logMessage(to, 'voice', mediaUrl, {}, {
+        messageSid: result.sid,
+        provider: result.provider,
+        direction: 'outbound',
+        status: result.raw?.status || 'sent'
       });
 
-      logger.info(`🔊 WhatsApp voice message sent via Twilio to ${to}, SID: ${result.sid}`);
       return result;
 
     } catch (error) {
-      logger.error('Failed to send WhatsApp voice message via Twilio:', error);
+      logger.error(`Failed to send WhatsApp voice message via ${this.provider}:`, error);
       throw error;
     }
   }
 
   // Send via Mtalkz (alternative provider)
   async sendViaMtalkz(to, message) {
+    if (this.provider === 'sandbox') {
+      return await sandboxService.sendSms(to, message, 'mtalkz');
+    }
+
     try {
       if (!this.mtalkzApiKey) {
         throw new Error('Mtalkz API key not configured');
@@ -101,6 +383,10 @@ class MessageService {
 
   // Send via SMSIndiaHub (alternative provider)
   async sendViaSmsIndiaHub(to, message) {
+    if (this.provider === 'sandbox') {
+      return await sandboxService.sendSms(to, message, 'smsindiahub');
+    }
+
     try {
       if (!this.smsIndiaHubApiKey) {
         throw new Error('SMSIndiaHub API key not configured');
@@ -128,6 +414,11 @@ class MessageService {
 
   // Send emergency alert (prioritized delivery)
   async sendEmergencyAlert(to, message) {
+    // Opting out covers alerts too, including those sent to emergency contacts
+    if (await this.isOptedOut(to, 'emergency alert')) {
+      return false;
+    }
+
     try {
       // Add emergency prefix
       const emergencyMessage = `🚨 EMERGENCY HEALTH ALERT 🚨\n\n${message}\n\n⚠️ Please seek immediate medical attention or call emergency services.`;
@@ -139,7 +430,20 @@ class MessageService {
         this.sendViaSmsIndiaHub(to, emergencyMessage)
       ]);
 
-      const successful = results.filter(result => result.status === 'fulfilled');
+      // The direct SMS sends bypass the queue, so log them here
+      const directProviders = [null, 'mtalkz', 'smsindiahub'];
+      for (let i = 1; i < results.length; i++) {
+        if (results[i].status === 'fulfilled' && results[i].value) {
+          await supabaseService.logMessage(to, 'outgoing', emergencyMessage, { emergency_alert: true }, {
+            messageSid: results[i].value.message_id || null,
+            provider: directProviders[i],
+            direction: 'outbound',
+            status: 'sent'
+          });
+        }
+      }
+
+      const successful = results.filter(result => result.status === 'fulfilled' && result.value);
       
       if (successful.length > 0) {
         logger.info(`🚨 Emergency alert sent successfully to ${to} via ${successful.length} provider(s)`);
@@ -155,6 +459,25 @@ class MessageService {
     }
   }
 
+  // Check a recipient against the opt-out list, logging any send that is skipped
+  async isOptedOut(to, description) {
+    if (!(await optOutService.isOptedOut(to))) {
+      return false;
+    }
+
+    logger.info(`🔕 Not sending ${description} to ${to}: number has opted out`);
+    return true;
+  }
+
+  // Queued messages are re-checked at delivery time; opting out fails them permanently
+  async assertNotOptedOut(to) {
+    if (await optOutService.isOptedOut(to)) {
+      const error = new Error('Recipient has opted out');
+      error.permanent = true;
+      throw error;
+    }
+  }
+
   // Format message with disclaimer
   formatHealthResponse(message, language = 'en') {
     const disclaimers = {
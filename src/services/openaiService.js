@@ -1,5 +1,9 @@
 const OpenAI = require('openai');
 const logger = require('../utils/logger');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const promptTemplateService = require('./promptTemplateService');
+const triageService = require('./triageService');
+const usageService = require('./usageService');
 
 class OpenAIService {
   constructor() {
@@ -8,26 +12,27 @@ class OpenAIService {
     this.model = 'gpt-3.5-turbo'; // or 'gpt-4' if available
   }
 
-  // Process health query using OpenAI
-  async processHealthQuery({ query, language, context }) {
+  // Process health query using OpenAI; settings (model, temperature, maxTokens) come from the provider config
+  async processHealthQuery({ query, userQuery = query, language, context, passages = [], settings = {}, signal }) {
     try {
       if (!this.client) {
         throw new Error('OpenAI API not configured');
       }
 
-      const messages = this.buildHealthMessages(query, language, context);
+      const messages = this.buildHealthMessages(query, language, context, passages, { structured: settings.structuredOutput, userQuery });
       
       logger.info('🤖 Sending query to OpenAI...');
 
       const completion = await this.client.chat.completions.create({
-        model: this.model,
+        model: settings.model || this.model,
         messages: messages,
-        max_tokens: 500,
-        temperature: 0.7,
+        max_tokens: settings.maxTokens || 500,
+        temperature: settings.temperature ?? 0.7,
         top_p: 0.9,
         frequency_penalty: 0.1,
-        presence_penalty: 0.1
-      });
+        presence_penalty: 0.1,
+        ...(settings.structuredOutput ? { response_format: { type: 'json_object' } } : {})
+      }, { signal });
 
       const response = completion.choices[0]?.message?.content;
 
@@ -41,7 +46,13 @@ class OpenAIService {
         message: response.trim(),
         confidence: 0.9,
         provider: 'openai',
-        usage: completion.usage
+        usage: usageService.buildUsage({
+          reported: completion.usage,
+          prompt: messages.map(message => message.content).join('\n'),
+          completion: response
+        }),
+        passageIds: passages.map(passage => passage.id),
+        promptTemplate: promptTemplateService.getTemplateId('health_answer')
       };
 
     } catch (error) {
@@ -50,42 +61,29 @@ class OpenAIService {
     }
   }
 
-  // Build conversation messages for OpenAI
-  buildHealthMessages(query, language, context) {
-    const systemMessage = {
-      role: 'system',
-      content: `You are an expert AI health assistant specifically designed for rural Indian communities. Your responses must be:
-
-1. MEDICALLY ACCURATE and evidence-based
-2. CULTURALLY SENSITIVE for Indian healthcare context
-3. SIMPLE and accessible for people with limited medical knowledge
-4. PRACTICAL for rural areas with limited healthcare access
-5. MULTILINGUAL - respond in the same language as the user's query
-
-LANGUAGE GUIDELINES:
-- English queries → respond in English
-- Hindi queries (Devanagari script) → respond in Hindi
-- Hinglish queries (Hindi words in Roman script) → respond in Hinglish
-- Maintain the same tone and formality level
-
-CONTENT GUIDELINES:
-- Always include medical disclaimers
-- Recommend consulting healthcare professionals for serious conditions
-- Provide practical advice suitable for rural settings
-- Include emergency guidance when symptoms suggest urgent care
-- Be empathetic and supportive
-- Use simple terminology with explanations
-- Consider limited healthcare infrastructure
-
-EMERGENCY PROTOCOL:
-- For emergency symptoms, prioritize immediate action advice
-- Include emergency contact numbers (112 for India)
-- Provide clear, step-by-step emergency guidance
-
-Remember: This is for educational purposes only. Professional medical consultation is always recommended for health concerns.`
-    };
-
-    const messages = [systemMessage];
+  // Build conversation messages for OpenAI from the shared health_answer template
+  // (also used by the local OpenAI-compatible provider). Only userQuery, the user's own
+  // message, is triaged: query may include earlier turns that mention red flags.
+  buildHealthMessages(query, language, context, passages = [], { structured = false, userQuery = query } = {}) {
+    const systemSections = [promptTemplateService.render('health_answer', 'system', language)];
+    if (triageService.isAtLeast(userQuery, 'high')) {
+      systemSections.push(promptTemplateService.render('health_answer', 'serious', language));
+    }
+    if (structured) {
+      systemSections.push(promptTemplateService.render('health_answer', 'format', language));
+    }
+
+    const messages = [{ role: 'system', content: systemSections.join('\n\n') }];
+
+    // Knowledge base passages for this question
+    if (passages.length > 0) {
+      messages.push({
+        role: 'system',
+        content: promptTemplateService.render('health_answer', 'references', language, {
+          passages: knowledgeBaseService.formatPassagesForPrompt(passages)
+        })
+      });
+    }
 
     // Add context from previous conversation if available
     if (context && context.length > 0) {
@@ -99,7 +97,7 @@ Remember: This is for educational purposes only. Professional medical consultati
     }
 
     // Add current query
-    messages.push({ role: 'user', content: query });
+    messages.push({ role: 'user', content: promptTemplateService.render('health_answer', 'question', language, { query }) });
 
     return messages;
   }
@@ -116,28 +114,13 @@ Remember: This is for educational purposes only. Professional medical consultati
         throw new Error('OpenAI API not configured');
       }
 
-      const prompt = `As a specialized ${specialty} healthcare AI assistant, provide comprehensive information about ${condition} for rural Indian communities.
-
-Include:
-1. Definition and overview
-2. Common symptoms and warning signs
-3. Causes and risk factors
-4. Prevention strategies
-5. Treatment options (including home remedies where appropriate)
-6. When to seek immediate medical attention
-7. Lifestyle modifications
-8. Cultural considerations for Indian communities
-9. Accessibility tips for rural areas
-
-Language: ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? 'Hinglish (Hindi words in English script)' : 'English'}
-
-Ensure the information is accurate, culturally sensitive, and includes appropriate medical disclaimers.`;
+      const variables = { condition, specialty, languageName: promptTemplateService.getLanguageName(language) };
 
       const completion = await this.client.chat.completions.create({
         model: this.model,
         messages: [
-          { role: 'system', content: 'You are an expert medical AI assistant with deep knowledge of healthcare in Indian rural contexts.' },
-          { role: 'user', content: prompt }
+          { role: 'system', content: promptTemplateService.render('condition_info', 'system', language, variables) },
+          { role: 'user', content: promptTemplateService.render('condition_info', 'request', language, variables) }
         ],
         max_tokens: 800,
         temperature: 0.6
@@ -158,26 +141,13 @@ Ensure the information is accurate, culturally sensitive, and includes appropria
         throw new Error('OpenAI API not configured');
       }
 
-      const prompt = `MEDICAL EMERGENCY SITUATION:
-Symptoms reported: ${symptoms}
-
-Generate an immediate emergency response for rural Indian context including:
-1. IMMEDIATE ACTIONS to take right now
-2. Emergency contact numbers (112 for India)
-3. What to tell emergency responders
-4. First aid steps if applicable
-5. What to do while waiting for help
-6. How to prepare for hospital transport
-
-Language: ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? 'Hinglish' : 'English'}
-
-Be URGENT but CALM. Prioritize life-saving actions. Consider rural healthcare access limitations.`;
+      const variables = { symptoms, languageName: promptTemplateService.getLanguageName(language) };
 
       const completion = await this.client.chat.completions.create({
         model: this.model,
         messages: [
-          { role: 'system', content: 'You are an emergency medical AI assistant. Provide immediate, life-saving guidance for rural Indian communities.' },
-          { role: 'user', content: prompt }
+          { role: 'system', content: promptTemplateService.render('emergency_response', 'system', language, variables) },
+          { role: 'user', content: promptTemplateService.render('emergency_response', 'request', language, variables) }
         ],
         max_tokens: 400,
         temperature: 0.3 // Lower temperature for emergency responses
@@ -198,25 +168,13 @@ Be URGENT but CALM. Prioritize life-saving actions. Consider rural healthcare ac
         throw new Error('OpenAI API not configured');
       }
 
-      const prompt = `Analyze this health query for risk level and urgency:
-
-Query: "${query}"
-User Profile: ${JSON.stringify(userProfile)}
-
-Provide a risk assessment with:
-1. Risk Level (LOW/MODERATE/HIGH/EMERGENCY)
-2. Urgency (IMMEDIATE/URGENT/ROUTINE)
-3. Recommended Action
-4. Key warning signs to watch for
-5. When to seek immediate medical attention
-
-Return assessment in JSON format for programmatic use.`;
+      const variables = { query, userProfile: JSON.stringify(userProfile) };
 
       const completion = await this.client.chat.completions.create({
         model: this.model,
         messages: [
-          { role: 'system', content: 'You are a medical triage AI assistant. Provide accurate risk assessments for health queries.' },
-          { role: 'user', content: prompt }
+          { role: 'system', content: promptTemplateService.render('risk_assessment', 'system', 'en', variables) },
+          { role: 'user', content: promptTemplateService.render('risk_assessment', 'request', 'en', variables) }
         ],
         max_tokens: 300,
         temperature: 0.2
@@ -249,24 +207,13 @@ Return assessment in JSON format for programmatic use.`;
         throw new Error('OpenAI API not configured');
       }
 
-      const prompt = `Based on this health consultation:
-
-User Query: "${query}"
-AI Response: "${response}"
-
-Generate 3-4 relevant follow-up questions that would help provide better health guidance. Questions should be:
-- Medically relevant
-- Easy to understand
-- Culturally appropriate for Indian context
-- In ${language === 'hi' ? 'Hindi' : language === 'hinglish' ? 'Hinglish' : 'English'}
-
-Return as a simple list.`;
+      const variables = { query, response, languageName: promptTemplateService.getLanguageName(language) };
 
       const completion = await this.client.chat.completions.create({
         model: this.model,
         messages: [
-          { role: 'system', content: 'You are a medical consultation AI assistant. Generate helpful follow-up questions.' },
-          { role: 'user', content: prompt }
+          { role: 'system', content: promptTemplateService.render('follow_up_questions', 'system', language, variables) },
+          { role: 'user', content: promptTemplateService.render('follow_up_questions', 'request', language, variables) }
         ],
         max_tokens: 200,
         temperature: 0.7
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const InputValidator = require('../utils/inputValidator');
+const supabaseService = require('./supabaseService');
+const outboundQueueService = require('./outboundQueueService');
+
+/**
+ * Opt-Out Service
+ * Keeps track of numbers that sent STOP so that MessageService can refuse to
+ * message them. The state lives on the users row, every change is written to
+ * the opt_out_events audit trail, and lookups are cached briefly in memory.
+ * Opted-out numbers are also kept on disk, which is the record that survives
+ * a restart when Supabase is not configured or cannot be reached.
+ */
+class OptOutService {
+  constructor() {
+    this.storePath = process.env.OPT_OUT_STORE_PATH || path.join(process.cwd(), 'logs', 'opt_outs.json');
+
+    // Normalized number -> { optedOut, checkedAt }
+    this.cache = new Map();
+    this.cacheTtlMs = parseInt(process.env.OPT_OUT_CACHE_TTL_MS) || 60 * 1000;
+
+    // Normalized number -> { optedOutAt, source } for every number currently opted out
+    this.optedOut = this.loadStore();
+  }
+
+  // Stop all messages to a number
+  async optOut(phoneNumber, { source = 'keyword', keyword = null } = {}) {
+    return await this.setStatus(phoneNumber, true, { source, keyword });
+  }
+
+  // Allow messages to a number again
+  async optIn(phoneNumber, { source = 'keyword', keyword = null } = {}) {
+    return await this.setStatus(phoneNumber, false, { source, keyword });
+  }
+
+  // Record an opt-out / opt-in everywhere it needs to go
+  async setStatus(phoneNumber, optedOut, { source, keyword }) {
+    const number = this.normalize(phoneNumber);
+    this.cache.set(number, { optedOut, checkedAt: Date.now() });
+
+    if (optedOut) {
+      this.optedOut.set(number, { optedOutAt: new Date().toISOString(), source });
+    } else {
+      this.optedOut.delete(number);
+    }
+    this.saveStore();
+
+    // Retries still waiting in the queue must not go out after STOP
+    if (optedOut) {
+      outboundQueueService.cancelRecipient(to => this.normalize(to) === number);
+    }
+
+    const updated = await supabaseService.setOptOut(phoneNumber, optedOut);
+    await supabaseService.logOptOutEvent({
+      phoneNumber: number,
+      action: optedOut ? 'opt_out' : 'opt_in',
+      source,
+      keyword
+    });
+
+    if (!updated && supabaseService.isAvailable()) {
+      logger.warn(`Opt-out status for ${number} could not be saved to the database; only this instance knows about it`);
+    }
+
+    logger.info(`${optedOut ? '🔕' : '🔔'} ${number} opted ${optedOut ? 'out' : 'in'} (${source}${keyword ? `: "${keyword}"` : ''})`);
+    return { phoneNumber: number, optedOut, persisted: !!updated };
+  }
+
+  // Check whether a number (in any of its formats) has opted out
+  async isOptedOut(phoneNumber) {
+    const number = this.normalize(phoneNumber);
+    if (!supabaseService.isAvailable()) {
+      return this.optedOut.has(number);
+    }
+
+    const cached = this.cache.get(number);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtlMs) {
+      return cached.optedOut;
+    }
+
+    // Users are stored as "whatsapp:+91..." (Twilio) or "+91..." (Cloud API)
+    const optedOut = await supabaseService.isOptedOut([number, `whatsapp:${number}`]);
+    if (optedOut === null) {
+      return cached ? cached.optedOut : this.optedOut.has(number);
+    }
+
+    this.cache.set(number, { optedOut, checkedAt: Date.now() });
+    return optedOut;
+  }
+
+  // Opted-out numbers and recent opt-out activity (admin report)
+  async getReport({ limit = 100 } = {}) {
+    if (!supabaseService.isAvailable()) {
+      const optedOut = [...this.optedOut.entries()]
+        .map(([phoneNumber, entry]) => ({ phone_number: phoneNumber, opted_out_at: entry.optedOutAt }))
+        .sort((a, b) => b.opted_out_at.localeCompare(a.opted_out_at));
+
+      return { source: 'file', optedOut: optedOut.slice(0, limit), events: [] };
+    }
+
+    const optedOut = await supabaseService.getOptedOutUsers(limit);
+    const events = await supabaseService.getOptOutEvents({ limit });
+    if (!optedOut || !events) {
+      return null;
+    }
+
+    return { source: 'database', optedOut, events };
+  }
+
+  // Load opted-out numbers from disk so a restart keeps honouring STOP
+  loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(this.storePath, 'utf8'))));
+      }
+    } catch (error) {
+      logger.error('Could not load opt-out store, starting empty:', error);
+    }
+
+    return new Map();
+  }
+
+  // Persist opted-out numbers
+  saveStore() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.optedOut)));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      logger.error('Could not persist opt-out store:', error);
+    }
+  }
+
+  // One key per person regardless of channel prefix
+  normalize(phoneNumber) {
+    return InputValidator.normalizeContactNumber(phoneNumber) || String(phoneNumber).replace(/^whatsapp:/, '');
+  }
+}
+
+module.exports = new OptOutService();
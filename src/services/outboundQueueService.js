@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabaseService');
+
+/**
+ * Outbound Queue Service
+ * File-backed queue for outgoing messages. Failed sends are retried with
+ * exponential backoff; messages that keep failing move to a dead-letter list
+ * that admins can inspect and re-drive.
+ */
+
+// Provider error codes that will never succeed on retry (invalid/unreachable recipient)
+const PERMANENT_ERROR_CODES = [21211, 21408, 21610, 21614, 63003, 131026];
+
+class OutboundQueueService {
+  constructor() {
+    this.queuePath = process.env.OUTBOUND_QUEUE_PATH || path.join(process.cwd(), 'logs', 'outbound_queue.json');
+    this.maxAttempts = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 5;
+    this.baseDelayMs = parseInt(process.env.OUTBOUND_RETRY_BASE_MS) || 2000;
+    this.maxDelayMs = parseInt(process.env.OUTBOUND_RETRY_MAX_MS) || 10 * 60 * 1000;
+
+    this.handlers = {};
+    this.activeRecipients = new Set();
+    this.timer = null;
+
+    this.state = this.loadState();
+    if (this.state.pending.length > 0) {
+      logger.info(`📬 Outbound queue restored with ${this.state.pending.length} pending message(s)`);
+    }
+  }
+
+  // Register the function that actually delivers a job of the given type
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+    this.scheduleNext();
+  }
+
+  // Add a message to the queue
+  enqueue({ to, type = 'text', payload, groupId = null, part = 1, totalParts = 1 }) {
+    const job = {
+      id: crypto.randomUUID(),
+      to,
+      type,
+      payload,
+      groupId,
+      part,
+      totalParts,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString(),
+      lastError: null,
+      history: []
+    };
+
+    this.state.pending.push(job);
+    this.saveState();
+
+    return job;
+  }
+
+  // Deliver all due messages for one recipient, oldest first
+  async processRecipient(to) {
+    if (this.activeRecipients.has(to)) {
+      return;
+    }
+
+    this.activeRecipients.add(to);
+
+    try {
+      let job = this.getDueHeadJob(to);
+
+      while (job) {
+        const delivered = await this.attempt(job);
+        if (!delivered) {
+          // Later parts wait behind the failed one to keep ordering
+          break;
+        }
+
+        job = this.getDueHeadJob(to);
+      }
+    } finally {
+      this.activeRecipients.delete(to);
+      this.scheduleNext();
+    }
+  }
+
+  // Deliver everything that is due
+  async processAll() {
+    const now = Date.now();
+    const recipients = [...new Set(
+      this.state.pending.filter(job => job.nextAttemptAt <= now).map(job => job.to)
+    )];
+
+    for (const to of recipients) {
+      await this.processRecipient(to);
+    }
+  }
+
+  // The oldest pending job for a recipient, if it is due
+  getDueHeadJob(to) {
+    const head = this.state.pending.find(job => job.to === to);
+    return head && head.nextAttemptAt <= Date.now() ? head : null;
+  }
+
+  // Try to deliver a single job; returns true when it was sent
+  async attempt(job) {
+    const handler = this.handlers[job.type];
+    if (!handler) {
+      logger.warn(`No outbound handler registered for job type: ${job.type}`);
+      return false;
+    }
+
+    job.attempts++;
+    const attemptedAt = new Date().toISOString();
+
+    try {
+      const result = await handler(job);
+
+      this.removePending(job.id);
+      this.saveState();
+
+      await this.recordAttempt(job, 'sent', null, result);
+      logger.info(`📬 Outbound job ${job.id} delivered to ${job.to} on attempt ${job.attempts}`);
+      return true;
+
+    } catch (error) {
+      job.lastError = error.message;
+      job.history.push({ attempt: job.attempts, at: attemptedAt, error: error.message, code: error.code || null });
+
+      if (job.attempts >= job.maxAttempts || this.isPermanentError(error)) {
+        this.moveToDeadLetter(job, error.message);
+        await this.recordAttempt(job, 'dead_letter', error);
+        return false;
+      }
+
+      job.nextAttemptAt = Date.now() + this.getBackoffDelay(job.attempts);
+      this.saveState();
+
+      await this.recordAttempt(job, 'retrying', error);
+      logger.warn(`📬 Outbound job ${job.id} to ${job.to} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round((job.nextAttemptAt - Date.now()) / 1000)}s`);
+      return false;
+    }
+  }
+
+  // Exponential backoff with jitter
+  getBackoffDelay(attempts) {
+    const delay = this.baseDelayMs * Math.pow(2, attempts - 1);
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.min(delay + jitter, this.maxDelayMs);
+  }
+
+  // Check if retrying can never succeed
+  isPermanentError(error) {
+    if (error.permanent) return true;
+
+    const code = parseInt(error.code || error.response?.data?.error?.code);
+    return PERMANENT_ERROR_CODES.includes(code);
+  }
+
+  // Move a failed job (and the rest of its multi-part group) to the dead-letter list
+  moveToDeadLetter(job, reason) {
+    const failedAt = new Date().toISOString();
+    const groupJobs = job.groupId
+      ? this.state.pending.filter(pending => pending.groupId === job.groupId)
+      : [job];
+
+    for (const groupJob of groupJobs) {
+      this.removePending(groupJob.id);
+      this.state.deadLetter.push({
+        ...groupJob,
+        failedAt,
+        reason: groupJob.id === job.id ? reason : `Part ${job.part}/${job.totalParts} of this message failed`
+      });
+    }
+
+    this.saveState();
+    logger.error(`☠️ Outbound job ${job.id} to ${job.to} moved to dead-letter after ${job.attempts} attempt(s): ${reason}`);
+  }
+
+  // Re-drive a dead-lettered job (with the other parts of its message)
+  redrive(jobId) {
+    const job = this.state.deadLetter.find(entry => entry.id === jobId);
+    if (!job) {
+      return [];
+    }
+
+    const groupJobs = job.groupId
+      ? this.state.deadLetter.filter(entry => entry.groupId === job.groupId)
+      : [job];
+
+    return this.requeue(groupJobs);
+  }
+
+  // Re-drive every dead-lettered job
+  redriveAll() {
+    return this.requeue([...this.state.deadLetter]);
+  }
+
+  // Move dead-lettered jobs back to pending with a fresh attempt budget
+  requeue(jobs) {
+    const ids = new Set(jobs.map(job => job.id));
+    this.state.deadLetter = this.state.deadLetter.filter(entry => !ids.has(entry.id));
+
+    const requeued = jobs
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.part - b.part)
+      .map(({ failedAt, reason, ...job }) => ({
+        ...job,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        history: [...job.history, { redrivenAt: new Date().toISOString(), previousFailure: reason }]
+      }));
+
+    this.state.pending.push(...requeued);
+    this.saveState();
+
+    logger.info(`🔁 Re-driving ${requeued.length} dead-lettered message(s)`);
+    setImmediate(() => this.processAll());
+
+    return requeued;
+  }
+
+  // Permanently discard a dead-lettered job
+  discard(jobId) {
+    const before = this.state.deadLetter.length;
+    this.state.deadLetter = this.state.deadLetter.filter(entry => entry.id !== jobId);
+    this.saveState();
+    return this.state.deadLetter.length < before;
+  }
+
+  // Drop pending messages for recipients that match (e.g. a number that just opted out)
+  cancelRecipient(matchesRecipient) {
+    const cancelled = this.state.pending.filter(job => matchesRecipient(job.to));
+    if (cancelled.length === 0) {
+      return 0;
+    }
+
+    this.state.pending = this.state.pending.filter(job => !matchesRecipient(job.to));
+    this.saveState();
+
+    logger.info(`📬 Cancelled ${cancelled.length} pending message(s) to ${cancelled[0].to}`);
+    return cancelled.length;
+  }
+
+  // Drop everything queued or dead-lettered for matching recipients (DELETE MY DATA); returns how many
+  forgetRecipient(matchesRecipient) {
+    const before = this.state.pending.length + this.state.deadLetter.length;
+    this.state.pending = this.state.pending.filter(job => !matchesRecipient(job.to));
+    this.state.deadLetter = this.state.deadLetter.filter(job => !matchesRecipient(job.to));
+
+    const removed = before - this.state.pending.length - this.state.deadLetter.length;
+    if (removed > 0) {
+      this.saveState();
+      logger.info(`📬 Removed ${removed} queued or dead-lettered message(s) for a deleted user`);
+    }
+    return removed;
+  }
+
+  // Record each delivery attempt in message_logs
+  async recordAttempt(job, status, error, result = null) {
+    const content = job.payload.body || job.payload.richMessage?.body || job.payload.template?.body || job.payload.mediaUrl;
+    const messageSid = result?.sid || null;
+
+    await supabaseService.logMessage(job.to, status === 'sent' ? 'outgoing' : 'error', content || '', {
+      queue_job_id: job.id,
+      delivery_status: status,
+      message_kind: job.type,
+      attempt: job.attempts,
+      max_attempts: job.maxAttempts,
+      part: job.part,
+      total_parts: job.totalParts,
+      error: error ? error.message : null,
+      error_code: error ? (error.code || null) : null
+    }, {
+      messageSid,
+      provider: result?.provider || null,
+      direction: 'outbound',
+      status: {
+        sent: result?.raw?.status || 'sent',
+        retrying: 'retrying',
+        dead_letter: 'failed'
+      }[status]
+    });
+  }
+
+  // Remove a job from the pending list
+  removePending(jobId) {
+    this.state.pending = this.state.pending.filter(job => job.id !== jobId);
+  }
+
+  // Wake up again when the next retry is due
+  scheduleNext() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.state.pending.length === 0) {
+      return;
+    }
+
+    const nextAt = Math.min(...this.state.pending.map(job => job.nextAttemptAt));
+    const delay = Math.max(nextAt - Date.now(), 0);
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processAll().catch(error => logger.error('Outbound queue processing error:', error));
+    }, delay);
+
+    // Don't keep the process alive just for retries
+    this.timer.unref();
+  }
+
+  // Get queue status (for admin endpoints)
+  getStatus() {
+    return {
+      pending: this.state.pending.length,
+      deadLetter: this.state.deadLetter.length,
+      maxAttempts: this.maxAttempts,
+      baseDelayMs: this.baseDelayMs,
+      nextAttemptAt: this.state.pending.length > 0
+        ? new Date(Math.min(...this.state.pending.map(job => job.nextAttemptAt))).toISOString()
+        : null
+    };
+  }
+
+  // List pending jobs
+  getPending() {
+    return this.state.pending;
+  }
+
+  // List dead-lettered jobs
+  getDeadLetter() {
+    return this.state.deadLetter;
+  }
+
+  // Load queue state from disk
+  loadState() {
+    try {
+      if (fs.existsSync(this.queuePath)) {
+        const data = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+        return {
+          pending: data.pending || [],
+          deadLetter: data.deadLetter || []
+        };
+      }
+    } catch (error) {
+      logger.error('Could not load outbound queue, starting empty:', error);
+    }
+
+    return { pending: [], deadLetter: [] };
+  }
+
+  // Persist queue state (write-then-rename so a crash never leaves a half-written file)
+  saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.queuePath), { recursive: true });
+      const tempPath = `${this.queuePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tempPath, this.queuePath);
+    } catch (error) {
+      logger.error('Could not persist outbound queue:', error);
+    }
+  }
+}
+
+module.exports = new OutboundQueueService();
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const LANGUAGES = ['en', 'hi', 'hinglish'];
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  hinglish: 'Hinglish (Hindi words in English script)'
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Prompt Template Service
+ * Registry of the prompts sent to every AI provider, kept in one versioned
+ * JSON file so a clinician can review them in one place. Templates are named,
+ * carry their own version, declare the {{variables}} they use and have
+ * per-language variants; providers only decide how the rendered sections are
+ * laid out for their API. A reload that fails validation keeps the current
+ * templates.
+ */
+class PromptTemplateService {
+  constructor() {
+    this.templatesPath = process.env.PROMPT_TEMPLATES_PATH || path.join(__dirname, '../data/prompt_templates.json');
+    this.registry = this.loadTemplates(this.templatesPath);
+    logger.info(`📝 Prompt templates v${this.registry.version} loaded (${this.describeTemplates(this.registry)})`);
+  }
+
+  // Render one section of a template in the user's language (falls back to the English variant)
+  render(name, section, language, variables = {}) {
+    const template = this.getTemplate(name);
+    const text = template.languages[language]?.[section] ?? template.languages.en[section];
+
+    if (text === undefined) {
+      throw new Error(`Prompt template ${name} has no "${section}" section`);
+    }
+
+    return text.replace(PLACEHOLDER, (match, variable) => {
+      if (variables[variable] === undefined || variables[variable] === null) {
+        throw new Error(`Prompt template ${name}.${section} needs variable "${variable}"`);
+      }
+      return String(variables[variable]);
+    });
+  }
+
+  // "name@version", recorded with every answer the template produced
+  getTemplateId(name) {
+    return `${name}@${this.getTemplate(name).version}`;
+  }
+
+  getTemplate(name) {
+    const template = this.registry.templates[name];
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+    return template;
+  }
+
+  // How templates refer to the user's language
+  getLanguageName(language) {
+    return LANGUAGE_NAMES[language] || LANGUAGE_NAMES.en;
+  }
+
+  // Reload templates from disk; the current templates stay active if the file is invalid
+  reload() {
+    const registry = this.loadTemplates(this.templatesPath);
+    this.registry = registry;
+    logger.info(`📝 Prompt templates reloaded: v${registry.version} (${this.describeTemplates(registry)})`);
+    return this.getTemplatesInfo();
+  }
+
+  // Every template with its text (for admin review)
+  getTemplatesInfo() {
+    return {
+      version: this.registry.version,
+      path: this.templatesPath,
+      loadedAt: this.registry.loadedAt,
+      templates: Object.entries(this.registry.templates).map(([name, template]) => ({
+        id: `${name}@${template.version}`,
+        name,
+        ...template
+      }))
+    };
+  }
+
+  describeTemplates(registry) {
+    return Object.entries(registry.templates).map(([name, template]) => `${name}@${template.version}`).join(', ');
+  }
+
+  // Read and validate a templates file
+  loadTemplates(templatesPath) {
+    const data = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+    const { version, templates } = data;
+
+    if (!version || !templates || typeof templates !== 'object' || Object.keys(templates).length === 0) {
+      throw new Error(`Prompt templates at ${templatesPath} need a version and templates`);
+    }
+
+    for (const [name, template] of Object.entries(templates)) {
+      if (!Number.isInteger(template.version) || template.version < 1) {
+        throw new Error(`Prompt template ${name} needs a version number`);
+      }
+      if (!Array.isArray(template.variables)) {
+        throw new Error(`Prompt template ${name} needs a variables list`);
+      }
+      if (!template.languages?.en) {
+        throw new Error(`Prompt template ${name} needs an "en" variant`);
+      }
+
+      for (const [language, sections] of Object.entries(template.languages)) {
+        if (!LANGUAGES.includes(language)) {
+          throw new Error(`Prompt template ${name} has unknown language: ${language}`);
+        }
+
+        for (const [section, text] of Object.entries(sections)) {
+          if (typeof text !== 'string' || !text.trim()) {
+            throw new Error(`Prompt template ${name}.${language}.${section} must be non-empty text`);
+          }
+
+          const undeclared = [...text.matchAll(PLACEHOLDER)]
+            .map(match => match[1])
+            .filter(variable => !template.variables.includes(variable));
+          if (undeclared.length > 0) {
+            throw new Error(`Prompt template ${name}.${language}.${section} uses undeclared variable(s): ${[...new Set(undeclared)].join(', ')}`);
+          }
+        }
+      }
+    }
+
+    return { version, templates, loadedAt: new Date().toISOString() };
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const triageService = require('./triageService');
+
+// Settings used when the config file leaves a field out; calls are free unless pricing is set
+const NO_PRICING = { promptPer1kTokens: 0, completionPer1kTokens: 0 };
+
+const PROVIDER_DEFAULTS = {
+  gemini: { model: 'gemini-1.5-flash', temperature: 0.7, maxTokens: 500, structuredOutput: false, timeoutMs: parseInt(process.env.GEMINI_TIMEOUT_MS) || 10000 },
+  huggingface: { model: 'microsoft/DialoGPT-medium', fallbackModel: 'gpt2', temperature: 0.7, maxTokens: 500, structuredOutput: false, timeoutMs: parseInt(process.env.HUGGING_FACE_TIMEOUT_MS) || 20000 },
+  openai: { model: 'gpt-3.5-turbo', temperature: 0.7, maxTokens: 500, structuredOutput: false, timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || 15000 },
+  // CPU inference is slow by nature; only a call that misses its deadline counts as slow
+  local_llm: { model: 'llama3.1:8b', temperature: 0.7, maxTokens: 500, structuredOutput: false, timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 20000, slowCallMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 20000 }
+};
+
+const LANGUAGES = ['en', 'hi', 'hinglish'];
+
+/**
+ * Provider Config Service
+ * Loads the AI provider configuration (order, models, sampling settings and
+ * routing rules) from a versioned JSON file. The file is validated when the
+ * app starts - an invalid file stops startup - and can be reloaded at runtime;
+ * a reload that fails validation leaves the running configuration in place.
+ */
+class ProviderConfigService {
+  constructor() {
+    this.configPath = process.env.AI_PROVIDERS_CONFIG_PATH || path.join(__dirname, '../data/ai_providers.json');
+    this.config = this.loadConfig(this.configPath);
+    logger.info(`🧭 AI provider config v${this.config.version} loaded (${this.describeOrder(this.config)})`);
+  }
+
+  // Enabled providers in priority order, each with its full settings
+  getProviders() {
+    return this.config.providers.filter(provider => provider.enabled);
+  }
+
+  // Provider names to try for a query, after the routing rules; returns the order and the rules applied
+  route(providerNames, query, language) {
+    let order = [...providerNames];
+    const applied = [];
+
+    for (const rule of this.config.routing) {
+      if (!this.matches(rule.when, query, language)) {
+        continue;
+      }
+
+      if (rule.exclude) {
+        order = order.filter(name => !rule.exclude.includes(name));
+      }
+      if (rule.prefer) {
+        const preferred = rule.prefer.filter(name => order.includes(name));
+        order = [...preferred, ...order.filter(name => !preferred.includes(name))];
+      }
+
+      applied.push(rule.id);
+    }
+
+    return { order, applied };
+  }
+
+  // Whether a rule's conditions hold for a query; every condition given must match
+  matches(when, query, language) {
+    if (when.language && !when.language.includes(language)) {
+      return false;
+    }
+    if (when.minSeverity && !triageService.isAtLeast(query, when.minSeverity)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Reload the config from disk; the current config stays active if the file is invalid
+  reload() {
+    const config = this.loadConfig(this.configPath);
+    this.config = config;
+    logger.info(`🧭 AI provider config reloaded: v${config.version} (${this.describeOrder(config)})`);
+    return this.getConfigInfo();
+  }
+
+  // Summary of the active config (for admin endpoints)
+  getConfigInfo() {
+    return {
+      version: this.config.version,
+      path: this.configPath,
+      loadedAt: this.config.loadedAt,
+      providers: this.config.providers,
+      routing: this.config.routing
+    };
+  }
+
+  describeOrder(config) {
+    return config.providers.filter(provider => provider.enabled).map(provider => provider.name).join(' → ') || 'no providers enabled';
+  }
+
+  // Read and validate a config file, filling in defaults
+  loadConfig(configPath) {
+    const data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const { version, providers, routing = [] } = data;
+
+    if (!version || !Array.isArray(providers) || providers.length === 0) {
+      throw new Error(`AI provider config at ${configPath} needs a version and a non-empty providers list`);
+    }
+    if (!Array.isArray(routing)) {
+      throw new Error(`AI provider config at ${configPath}: routing must be a list`);
+    }
+
+    const names = new Set();
+    const resolved = providers.map(provider => {
+      if (!PROVIDER_DEFAULTS[provider.name]) {
+        throw new Error(`Unknown AI provider "${provider.name}" (known: ${Object.keys(PROVIDER_DEFAULTS).join(', ')})`);
+      }
+      if (names.has(provider.name)) {
+        throw new Error(`AI provider ${provider.name} is listed twice`);
+      }
+      names.add(provider.name);
+
+      const settings = { name: provider.name, enabled: true, ...PROVIDER_DEFAULTS[provider.name], ...provider };
+      settings.pricing = { ...NO_PRICING, ...provider.pricing };
+      this.validateProvider(settings);
+      return settings;
+    });
+
+    const ruleIds = new Set();
+    for (const rule of routing) {
+      this.validateRule(rule, names, ruleIds);
+      ruleIds.add(rule.id);
+    }
+
+    return {
+      version,
+      providers: resolved.sort((a, b) => a.priority - b.priority),
+      routing,
+      loadedAt: new Date().toISOString()
+    };
+  }
+
+  validateProvider(settings) {
+    const { name } = settings;
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+    for (const field of ['enabled', 'structuredOutput']) {
+      if (typeof settings[field] !== 'boolean') {
+        throw new Error(`AI provider ${name}: ${field} must be true or false`);
+      }
+    }
+    if (typeof settings.priority !== 'number' || Number.isNaN(settings.priority)) {
+      throw new Error(`AI provider ${name}: priority must be a number`);
+    }
+    if (typeof settings.model !== 'string' || !settings.model.trim()) {
+      throw new Error(`AI provider ${name}: model must be a non-empty string`);
+    }
+    if (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 2) {
+      throw new Error(`AI provider ${name}: temperature must be between 0 and 2`);
+    }
+    for (const field of ['maxTokens', 'timeoutMs']) {
+      if (!isPositiveInteger(settings[field])) {
+        throw new Error(`AI provider ${name}: ${field} must be a positive integer`);
+      }
+    }
+    if (settings.slowCallMs !== undefined && !isPositiveInteger(settings.slowCallMs)) {
+      throw new Error(`AI provider ${name}: slowCallMs must be a positive integer`);
+    }
+    for (const field of Object.keys(settings.pricing)) {
+      const price = settings.pricing[field];
+      if (!(field in NO_PRICING) || typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+        throw new Error(`AI provider ${name}: pricing takes promptPer1kTokens and completionPer1kTokens in USD (numbers, 0 or more)`);
+      }
+    }
+  }
+
+  validateRule(rule, providerNames, ruleIds) {
+    if (!rule.id || ruleIds.has(rule.id)) {
+      throw new Error(`Routing rule ${rule.id || '(no id)'} is missing an id or duplicated`);
+    }
+
+    const when = rule.when;
+    if (!when || (!when.language && !when.minSeverity)) {
+      throw new Error(`Routing rule ${rule.id} needs a "when" with language and/or minSeverity`);
+    }
+    if (when.language && (!Array.isArray(when.language) || when.language.some(language => !LANGUAGES.includes(language)))) {
+      throw new Error(`Routing rule ${rule.id}: language must be a list of ${LANGUAGES.join(', ')}`);
+    }
+    if (when.minSeverity && !triageService.ruleset.severityLevels.includes(when.minSeverity)) {
+      throw new Error(`Routing rule ${rule.id} has unknown minSeverity: ${when.minSeverity}`);
+    }
+
+    if (!rule.prefer && !rule.exclude) {
+      throw new Error(`Routing rule ${rule.id} needs "prefer" and/or "exclude"`);
+    }
+    for (const action of ['prefer', 'exclude']) {
+      if (rule[action] === undefined) continue;
+
+      const unknown = Array.isArray(rule[action]) ? rule[action].filter(name => !providerNames.has(name)) : null;
+      if (!unknown) {
+        throw new Error(`Routing rule ${rule.id}: ${action} must be a list of provider names`);
+      }
+      if (unknown.length > 0) {
+        throw new Error(`Routing rule ${rule.id} ${action}s unknown provider(s): ${unknown.join(', ')}`);
+      }
+    }
+  }
+}
+
+module.exports = new ProviderConfigService();
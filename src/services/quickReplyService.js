@@ -0,0 +1,254 @@
+const logger = require('../utils/logger');
+
+/**
+ * Quick Reply Service
+ * Defines the interactive menus the bot can send (buttons / list pickers) and
+ * maps a user's reply - a button payload or a numbered text answer from the
+ * SMS fallback - back to an action ID. A payload may carry a reference after
+ * the option ID ("CONTACT_ACCEPT:+919876543210") naming what the tap is about.
+ */
+
+// WhatsApp rejects a whole menu when one title is too long
+const TITLE_LIMITS = { buttons: 20, list: 24 };
+
+// Separates an option ID from the reference in a button payload
+const PAYLOAD_SEPARATOR = ':';
+
+// Menu definitions with localized text; option IDs are the action payloads.
+// WhatsApp caps button titles at 20 characters and list rows at 24.
+const MENUS = {
+  urgency_check: {
+    type: 'buttons',
+    body: {
+      en: 'Are these symptoms severe or getting worse quickly?',
+      hi: 'क्या ये लक्षण गंभीर हैं या तेज़ी से बढ़ रहे हैं?',
+      hinglish: 'Kya ye symptoms serious hain ya tezi se badh rahe hain?'
+    },
+    options: [
+      { id: 'EMERGENCY_YES', title: { en: 'Yes, emergency', hi: 'हाँ, आपातकाल है', hinglish: 'Haan, emergency hai' } },
+      { id: 'EMERGENCY_NO', title: { en: 'No, not urgent', hi: 'नहीं, जल्दी नहीं', hinglish: 'Nahi, urgent nahi' } },
+      { id: 'TALK_TO_HEALTH_WORKER', title: { en: 'Need health worker', hi: 'स्वास्थ्य कर्मी', hinglish: 'Health worker bulao' } }
+    ]
+  },
+  emergency_contact_manage: {
+    type: 'buttons',
+    body: {
+      en: 'Your emergency contact is {contact} ({status}). What would you like to do?',
+      hi: 'आपका आपातकालीन संपर्क {contact} है ({status})। आप क्या करना चाहते हैं?',
+      hinglish: 'Aapka emergency contact {contact} hai ({status}). Aap kya karna chahte hain?'
+    },
+    options: [
+      { id: 'CONTACT_CHANGE', title: { en: 'Change contact', hi: 'संपर्क बदलें', hinglish: 'Contact badlo' } },
+      { id: 'CONTACT_REMOVE', title: { en: 'Remove contact', hi: 'संपर्क हटाएं', hinglish: 'Contact hatao' } },
+      { id: 'CONTACT_KEEP', title: { en: 'Keep it', hi: 'ऐसे ही रखें', hinglish: 'Aise hi rakho' } }
+    ]
+  },
+  emergency_contact_consent: {
+    type: 'buttons',
+    body: {
+      en: 'If you report an emergency, I will alert {contact} with your number and what you told me. I will also message them now to confirm. Do you agree?',
+      hi: 'अगर आप आपातकाल बताते हैं, तो मैं {contact} को आपका नंबर और आपकी बताई बात भेजूंगा। पुष्टि के लिए मैं उन्हें अभी एक संदेश भी भेजूंगा। क्या आप सहमत हैं?',
+      hinglish: 'Agar aap emergency batate hain, to main {contact} ko aapka number aur aapki batayi baat bhejunga. Confirm karne ke liye main unhe abhi ek message bhi bhejunga. Kya aap agree karte hain?'
+    },
+    options: [
+      { id: 'CONTACT_CONSENT_YES', title: { en: 'Yes, I agree', hi: 'हाँ, सहमत हूँ', hinglish: 'Haan, agree hai' } },
+      { id: 'CONTACT_CONSENT_NO', title: { en: 'No, cancel', hi: 'नहीं, रद्द करें', hinglish: 'Nahi, cancel' } }
+    ]
+  },
+  emergency_contact_verify: {
+    type: 'buttons',
+    body: {
+      en: '{user} has added you as their emergency contact on the WhatsApp health assistant. If they report a medical emergency, you will get an alert here. Do you accept?',
+      hi: '{user} ने आपको WhatsApp स्वास्थ्य सहायक पर अपना आपातकालीन संपर्क बनाया है। अगर वे चिकित्सा आपातकाल बताते हैं, तो आपको यहां सूचना मिलेगी। क्या आप स्वीकार करते हैं?',
+      hinglish: '{user} ne aapko WhatsApp health assistant par apna emergency contact banaya hai. Agar wo medical emergency batate hain, to aapko yahan alert milega. Kya aap accept karte hain?'
+    },
+    options: [
+      { id: 'CONTACT_ACCEPT', title: { en: 'Yes, I accept', hi: 'हाँ, स्वीकार है', hinglish: 'Haan, accept hai' } },
+      { id: 'CONTACT_DECLINE', title: { en: 'No', hi: 'नहीं', hinglish: 'Nahi' } }
+    ]
+  },
+  delete_data_confirm: {
+    type: 'buttons',
+    body: {
+      en: 'This will permanently delete your questions, answers, emergency contact and settings. Are you sure?',
+      hi: 'इससे आपके सवाल, जवाब, आपातकालीन संपर्क और सेटिंग्स हमेशा के लिए मिट जाएंगे। क्या आप पक्का हैं?',
+      hinglish: 'Isse aapke sawal, jawab, emergency contact aur settings hamesha ke liye delete ho jayenge. Kya aap pakka hain?'
+    },
+    options: [
+      { id: 'DELETE_DATA_YES', title: { en: 'Yes, delete', hi: 'हाँ, मिटा दें', hinglish: 'Haan, delete karo' } },
+      { id: 'DELETE_DATA_NO', title: { en: 'No, keep it', hi: 'नहीं, रहने दें', hinglish: 'Nahi, rehne do' } }
+    ]
+  },
+  // Guided triage follow-up questions (triageSessionService)
+  triage_duration: {
+    type: 'list',
+    body: {
+      en: 'How long have you had these symptoms?',
+      hi: 'ये लक्षण कब से हैं?',
+      hinglish: 'Ye symptoms kab se hain?'
+    },
+    button: { en: 'Choose', hi: 'चुनें', hinglish: 'Chuniye' },
+    options: [
+      { id: 'TRIAGE_DURATION_TODAY', title: { en: 'Started today', hi: 'आज से', hinglish: 'Aaj se' } },
+      { id: 'TRIAGE_DURATION_DAYS', title: { en: '1-3 days', hi: '1-3 दिन', hinglish: '1-3 din' } },
+      { id: 'TRIAGE_DURATION_WEEK', title: { en: '4-7 days', hi: '4-7 दिन', hinglish: '4-7 din' } },
+      { id: 'TRIAGE_DURATION_LONG', title: { en: 'More than a week', hi: 'एक हफ्ते से ज़्यादा', hinglish: 'Ek hafte se zyada' } }
+    ]
+  },
+  triage_severity: {
+    type: 'buttons',
+    body: {
+      en: 'How bad is it right now?',
+      hi: 'अभी तकलीफ कितनी है?',
+      hinglish: 'Abhi takleef kitni hai?'
+    },
+    options: [
+      { id: 'TRIAGE_SEVERITY_MILD', title: { en: 'Mild', hi: 'हल्की', hinglish: 'Halki' } },
+      { id: 'TRIAGE_SEVERITY_MODERATE', title: { en: 'Moderate', hi: 'मध्यम', hinglish: 'Madhyam' } },
+      { id: 'TRIAGE_SEVERITY_SEVERE', title: { en: 'Severe', hi: 'बहुत ज़्यादा', hinglish: 'Bahut zyada' } }
+    ]
+  },
+  triage_pregnancy: {
+    type: 'buttons',
+    body: {
+      en: 'Is the person pregnant?',
+      hi: 'क्या वह गर्भवती हैं?',
+      hinglish: 'Kya wo pregnant hain?'
+    },
+    options: [
+      { id: 'TRIAGE_PREGNANT_YES', title: { en: 'Yes', hi: 'हाँ', hinglish: 'Haan' } },
+      { id: 'TRIAGE_PREGNANT_NO', title: { en: 'No', hi: 'नहीं', hinglish: 'Nahi' } },
+      { id: 'TRIAGE_PREGNANT_NA', title: { en: 'Not applicable', hi: 'लागू नहीं', hinglish: 'Lagu nahi' } }
+    ]
+  }
+};
+
+class QuickReplyService {
+  constructor() {
+    // Last menu shown to each user, so "1"/"2"/"3" replies can be resolved
+    this.pendingMenus = new Map();
+    this.menuTtlMs = parseInt(process.env.QUICK_REPLY_TTL_MS) || 30 * 60 * 1000;
+
+    // Every menu is built once in every language so an over-long title fails at startup
+    for (const menuId of Object.keys(MENUS)) {
+      for (const language of ['en', 'hi', 'hinglish']) {
+        this.buildMenu(menuId, language);
+      }
+    }
+  }
+
+  // Build a provider-neutral rich message for a menu in the given language;
+  // params fill {placeholders} in the body
+  buildMenu(menuId, language = 'en', params = {}) {
+    const menu = MENUS[menuId];
+    if (!menu) {
+      throw new Error(`Unknown quick reply menu: ${menuId}`);
+    }
+
+    const localize = (text) => text[language] || text.en;
+    const options = menu.options.map(option => ({
+      id: option.id,
+      title: localize(option.title),
+      description: option.description ? localize(option.description) : undefined
+    }));
+
+    const tooLong = options.find(option => option.title.length > TITLE_LIMITS[menu.type]);
+    if (tooLong) {
+      throw new Error(`Quick reply menu ${menuId} (${language}): "${tooLong.title}" is longer than ${TITLE_LIMITS[menu.type]} characters`);
+    }
+
+    return {
+      menuId,
+      language,
+      body: localize(menu.body).replace(/\{(\w+)\}/g, (placeholder, key) => params[key] ?? placeholder),
+      ...(menu.type === 'list'
+        ? { list: { button: localize(menu.button), options } }
+        : { buttons: options })
+    };
+  }
+
+  // Remember which menu a user was shown
+  rememberMenu(phoneNumber, richMessage) {
+    this.pendingMenus.set(phoneNumber, {
+      menuId: richMessage.menuId,
+      language: richMessage.language,
+      options: richMessage.buttons || richMessage.list.options,
+      expiresAt: Date.now() + this.menuTtlMs
+    });
+  }
+
+  // Forget any menu a user was shown
+  forget(phoneNumber) {
+    this.pendingMenus.delete(phoneNumber);
+  }
+
+  // Map an inbound reply to an action; returns null for normal messages
+  resolveReply(phoneNumber, messageBody, buttonPayload) {
+    const pending = this.pendingMenus.get(phoneNumber);
+    const isFresh = pending && pending.expiresAt > Date.now();
+    const language = isFresh ? pending.language : null;
+
+    // Native button/list replies carry the option ID directly
+    const { action, ref } = this.parsePayload(buttonPayload);
+    if (action && this.isKnownAction(action)) {
+      this.pendingMenus.delete(phoneNumber);
+      return { action, ref, menuId: isFresh ? pending.menuId : null, language };
+    }
+
+    if (!isFresh || !messageBody) {
+      return null;
+    }
+
+    // Plain-text fallback: match "2" or the option title
+    const reply = messageBody.trim().toLowerCase();
+    const index = /^\d+$/.test(reply) ? parseInt(reply) - 1 : -1;
+    const option = pending.options[index] ||
+      pending.options.find(candidate => candidate.title.toLowerCase() === reply);
+
+    if (!option) {
+      return null;
+    }
+
+    this.pendingMenus.delete(phoneNumber);
+    logger.info(`🔘 Quick reply "${messageBody}" from ${phoneNumber} resolved to ${option.id}`);
+    return { action: option.id, ref: null, menuId: pending.menuId, language };
+  }
+
+  // Button payload for an option that refers to something specific, e.g. the user a request came from
+  buildPayload(optionId, ref) {
+    return `${optionId}${PAYLOAD_SEPARATOR}${ref}`;
+  }
+
+  // Split a button payload into its option ID and reference (null when it has none)
+  parsePayload(payload) {
+    if (!payload) {
+      return { action: null, ref: null };
+    }
+
+    // References can contain the separator themselves (whatsapp:+91...), so only the first one counts
+    const index = payload.indexOf(PAYLOAD_SEPARATOR);
+    return index === -1
+      ? { action: payload, ref: null }
+      : { action: payload.slice(0, index), ref: payload.slice(index + 1) || null };
+  }
+
+  // Check if a payload is an option of any defined menu
+  isKnownAction(payload) {
+    return Object.values(MENUS).some(menu => menu.options.some(option => option.id === payload));
+  }
+
+  // Render a menu as numbered plain text (SMS and non-interactive fallback)
+  formatAsText(richMessage) {
+    const options = richMessage.buttons || richMessage.list.options;
+    const hints = {
+      en: 'Reply with the number of your choice.',
+      hi: 'अपने विकल्प का नंबर भेजें।',
+      hinglish: 'Apne choice ka number bhejiye.'
+    };
+
+    const lines = options.map((option, index) => `${index + 1}. ${option.title}`);
+    return `${richMessage.body}\n\n${lines.join('\n')}\n\n${hints[richMessage.language] || hints.en}`;
+  }
+}
+
+module.exports = new QuickReplyService();
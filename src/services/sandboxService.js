@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Sandbox Service
+ * Offline stand-in for Twilio, the Cloud API and the SMS gateways, selected
+ * with WHATSAPP_PROVIDER=sandbox. Nothing leaves the machine: every outbound
+ * message is recorded in an outbox (kept on disk across restarts) that the
+ * /api/sandbox endpoints expose alongside inbound message injection.
+ */
+class SandboxService {
+  constructor() {
+    this.enabled = (process.env.WHATSAPP_PROVIDER || '').toLowerCase() === 'sandbox';
+    this.storePath = process.env.SANDBOX_OUTBOX_PATH || path.join(process.cwd(), 'logs', 'sandbox_outbox.json');
+    this.maxEntries = parseInt(process.env.SANDBOX_OUTBOX_LIMIT) || 500;
+
+    this.outbox = this.enabled ? this.loadStore() : [];
+  }
+
+  // Send a plain text message
+  async sendTextMessage(to, message) {
+    return this.record(to, 'text', { body: message });
+  }
+
+  // Send reply buttons or a list picker; the text rendering is kept for easy reading
+  async sendInteractiveMessage(to, richMessage, textFallback) {
+    return this.record(to, 'interactive', { body: textFallback || richMessage.body, richMessage });
+  }
+
+  // Send a template message; the body lists each button's payload so it can be tapped with /tap
+  async sendTemplateMessage(to, template) {
+    const buttons = template.buttons.map(button => `[${button.title}] ${button.payload}`);
+    return this.record(to, 'template', { body: `${template.body}\n\n${buttons.join('\n')}`, template });
+  }
+
+  // Send an audio message from a URL
+  async sendAudioMessage(to, mediaUrl) {
+    return this.record(to, 'audio', { mediaUrl });
+  }
+
+  // SMS sent through one of the fallback gateways; returns the gateway's response shape
+  async sendSms(to, message, gateway) {
+    const { raw } = this.record(to, 'sms', { body: message, gateway });
+    return { message_id: raw.id, status: 'sent' };
+  }
+
+  // Add a message to the outbox
+  record(to, type, fields) {
+    const entry = {
+      id: `SB${crypto.randomBytes(12).toString('hex')}`,
+      to,
+      type,
+      ...fields,
+      status: 'sent',
+      createdAt: new Date().toISOString()
+    };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > this.maxEntries) {
+      this.outbox.splice(0, this.outbox.length - this.maxEntries);
+    }
+    this.saveStore();
+
+    logger.info(`📦 Sandbox ${type} to ${to}, ID: ${entry.id}`);
+    return { sid: entry.id, provider: 'sandbox', raw: entry };
+  }
+
+  // Recorded messages, oldest first; "to" matches with or without the whatsapp: prefix
+  getOutbox({ to = null, since = null, limit = 100 } = {}) {
+    let entries = this.outbox;
+
+    if (to) {
+      const number = this.stripPrefix(to);
+      entries = entries.filter(entry => this.stripPrefix(entry.to) === number);
+    }
+
+    if (since) {
+      entries = entries.filter(entry => entry.createdAt > since);
+    }
+
+    return entries.slice(-limit);
+  }
+
+  // Messages recorded after the entry with this ID (all of them if it is unknown)
+  getEntriesAfter(entryId) {
+    const index = this.outbox.findIndex(entry => entry.id === entryId);
+    return this.outbox.slice(index + 1);
+  }
+
+  // ID of the newest outbox entry, to collect the replies to an injected message
+  getLastEntryId() {
+    return this.outbox.length > 0 ? this.outbox[this.outbox.length - 1].id : null;
+  }
+
+  // Empty the outbox (or one recipient's messages); returns how many were removed
+  clearOutbox(to = null) {
+    const before = this.outbox.length;
+
+    if (to) {
+      const number = this.stripPrefix(to);
+      this.outbox = this.outbox.filter(entry => this.stripPrefix(entry.to) !== number);
+    } else {
+      this.outbox = [];
+    }
+
+    this.saveStore();
+    return before - this.outbox.length;
+  }
+
+  // Twilio numbers carry a whatsapp: prefix, Cloud API and SMS numbers don't
+  stripPrefix(phoneNumber) {
+    return String(phoneNumber).replace(/^whatsapp:/, '');
+  }
+
+  // Load the outbox so recorded messages survive a restart
+  loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        return Array.isArray(data) ? data.slice(-this.maxEntries) : [];
+      }
+    } catch (error) {
+      logger.error('Could not load sandbox outbox, starting empty:', error);
+    }
+
+    return [];
+  }
+
+  // Persist the outbox
+  saveStore() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.outbox, null, 2));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      logger.error('Could not persist sandbox outbox:', error);
+    }
+  }
+}
+
+module.exports = new SandboxService();
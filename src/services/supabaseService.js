@@ -1,5 +1,22 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
+const idempotencyService = require('./idempotencyService');
+
+// Delivery status progression; callbacks can arrive out of order, so never move backwards
+const MESSAGE_STATUS_RANK = {
+  accepted: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  received: 3,
+  delivered: 4,
+  read: 5,
+  undelivered: 6,
+  failed: 6
+};
+
+// Rows fetched per request by reports; PostgREST returns at most 1000 rows per request by default
+const REPORT_PAGE_SIZE = 1000;
 
 class SupabaseService {
   constructor() {
@@ -155,7 +172,7 @@ class SupabaseService {
   }
 
   // Store user query
-  async storeUserQuery(phoneNumber, query, detectedLanguage, metadata = {}) {
+  async storeUserQuery(phoneNumber, query, detectedLanguage, metadata = {}, isEmergency = false) {
     if (!this.supabase) return null;
 
     try {
@@ -170,6 +187,7 @@ class SupabaseService {
           query: query,
           detected_language: detectedLanguage,
           query_timestamp: new Date().toISOString(),
+          is_emergency: isEmergency,
           metadata: metadata
         })
         .select()
@@ -190,7 +208,8 @@ class SupabaseService {
   }
 
   // Store AI response
-  async storeAiResponse(phoneNumber, query, response, provider, confidence = 0.8) {
+  // passageIds and promptTemplate record what the answer was generated from
+  async storeAiResponse(phoneNumber, query, response, provider, confidence = 0.8, { passageIds = null, promptTemplate = null } = {}) {
     if (!this.supabase) return null;
 
     try {
@@ -216,7 +235,9 @@ class SupabaseService {
           ai_response: response,
           ai_provider: provider,
           confidence_score: confidence,
-          response_timestamp: new Date().toISOString()
+          response_timestamp: new Date().toISOString(),
+          ...(passageIds ? { kb_passage_ids: passageIds } : {}),
+          ...(promptTemplate ? { prompt_template: promptTemplate } : {})
         })
         .eq('id', conversation.id)
         .select()
@@ -241,7 +262,7 @@ class SupabaseService {
     if (!this.supabase) return [];
 
     try {
-      const { data, error } = await this.supabase
+      let query = this.supabase
         .from('conversations')
         .select('query, ai_response, query_timestamp, response_timestamp')
         .eq('user_phone', phoneNumber)
@@ -249,6 +270,14 @@ class SupabaseService {
         .order('query_timestamp', { ascending: false })
         .limit(limit);
 
+      // RESET command: only use conversations after the reset
+      const user = await this.getUser(phoneNumber);
+      if (user?.context_reset_at) {
+        query = query.gt('query_timestamp', user.context_reset_at);
+      }
+
+      const { data, error } = await query;
+
       if (error) {
         logger.error('Error getting user context:', error);
         return [];
@@ -337,6 +366,227 @@ class SupabaseService {
     }
   }
 
+  // Get a user's profile row
+  async getUser(phoneNumber) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('users')
+        .select('*')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error getting user:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase get user error:', error);
+      return null;
+    }
+  }
+
+  // Save (or clear, with null) a user's emergency contact; a new contact starts unverified
+  async setEmergencyContact(phoneNumber, contactPhone) {
+    if (!this.supabase) return null;
+
+    try {
+      await this.ensureUserExists(phoneNumber);
+
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('users')
+        .update({
+          emergency_contact: contactPhone,
+          emergency_contact_status: contactPhone ? 'pending' : null,
+          emergency_contact_consent_at: contactPhone ? now : null,
+          emergency_contact_verified_at: null
+        })
+        .eq('phone_number', phoneNumber)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error saving emergency contact:', error);
+        return null;
+      }
+
+      logger.info(`📇 Emergency contact for ${phoneNumber} ${contactPhone ? `set to ${contactPhone}` : 'removed'}`);
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase set emergency contact error:', error);
+      return null;
+    }
+  }
+
+  // Record that the contact confirmed they will receive alerts
+  async markEmergencyContactVerified(phoneNumber, contactPhone) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('users')
+        .update({
+          emergency_contact_status: 'verified',
+          emergency_contact_verified_at: new Date().toISOString()
+        })
+        .eq('phone_number', phoneNumber)
+        .eq('emergency_contact', contactPhone)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error verifying emergency contact:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase verify emergency contact error:', error);
+      return null;
+    }
+  }
+
+  // Users waiting for this number to confirm it as their emergency contact
+  async getUsersAwaitingContact(contactPhone) {
+    if (!this.supabase) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from('users')
+        .select('phone_number, preferred_language, emergency_contact')
+        .eq('emergency_contact', contactPhone)
+        .eq('emergency_contact_status', 'pending');
+
+      if (error) {
+        logger.error('Error finding users awaiting contact confirmation:', error);
+        return [];
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get users awaiting contact error:', error);
+      return [];
+    }
+  }
+
+  // Set the reply language chosen with the LANG command
+  async setPreferredLanguage(phoneNumber, language) {
+    return await this.updateUser(phoneNumber, {
+      preferred_language: language,
+      language_set_by_user: true
+    });
+  }
+
+  // Start a fresh conversation context (RESET command); history is kept
+  async resetUserContext(phoneNumber) {
+    return await this.updateUser(phoneNumber, {
+      context_reset_at: new Date().toISOString()
+    });
+  }
+
+  // Record a STOP / START request
+  async setOptOut(phoneNumber, optedOut) {
+    return await this.updateUser(phoneNumber, {
+      opted_out: optedOut,
+      opted_out_at: optedOut ? new Date().toISOString() : null
+    });
+  }
+
+  // Update fields on a user's row, creating the user first if needed
+  async updateUser(phoneNumber, fields) {
+    if (!this.supabase) return null;
+
+    try {
+      await this.ensureUserExists(phoneNumber);
+
+      const { data, error } = await this.supabase
+        .from('users')
+        .update(fields)
+        .eq('phone_number', phoneNumber)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error updating user:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase update user error:', error);
+      return null;
+    }
+  }
+
+  // Erase everything stored about a user (DELETE MY DATA command). A number that
+  // sent STOP keeps a bare users row with the opt-out, so deleting data never
+  // turns messages back on; opt_out_events stays as the record of that consent.
+  async deleteUserData(phoneNumber) {
+    if (!this.supabase) return false;
+
+    try {
+      const { data: user, error: userError } = await this.supabase
+        .from('users')
+        .select('opted_out, opted_out_at')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+      if (userError) {
+        logger.error('Error reading user before deleting data:', userError);
+        return false;
+      }
+
+      const tables = [
+        ['conversations', 'user_phone'],
+        ['health_queries', 'user_phone'],
+        ['message_logs', 'user_phone'],
+        ['emergency_events', 'user_phone'],
+        ['handoff_cases', 'user_phone'],
+        ['ai_usage', 'user_phone'],
+        ['users', 'phone_number']
+      ];
+
+      for (const [table, column] of tables) {
+        const { error } = await this.supabase
+          .from(table)
+          .delete()
+          .eq(column, phoneNumber);
+
+        if (error) {
+          logger.error(`Error deleting ${table} rows for user:`, error);
+          return false;
+        }
+      }
+
+      if (user?.opted_out) {
+        const { error } = await this.supabase
+          .from('users')
+          .insert({ phone_number: phoneNumber, opted_out: true, opted_out_at: user.opted_out_at });
+
+        if (error) {
+          logger.error('Error keeping opt-out after deleting user data:', error);
+          return false;
+        }
+      }
+
+      logger.info(`🗑️ All data deleted for ${phoneNumber}${user?.opted_out ? ' (opt-out kept)' : ''}`);
+      return true;
+
+    } catch (error) {
+      logger.error('Supabase delete user data error:', error);
+      return false;
+    }
+  }
+
   // Update user last active timestamp
   async updateUserActivity(phoneNumber) {
     if (!this.supabase) return null;
@@ -360,17 +610,24 @@ class SupabaseService {
     }
   }
 
-  // Log message for debugging and analytics
-  async logMessage(phoneNumber, messageType, content, metadata = {}) {
+  // Log message for debugging, delivery tracking and analytics
+  // details: { messageSid, provider, direction: 'inbound' | 'outbound', status }
+  async logMessage(phoneNumber, messageType, content, metadata = {}, details = {}) {
     if (!this.supabase) return null;
 
+    const { messageSid = null, provider = null, direction = null, status = null } = details;
+
     try {
       const { data, error } = await this.supabase
         .from('message_logs')
         .insert({
           user_phone: phoneNumber,
-          message_type: messageType, // 'incoming', 'outgoing', 'error'
-          content: content.substring(0, 1000), // Limit content length
+          message_type: messageType, // 'incoming', 'outgoing', 'error', 'voice'
+          content: (content || '').substring(0, 1000), // Limit content length
+          message_sid: messageSid,
+          message_status: status,
+          provider: provider,
+          direction: direction,
           metadata: metadata,
           timestamp: new Date().toISOString()
         });
@@ -380,6 +637,13 @@ class SupabaseService {
         return null;
       }
 
+      // Apply delivery statuses that arrived before this record existed
+      if (messageSid) {
+        for (const buffered of idempotencyService.takeBufferedStatuses(messageSid)) {
+          await this.updateMessageStatus(messageSid, buffered.status);
+        }
+      }
+
       return data;
 
     } catch (error) {
@@ -388,28 +652,799 @@ class SupabaseService {
     }
   }
 
-  // Update message status (for Twilio status callbacks)
+  // Update message status (for Twilio / Cloud API status callbacks)
   async updateMessageStatus(messageSid, status) {
     if (!this.supabase) return null;
 
     try {
-      const { data, error } = await this.supabase
+      const { data: rows, error: findError } = await this.supabase
         .from('message_logs')
-        .update({ 
-          message_status: status,
-          status_updated_at: new Date().toISOString()
-        })
+        .select('id, message_status')
         .eq('message_sid', messageSid);
 
+      if (findError) {
+        logger.error('Error finding message for status update:', findError);
+        return null;
+      }
+
+      // Only move forward (e.g. a late "sent" must not overwrite "read")
+      const newRank = MESSAGE_STATUS_RANK[status] ?? 0;
+      const ids = (rows || [])
+        .filter(row => (MESSAGE_STATUS_RANK[row.message_status] ?? -1) < newRank)
+        .map(row => row.id);
+
+      if (ids.length > 0) {
+        const { error } = await this.supabase
+          .from('message_logs')
+          .update({ 
+            message_status: status,
+            status_updated_at: new Date().toISOString()
+          })
+          .in('id', ids);
+
+        if (error) {
+          logger.error('Error updating message status:', error);
+          return null;
+        }
+      }
+
+      // Matched rows; empty when no message with this SID has been logged yet
+      return rows || [];
+
+    } catch (error) {
+      logger.error('Supabase update status error:', error);
+      return null;
+    }
+  }
+
+  // Every row of a report query, fetched page by page in id order so the server's row cap
+  // can't silently cut the totals short. buildQuery returns a fresh filtered select.
+  async selectAllRows(buildQuery) {
+    const rows = [];
+
+    for (let from = 0; ; from += REPORT_PAGE_SIZE) {
+      const { data, error } = await buildQuery()
+        .order('id', { ascending: true })
+        .range(from, from + REPORT_PAGE_SIZE - 1);
+
+      if (error) {
+        return { data: null, error };
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < REPORT_PAGE_SIZE) {
+        return { data: rows, error: null };
+      }
+    }
+  }
+
+  // Delivery report for outbound messages, grouped per day and per provider
+  async getDeliveryReport(days = 7) {
+    if (!this.supabase) return null;
+
+    try {
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+
+      const { data, error } = await this.selectAllRows(() => this.supabase
+        .from('message_logs')
+        .select('timestamp, provider, message_status')
+        .eq('direction', 'outbound')
+        // Accepted sends carry a SID; dead-lettered sends never got one but count as failed
+        .or('message_sid.not.is.null,message_status.eq.failed')
+        .gte('timestamp', startDate.toISOString()));
+
+      if (error) {
+        logger.error('Error getting delivery report:', error);
+        return null;
+      }
+
+      const emptyBucket = () => ({ total: 0, sent: 0, delivered: 0, read: 0, failed: 0 });
+      const addToBucket = (bucket, status) => {
+        const rank = MESSAGE_STATUS_RANK[status] ?? 0;
+        bucket.total++;
+        if (status === 'failed' || status === 'undelivered') {
+          bucket.failed++;
+          return;
+        }
+        // Each stage implies the ones before it (read => delivered => sent)
+        if (rank >= MESSAGE_STATUS_RANK.sent) bucket.sent++;
+        if (rank >= MESSAGE_STATUS_RANK.delivered) bucket.delivered++;
+        if (rank >= MESSAGE_STATUS_RANK.read) bucket.read++;
+      };
+      const withRates = (bucket) => ({
+        ...bucket,
+        sentRate: bucket.total ? +(bucket.sent / bucket.total).toFixed(3) : 0,
+        deliveredRate: bucket.total ? +(bucket.delivered / bucket.total).toFixed(3) : 0,
+        readRate: bucket.total ? +(bucket.read / bucket.total).toFixed(3) : 0,
+        failedRate: bucket.total ? +(bucket.failed / bucket.total).toFixed(3) : 0
+      });
+
+      const totals = emptyBucket();
+      const byDay = {};
+      const byProvider = {};
+
+      for (const row of data || []) {
+        const day = row.timestamp.split('T')[0];
+        const provider = row.provider || 'unknown';
+
+        byDay[day] = byDay[day] || {};
+        byDay[day][provider] = byDay[day][provider] || emptyBucket();
+        byProvider[provider] = byProvider[provider] || emptyBucket();
+
+        addToBucket(totals, row.message_status);
+        addToBucket(byDay[day][provider], row.message_status);
+        addToBucket(byProvider[provider], row.message_status);
+      }
+
+      return {
+        days,
+        totals: withRates(totals),
+        byProvider: Object.fromEntries(
+          Object.entries(byProvider).map(([provider, bucket]) => [provider, withRates(bucket)])
+        ),
+        byDay: Object.fromEntries(
+          Object.entries(byDay)
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([day, providers]) => [day, Object.fromEntries(
+              Object.entries(providers).map(([provider, bucket]) => [provider, withRates(bucket)])
+            )])
+        )
+      };
+
+    } catch (error) {
+      logger.error('Supabase delivery report error:', error);
+      return null;
+    }
+  }
+
+  // Record the tokens and cost of one AI provider call
+  async logAiUsage({ phoneNumber, provider, model, promptTokens, completionTokens, estimated, costUsd }) {
+    if (!this.supabase) return null;
+
+    try {
+      const { error } = await this.supabase
+        .from('ai_usage')
+        .insert({
+          user_phone: phoneNumber,
+          provider: provider,
+          model: model,
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          estimated: estimated,
+          cost_usd: costUsd,
+          created_at: new Date().toISOString()
+        });
+
+      if (error) {
+        logger.error('Error logging AI usage:', error);
+        return null;
+      }
+
+      return true;
+
+    } catch (error) {
+      logger.error('Supabase log AI usage error:', error);
+      return null;
+    }
+  }
+
+  // AI token usage and spend, grouped per day, per provider and per user
+  async getAiUsageReport(days = 7, topUsers = 20) {
+    if (!this.supabase) return null;
+
+    try {
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+
+      const { data, error } = await this.selectAllRows(() => this.supabase
+        .from('ai_usage')
+        .select('created_at, user_phone, provider, prompt_tokens, completion_tokens, estimated, cost_usd')
+        .gte('created_at', startDate.toISOString()));
+
+      if (error) {
+        logger.error('Error getting AI usage report:', error);
+        return null;
+      }
+
+      const emptyBucket = () => ({ calls: 0, estimatedCalls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+      const addToBucket = (bucket, row) => {
+        bucket.calls++;
+        if (row.estimated) bucket.estimatedCalls++;
+        bucket.promptTokens += row.prompt_tokens || 0;
+        bucket.completionTokens += row.completion_tokens || 0;
+        bucket.costUsd += Number(row.cost_usd) || 0;
+      };
+      const rounded = (bucket) => ({ ...bucket, costUsd: +bucket.costUsd.toFixed(6) });
+
+      const totals = emptyBucket();
+      const byDay = {};
+      const byProvider = {};
+      const byUser = {};
+
+      for (const row of data || []) {
+        const day = row.created_at.split('T')[0];
+        const provider = row.provider || 'unknown';
+        const user = row.user_phone || 'unknown';
+
+        byDay[day] = byDay[day] || {};
+        byDay[day][provider] = byDay[day][provider] || emptyBucket();
+        byProvider[provider] = byProvider[provider] || emptyBucket();
+        byUser[user] = byUser[user] || emptyBucket();
+
+        addToBucket(totals, row);
+        addToBucket(byDay[day][provider], row);
+        addToBucket(byProvider[provider], row);
+        addToBucket(byUser[user], row);
+      }
+
+      return {
+        days,
+        totals: rounded(totals),
+        byProvider: Object.fromEntries(
+          Object.entries(byProvider).map(([provider, bucket]) => [provider, rounded(bucket)])
+        ),
+        byDay: Object.fromEntries(
+          Object.entries(byDay)
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([day, providers]) => [day, Object.fromEntries(
+              Object.entries(providers).map(([provider, bucket]) => [provider, rounded(bucket)])
+            )])
+        ),
+        // Heaviest users first, by spend and then by tokens
+        topUsers: Object.entries(byUser)
+          .map(([phoneNumber, bucket]) => ({ phoneNumber, ...rounded(bucket) }))
+          .sort((a, b) => b.costUsd - a.costUsd || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens))
+          .slice(0, topUsers)
+      };
+
+    } catch (error) {
+      logger.error('Supabase AI usage report error:', error);
+      return null;
+    }
+  }
+
+  // Store a triage assessment in health_queries, with the structured AI answer when there is one
+  async storeHealthQuery(phoneNumber, triage, followUpAnswers = null, answer = null) {
+    if (!this.supabase) return null;
+
+    try {
+      const serious = ['high', 'emergency'];
+      const { data, error } = await this.supabase
+        .from('health_queries')
+        .insert({
+          user_phone: phoneNumber,
+          symptoms: triage.symptoms,
+          severity_level: triage.severity,
+          follow_up_needed: serious.includes(triage.severity) || serious.includes(answer?.severity),
+          triage_rules: triage.matches.map(match => match.id),
+          triage_version: triage.version,
+          follow_up_answers: followUpAnswers,
+          recommended_actions: answer?.homeCare ?? null,
+          answer_summary: answer?.summary ?? null,
+          answer_red_flags: answer?.redFlags ?? null,
+          answer_see_doctor: answer?.seeDoctor ?? null,
+          answer_severity: answer?.severity ?? null,
+          answer_follow_up_questions: answer?.followUpQuestions ?? null,
+          query_timestamp: new Date().toISOString()
+        })
+        .select()
+        .single();
+
       if (error) {
-        logger.error('Error updating message status:', error);
+        logger.error('Error storing health query:', error);
         return null;
       }
 
+      logger.debug(`🩺 Health query stored: ${phoneNumber} - ${triage.severity}`);
       return data;
 
     } catch (error) {
-      logger.error('Supabase update status error:', error);
+      logger.error('Supabase store health query error:', error);
+      return null;
+    }
+  }
+
+  // Record a detected emergency for the admin dashboard
+  async logEmergencyEvent({ phoneNumber, query, language, source, conversationId, contactPhone, contactAlerted, metadata = {} }) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('emergency_events')
+        .insert({
+          user_phone: phoneNumber,
+          query: query,
+          detected_language: language,
+          source: source,
+          conversation_id: conversationId,
+          contact_phone: contactPhone,
+          contact_alerted: contactAlerted,
+          metadata: metadata,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error logging emergency event:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase log emergency event error:', error);
+      return null;
+    }
+  }
+
+  // List recent emergency events, newest first
+  async getEmergencyEvents({ limit = 50, unacknowledgedOnly = false } = {}) {
+    if (!this.supabase) return null;
+
+    try {
+      let query = this.supabase
+        .from('emergency_events')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (unacknowledgedOnly) {
+        query = query.eq('acknowledged', false);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error('Error getting emergency events:', error);
+        return null;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get emergency events error:', error);
+      return null;
+    }
+  }
+
+  // Mark an emergency event as handled by an admin
+  async acknowledgeEmergencyEvent(eventId, acknowledgedBy = null) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('emergency_events')
+        .update({
+          acknowledged: true,
+          acknowledged_by: acknowledgedBy,
+          acknowledged_at: new Date().toISOString()
+        })
+        .eq('id', eventId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error acknowledging emergency event:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase acknowledge emergency event error:', error);
+      return null;
+    }
+  }
+
+  // Check whether any of a number's stored forms has opted out; null if the lookup failed
+  async isOptedOut(phoneNumbers) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('users')
+        .select('phone_number')
+        .in('phone_number', phoneNumbers)
+        .eq('opted_out', true)
+        .limit(1);
+
+      if (error) {
+        logger.error('Error checking opt-out status:', error);
+        return null;
+      }
+
+      return (data || []).length > 0;
+
+    } catch (error) {
+      logger.error('Supabase opt-out check error:', error);
+      return null;
+    }
+  }
+
+  // Append to the opt-out audit trail
+  async logOptOutEvent({ phoneNumber, action, source, keyword = null }) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('opt_out_events')
+        .insert({
+          phone_number: phoneNumber,
+          action: action,
+          source: source,
+          keyword: keyword,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error logging opt-out event:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase log opt-out event error:', error);
+      return null;
+    }
+  }
+
+  // Users who are currently opted out, most recent first
+  async getOptedOutUsers(limit = 100) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('users')
+        .select('phone_number, preferred_language, opted_out_at, last_active')
+        .eq('opted_out', true)
+        .order('opted_out_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        logger.error('Error getting opted-out users:', error);
+        return null;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get opted-out users error:', error);
+      return null;
+    }
+  }
+
+  // Recent opt-out / opt-in events, newest first
+  async getOptOutEvents({ limit = 50 } = {}) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('opt_out_events')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        logger.error('Error getting opt-out events:', error);
+        return null;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get opt-out events error:', error);
+      return null;
+    }
+  }
+
+  // Register a health worker who can take handoff cases
+  async createHealthWorker({ name, phoneNumber, apiKeyHash }) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('health_workers')
+        .insert({
+          name: name,
+          phone_number: phoneNumber,
+          api_key_hash: apiKeyHash,
+          created_at: new Date().toISOString()
+        })
+        .select('id, name, phone_number, active, created_at')
+        .single();
+
+      if (error) {
+        logger.error('Error creating health worker:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase create health worker error:', error);
+      return null;
+    }
+  }
+
+  // Look up an active health worker by the hash of their API key
+  async getHealthWorkerByKeyHash(apiKeyHash) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('health_workers')
+        .select('id, name, phone_number, active, created_at')
+        .eq('api_key_hash', apiKeyHash)
+        .eq('active', true)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error getting health worker:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase get health worker error:', error);
+      return null;
+    }
+  }
+
+  // List health workers (API key hashes are never returned)
+  async getHealthWorkers({ activeOnly = false } = {}) {
+    if (!this.supabase) return null;
+
+    try {
+      let query = this.supabase
+        .from('health_workers')
+        .select('id, name, phone_number, active, created_at')
+        .order('created_at', { ascending: true });
+
+      if (activeOnly) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error('Error getting health workers:', error);
+        return null;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get health workers error:', error);
+      return null;
+    }
+  }
+
+  // Enable or disable a health worker's access
+  async setHealthWorkerActive(workerId, active) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('health_workers')
+        .update({ active: active })
+        .eq('id', workerId)
+        .select('id, name, phone_number, active, created_at')
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error updating health worker:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase update health worker error:', error);
+      return null;
+    }
+  }
+
+  // Open a handoff case for a user
+  async createHandoffCase({ phoneNumber, reason, query, language }) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('handoff_cases')
+        .insert({
+          user_phone: phoneNumber,
+          status: 'waiting',
+          reason: reason,
+          query: query,
+          detected_language: language,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error creating handoff case:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase create handoff case error:', error);
+      return null;
+    }
+  }
+
+  // Get one handoff case
+  async getHandoffCase(caseId) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('handoff_cases')
+        .select('*')
+        .eq('id', caseId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error getting handoff case:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase get handoff case error:', error);
+      return null;
+    }
+  }
+
+  // The user's waiting or claimed case, if any
+  async getOpenHandoffCase(phoneNumber) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('handoff_cases')
+        .select('*')
+        .eq('user_phone', phoneNumber)
+        .in('status', ['waiting', 'claimed'])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error getting open handoff case:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase get open handoff case error:', error);
+      return null;
+    }
+  }
+
+  // List handoff cases, oldest first so the queue is worked in order
+  async getHandoffCases({ status = null, workerId = null, limit = 50 } = {}) {
+    if (!this.supabase) return null;
+
+    try {
+      let query = this.supabase
+        .from('handoff_cases')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+      if (workerId) {
+        query = query.eq('worker_id', workerId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error('Error getting handoff cases:', error);
+        return null;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get handoff cases error:', error);
+      return null;
+    }
+  }
+
+  // Move a case between states; only matches when it is currently in fromStatus
+  // (and assigned to workerId, when given), so two workers can't claim the same case
+  async updateHandoffCase(caseId, { fromStatus, workerId = null, fields }) {
+    if (!this.supabase) return null;
+
+    try {
+      let query = this.supabase
+        .from('handoff_cases')
+        .update(fields)
+        .eq('id', caseId)
+        .eq('status', fromStatus);
+
+      if (workerId) {
+        query = query.eq('worker_id', workerId);
+      }
+
+      const { data, error } = await query.select().maybeSingle();
+
+      if (error) {
+        logger.error('Error updating handoff case:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase update handoff case error:', error);
+      return null;
+    }
+  }
+
+  // Add a patient or worker message to a case transcript
+  async addHandoffMessage(caseId, sender, body) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('handoff_messages')
+        .insert({
+          case_id: caseId,
+          sender: sender,
+          body: body,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error adding handoff message:', error);
+        return null;
+      }
+
+      return data;
+
+    } catch (error) {
+      logger.error('Supabase add handoff message error:', error);
+      return null;
+    }
+  }
+
+  // Transcript of a case, oldest first
+  async getHandoffMessages(caseId) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('handoff_messages')
+        .select('*')
+        .eq('case_id', caseId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        logger.error('Error getting handoff messages:', error);
+        return null;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      logger.error('Supabase get handoff messages error:', error);
       return null;
     }
   }
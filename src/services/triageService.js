@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Triage Service
+ * Red-flag rule engine shared by emergency detection, rate limiting and the
+ * AI providers. Rules live in a versioned JSON file: symptoms are multilingual
+ * phrase lists, rules combine symptoms ("any" / "all") into a severity level,
+ * and negated mentions ("no chest pain", "bukhar nahi hai") and a symptom's
+ * "except" phrases ("bleeding gums") are ignored. A hedged mention ("not sure
+ * if it is a heart attack") still counts, but an emergency that rests on one
+ * is only rated high.
+ */
+
+// Highest severity an emergency rule reaches when it relies on a hedged mention
+const HEDGED_SEVERITY = 'high';
+class TriageService {
+  constructor() {
+    this.rulesPath = process.env.TRIAGE_RULES_PATH || path.join(__dirname, '../data/triage_rules.json');
+    this.ruleset = this.loadRules(this.rulesPath);
+    logger.info(`🩺 Triage rules v${this.ruleset.version} loaded (${this.ruleset.rules.length} rules)`);
+  }
+
+  // Assess a message: highest matched severity plus the rules and symptoms behind it
+  assess(text) {
+    const { version, severityLevels, rules } = this.ruleset;
+    const { present, negated, hedged } = this.detectSymptoms(text || '');
+    const mentioned = new Set([...present, ...hedged]);
+    const ruleMatches = (rule, symptoms) => rule.any
+      ? rule.any.some(symptom => symptoms.has(symptom))
+      : rule.all.every(symptom => symptoms.has(symptom));
+
+    const matches = rules
+      .filter(rule => ruleMatches(rule, mentioned))
+      .map(rule => {
+        const isHedged = rule.severity === 'emergency' && !ruleMatches(rule, present);
+        return {
+          id: rule.id,
+          severity: isHedged ? HEDGED_SEVERITY : rule.severity,
+          category: rule.category,
+          symptoms: (rule.any || rule.all).filter(symptom => mentioned.has(symptom)),
+          ...(isHedged && { hedged: true })
+        };
+      });
+
+    const severity = matches.reduce(
+      (highest, match) => this.getSeverityRank(match.severity) > this.getSeverityRank(highest) ? match.severity : highest,
+      severityLevels[0]
+    );
+
+    return {
+      severity,
+      isEmergency: severity === 'emergency',
+      matches,
+      symptoms: [...mentioned],
+      negatedSymptoms: [...negated].filter(symptom => !present.has(symptom)),
+      hedgedSymptoms: [...hedged].filter(symptom => !present.has(symptom)),
+      version
+    };
+  }
+
+  // Check if a message describes an emergency
+  isEmergency(text) {
+    return this.assess(text).isEmergency;
+  }
+
+  // Check if a message reaches at least the given severity
+  isAtLeast(text, level) {
+    return this.getSeverityRank(this.assess(text).severity) >= this.getSeverityRank(level);
+  }
+
+  // Position of a severity level (higher is more severe; -1 when unknown)
+  getSeverityRank(level) {
+    return this.ruleset.severityLevels.indexOf(level);
+  }
+
+  // Find which symptoms are mentioned, separating negated and hedged mentions
+  detectSymptoms(text) {
+    const tokens = this.tokenize(text);
+    const occurrences = [];
+
+    for (const [symptom, phrases] of Object.entries(this.ruleset.symptoms)) {
+      const exceptions = this.findPhrases(tokens, this.ruleset.exceptions[symptom] || []);
+      const isExcepted = ({ start, end }) => exceptions.some(span => start < span.end && end > span.start);
+
+      for (const span of this.findPhrases(tokens, phrases)) {
+        if (!isExcepted(span)) {
+          occurrences.push({ symptom, ...span });
+        }
+      }
+    }
+
+    const hedges = this.findPhrases(tokens, this.ruleset.negation.hedges);
+    const present = new Set();
+    const negated = new Set();
+    const hedged = new Set();
+
+    for (const occurrence of occurrences) {
+      if (this.isNegated(tokens, occurrence, occurrences)) {
+        negated.add(occurrence.symptom);
+      } else if (this.isHedged(tokens, occurrence, hedges)) {
+        hedged.add(occurrence.symptom);
+      } else {
+        present.add(occurrence.symptom);
+      }
+    }
+
+    return { present, negated, hedged };
+  }
+
+  // Every span of tokens matching one of the phrases
+  findPhrases(tokens, phrases) {
+    const spans = [];
+    for (const phrase of phrases) {
+      for (let start = 0; start + phrase.length <= tokens.length; start++) {
+        if (phrase.every((part, offset) => this.tokenMatches(tokens[start + offset], part))) {
+          spans.push({ start, end: start + phrase.length });
+        }
+      }
+    }
+    return spans;
+  }
+
+  // A hedge ("not sure if") earlier in the same clause makes the mention uncertain
+  isHedged(tokens, occurrence, hedges) {
+    const { clauseBreaks } = this.ruleset.negation;
+
+    return hedges.some(hedge => hedge.end <= occurrence.start &&
+      tokens.slice(hedge.end, occurrence.start).every(token => token !== '|' && !clauseBreaks.includes(token)));
+  }
+
+  // Look for a negation cue next to a mention, within the same clause
+  isNegated(tokens, occurrence, occurrences) {
+    const { window, before, after, clauseBreaks } = this.ruleset.negation;
+
+    // Another symptom between the cue and this mention means the cue belongs to that one
+    const belongsToOther = (index) => occurrences.some(other =>
+      index >= other.start && index < other.end &&
+      (other.end <= occurrence.start || other.start >= occurrence.end)
+    );
+    const isBoundary = (token) => token === '|' || clauseBreaks.includes(token);
+
+    for (let i = occurrence.start - 1; i >= Math.max(0, occurrence.start - window); i--) {
+      if (isBoundary(tokens[i]) || belongsToOther(i)) break;
+      if (before.includes(tokens[i])) return true;
+    }
+
+    for (let i = occurrence.end; i < Math.min(tokens.length, occurrence.end + window - 1); i++) {
+      if (isBoundary(tokens[i]) || belongsToOther(i)) break;
+      if (after.includes(tokens[i])) return true;
+    }
+
+    return false;
+  }
+
+  // Exact token match, or prefix match for phrase parts ending in "*"
+  tokenMatches(token, part) {
+    return part.endsWith('*') ? token.startsWith(part.slice(0, -1)) : token === part;
+  }
+
+  // Lowercase, unify Devanagari spelling variants and mark clause breaks with "|"
+  tokenize(text) {
+    return this.normalize(text)
+      .replace(/[.,!?;:।॥()"“”]+/g, ' | ')
+      .split(/\s+/)
+      .filter(token => token.length > 0);
+  }
+
+  // Shared normalization for rule phrases and messages
+  normalize(text) {
+    return text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[’‘`]/g, '\'')
+      .replace(/\u093C/g, '')         // nukta: तेज़ = तेज
+      .replace(/\u0901/g, '\u0902')   // chandrabindu: साँस = सांस
+      .replace(/-/g, ' ');
+  }
+
+  // Reload rules from disk; the current rules stay active if the file is invalid
+  reload() {
+    const ruleset = this.loadRules(this.rulesPath);
+    this.ruleset = ruleset;
+    logger.info(`🩺 Triage rules reloaded: v${ruleset.version} (${ruleset.rules.length} rules)`);
+    return this.getRulesInfo();
+  }
+
+  // Summary of the active rule set (for admin endpoints)
+  getRulesInfo() {
+    return {
+      version: this.ruleset.version,
+      path: this.rulesPath,
+      loadedAt: this.ruleset.loadedAt,
+      severityLevels: this.ruleset.severityLevels,
+      symptoms: Object.keys(this.ruleset.symptoms).length,
+      rules: this.ruleset.rules.map(({ id, severity, category }) => ({ id, severity, category }))
+    };
+  }
+
+  // Read, validate and compile a rules file
+  loadRules(rulesPath) {
+    const data = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    const { version, severityLevels, negation = {}, symptoms, rules } = data;
+
+    if (!version || !Array.isArray(severityLevels) || !symptoms || !Array.isArray(rules)) {
+      throw new Error(`Triage rules at ${rulesPath} need version, severityLevels, symptoms and rules`);
+    }
+
+    const ruleIds = new Set();
+    for (const rule of rules) {
+      const referenced = rule.any || rule.all;
+
+      if (!rule.id || ruleIds.has(rule.id)) {
+        throw new Error(`Triage rule ${rule.id || '(no id)'} is missing an id or duplicated`);
+      }
+      if (!severityLevels.includes(rule.severity)) {
+        throw new Error(`Triage rule ${rule.id} has unknown severity: ${rule.severity}`);
+      }
+      if (!Array.isArray(referenced) || referenced.length === 0) {
+        throw new Error(`Triage rule ${rule.id} needs a non-empty "any" or "all" list`);
+      }
+
+      const unknown = referenced.filter(symptom => !symptoms[symptom]);
+      if (unknown.length > 0) {
+        throw new Error(`Triage rule ${rule.id} references unknown symptom(s): ${unknown.join(', ')}`);
+      }
+
+      ruleIds.add(rule.id);
+    }
+
+    // Phrases from every language are matched; users mix scripts freely
+    const compilePhrases = (phrases = []) => [...new Set(phrases.map(phrase => this.normalize(phrase).trim()))]
+      .map(phrase => phrase.split(/\s+/));
+
+    const compiledSymptoms = {};
+    const compiledExceptions = {};
+    for (const [symptom, { except, ...phrasesByLanguage }] of Object.entries(symptoms)) {
+      compiledSymptoms[symptom] = compilePhrases(Object.values(phrasesByLanguage).flat());
+      if (except) {
+        compiledExceptions[symptom] = compilePhrases(except);
+      }
+    }
+
+    const normalizeList = (list = []) => list.map(cue => this.normalize(cue));
+
+    return {
+      version,
+      severityLevels,
+      negation: {
+        window: negation.window || 3,
+        before: normalizeList(negation.before),
+        after: normalizeList(negation.after),
+        clauseBreaks: normalizeList(negation.clauseBreaks),
+        hedges: compilePhrases(negation.hedges)
+      },
+      symptoms: compiledSymptoms,
+      exceptions: compiledExceptions,
+      rules,
+      loadedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new TriageService();
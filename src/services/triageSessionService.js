@@ -0,0 +1,489 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const messageService = require('./messageService');
+const languageService = require('./languageService');
+const quickReplyService = require('./quickReplyService');
+const triageService = require('./triageService');
+
+/**
+ * Triage Session Service
+ * Guided follow-up questions for a reported symptom - duration, severity,
+ * age, pregnancy and other symptoms - asked one at a time before the AI
+ * gives advice. Sessions are kept on disk with an idle timeout, so an answer
+ * still lands in the right place after a restart, and answers can come from
+ * buttons, typed text or transcribed voice notes.
+ */
+
+// Question order; pregnancy is only asked when it could apply
+const STEPS = ['duration', 'severity', 'age', 'pregnancy', 'associated'];
+const STEP_MENUS = {
+  duration: 'triage_duration',
+  severity: 'triage_severity',
+  pregnancy: 'triage_pregnancy'
+};
+
+// Symptoms that describe the patient or the tone of a message rather than a complaint
+const CONTEXT_SYMPTOMS = ['pregnancy', 'infant', 'urgency_words', 'help_request', 'explicit_emergency'];
+
+// Spoken and typed number words (voice transcripts rarely use digits)
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6, che: 6, saat: 7, aath: 8, nau: 9, das: 10,
+  'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5, 'छह': 6, 'सात': 7, 'आठ': 8, 'नौ': 9, 'दस': 10
+};
+
+// Patterns run on triageService.normalize() output (lowercase, no nukta)
+const SKIP_PATTERN = /^(skip|chhodo|chodo|छोडो|bas|advice now)$/;
+const NONE_PATTERN = /^(no|none|nothing|nope|nahi|nahin|na|kuch nahi|koi nahi|नहीं|ना|कुछ नहीं|कोई नहीं)$/;
+const YES_PATTERN = /^(yes|y|haan|han|ha|ji|हां|जी)(\s|$)/;
+const NO_PATTERN = /^(no|n|nahi|nahin|na|नहीं|ना)(\s|$)/;
+const NOT_APPLICABLE_PATTERN = /not applicable|\b(male|man|boy|purush|ladka|lagu nahi)\b|पुरुष|लडका|लागू नहीं/;
+
+const SEVERITY_PATTERNS = [
+  ['TRIAGE_SEVERITY_SEVERE', /severe|very bad|unbearable|a lot|\b(bahut|zyada|jyada|tez|tej)\b|बहुत|ज्यादा|तेज|गंभीर|असहनीय/],
+  ['TRIAGE_SEVERITY_MODERATE', /moderate|medium|\b(madhyam|theek thaak|thik thak)\b|मध्यम|ठीक ठाक/],
+  ['TRIAGE_SEVERITY_MILD', /mild|slight|little|\b(halka|halki|thoda|thodi)\b|हल्का|हल्की|थोडा|थोडी/]
+];
+
+const DURATION_UNIT_DAYS = [
+  [/^(hour|hours|hr|hrs|ghante|ghanta|घंटे|घंटा)$/, 0],
+  [/^(day|days|din|दिन)$/, 1],
+  [/^(week|weeks|hafta|hafte|हफ्ता|हफ्ते|सप्ताह)$/, 7],
+  [/^(month|months|mahina|mahine|महीना|महीने)$/, 30]
+];
+
+const AGE_MONTH_UNIT = /^(month|months|mahina|mahine|महीना|महीने)$/;
+const AGE_YEAR_UNIT = /^(year|years|yr|yrs|saal|sal|varsh|साल|वर्ष)$/;
+
+// Wording that makes a number in a free-text message an age: "aged 40", "umar 3 saal",
+// "8 month old", "3 saal ka bachcha". "for 2 months" / "2 mahine se" is a duration.
+const AGE_PREFIX = /^(aged|age|umar|umra|उम्र|आयु)$/;
+const AGE_OLD = /^(old)$/;
+const AGE_OF = /^(ka|ki|ke|का|की|के)$/;
+const PERSON_WORDS = /^(baby|child|kid|son|daughter|boy|girl|bachcha|baccha|bacha|bachchi|bacchi|beta|beti|ladka|ladki|shishu|बच्चा|बच्ची|बच्चे|बेटा|बेटी|लडका|लडकी|शिशु)$/;
+
+class TriageSessionService {
+  constructor() {
+    this.storePath = process.env.TRIAGE_SESSION_PATH || path.join(process.cwd(), 'logs', 'triage_sessions.json');
+    this.ttlMs = parseInt(process.env.TRIAGE_SESSION_TTL_MS) || 30 * 60 * 1000;
+
+    this.sessions = this.loadStore();
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  // Start asking follow-up questions for a symptom report; returns false when none are needed
+  async start(phoneNumber, query, language, triage, { isVoice = false } = {}) {
+    if (!this.shouldStart(triage)) {
+      return false;
+    }
+
+    const session = {
+      step: null,
+      language,
+      originalQuery: query,
+      answers: this.prefillAnswers(query, triage),
+      texts: [query],
+      startedByVoice: isVoice,
+      startedAt: new Date().toISOString()
+    };
+
+    const nextStep = this.getNextStep(session);
+    if (!nextStep) {
+      return false;
+    }
+
+    logger.info(`🩺 Triage follow-up started for ${phoneNumber} (${triage.symptoms.join(', ')})`);
+    await messageService.sendWhatsAppMessage(phoneNumber, languageService.getTriageSessionMessage('intro', language));
+    await this.ask(phoneNumber, session, nextStep);
+    return true;
+  }
+
+  // Only symptom reports short of an emergency get follow-up questions
+  shouldStart(triage) {
+    if (triage.isEmergency || triageService.getSeverityRank(triage.severity) < triageService.getSeverityRank('medium')) {
+      return false;
+    }
+
+    return triage.symptoms.some(symptom => !CONTEXT_SYMPTOMS.includes(symptom));
+  }
+
+  // Handle a message while a session is active.
+  // Returns null when there is no session, { pending: true } after asking the
+  // next question, or the finished session ({ query, triage, ... }) ready for advice.
+  async handleMessage(phoneNumber, text, { buttonPayload = null, isVoice = false } = {}) {
+    const session = this.getSession(phoneNumber);
+    if (!session) {
+      return null;
+    }
+
+    // A button from some other menu is not an answer
+    if (buttonPayload && !buttonPayload.startsWith('TRIAGE_')) {
+      return null;
+    }
+
+    quickReplyService.forget(phoneNumber);
+    const normalized = triageService.normalize(text.trim());
+
+    if (SKIP_PATTERN.test(normalized)) {
+      logger.info(`🩺 Triage follow-up skipped by ${phoneNumber} at ${session.step}`);
+      return this.finish(phoneNumber, session, this.assess(session));
+    }
+
+    // Menu picks ("2") say nothing the answer itself doesn't
+    if (!buttonPayload && !/^\d+$/.test(normalized)) {
+      session.texts.push(text);
+    }
+    session.answers[session.step] = {
+      ...this.parseAnswer(session.step, text, normalized, session.language, buttonPayload),
+      via: buttonPayload ? 'button' : (isVoice ? 'voice' : 'text')
+    };
+
+    // Re-check the whole story: an answer can turn it into an emergency
+    const triage = this.assess(session);
+    if (triage.isEmergency) {
+      logger.warn(`🩺 Triage follow-up for ${phoneNumber} escalated to emergency at ${session.step}`);
+      return this.finish(phoneNumber, session, triage);
+    }
+
+    const nextStep = this.getNextStep(session);
+    if (!nextStep) {
+      return this.finish(phoneNumber, session, triage);
+    }
+
+    await this.ask(phoneNumber, session, nextStep);
+    return { pending: true };
+  }
+
+  // Send the question for a step and save the session
+  async ask(phoneNumber, session, step) {
+    session.step = step;
+    this.saveSession(phoneNumber, session);
+
+    if (STEP_MENUS[step]) {
+      await messageService.sendInteractiveMessage(phoneNumber, quickReplyService.buildMenu(STEP_MENUS[step], session.language));
+    } else {
+      await messageService.sendWhatsAppMessage(phoneNumber, languageService.getTriageSessionMessage(`ask_${step}`, session.language));
+    }
+  }
+
+  // First unanswered question that applies
+  getNextStep(session) {
+    return STEPS.find(step => {
+      if (session.answers[step]) return false;
+
+      if (step === 'pregnancy') {
+        const years = session.answers.age?.years;
+        return years === null || years === undefined || (years >= 12 && years <= 50);
+      }
+
+      return true;
+    }) || null;
+  }
+
+  // End the session and hand back everything needed to answer
+  finish(phoneNumber, session, triage) {
+    this.clear(phoneNumber);
+
+    return {
+      originalQuery: session.originalQuery,
+      // What the user actually said, for emergency records
+      reportedText: session.texts.join('. '),
+      query: this.buildQuery(session),
+      language: session.language,
+      answers: session.answers,
+      triage,
+      startedByVoice: session.startedByVoice
+    };
+  }
+
+  // Red-flag triage over the original message, every answer and the structured facts
+  assess(session) {
+    const facts = [];
+    if (session.answers.age?.years === 0) facts.push('infant');
+    if (session.answers.pregnancy?.value === 'TRIAGE_PREGNANT_YES') facts.push('pregnant');
+    if (session.answers.severity?.value === 'TRIAGE_SEVERITY_SEVERE') facts.push('severe');
+
+    return triageService.assess([...session.texts, ...facts].join('. '));
+  }
+
+  // The user's complaint plus the follow-up answers, for the AI prompt
+  buildQuery(session) {
+    const { answers } = session;
+    const optionTitle = (step) => {
+      const answer = answers[step];
+      if (!answer) return null;
+      if (!answer.value) return answer.text;
+
+      const menu = quickReplyService.buildMenu(STEP_MENUS[step], 'en');
+      const option = (menu.buttons || menu.list.options).find(candidate => candidate.id === answer.value);
+      return option ? option.title.toLowerCase() : answer.text;
+    };
+
+    const lines = [];
+    if (answers.duration) lines.push(`- Duration: ${optionTitle('duration')}`);
+    if (answers.severity) lines.push(`- Severity: ${optionTitle('severity')}`);
+    if (answers.age) lines.push(`- Age: ${this.describeAge(answers.age)}`);
+
+    // Worded so the triage negation rules read "not pregnant" correctly
+    if (answers.pregnancy?.value === 'TRIAGE_PREGNANT_YES') lines.push('- Pregnancy: pregnant');
+    if (answers.pregnancy?.value === 'TRIAGE_PREGNANT_NO') lines.push('- Pregnancy: not pregnant');
+    if (answers.pregnancy && !answers.pregnancy.value) lines.push(`- Pregnancy: ${answers.pregnancy.text}`);
+
+    if (answers.associated) {
+      lines.push(`- Other symptoms: ${answers.associated.none ? 'none reported' : answers.associated.text}`);
+    }
+
+    if (lines.length === 0) {
+      return session.originalQuery;
+    }
+
+    return `${session.originalQuery}\n\nFollow-up answers:\n${lines.join('\n')}`;
+  }
+
+  // Age answer as text for the prompt
+  describeAge(age) {
+    if (age.years === null) return age.text;
+    if (age.years === 0) return age.months ? `${age.months} months` : 'under 1 year';
+    return `${age.years} years`;
+  }
+
+  // Map a button, a numbered reply or free text onto a step's answer
+  parseAnswer(step, text, normalized, language, buttonPayload) {
+    if (STEP_MENUS[step]) {
+      const menu = quickReplyService.buildMenu(STEP_MENUS[step], language);
+      const options = menu.buttons || menu.list.options;
+      const index = /^\d+$/.test(normalized) ? parseInt(normalized) - 1 : -1;
+      const option = options.find(candidate => candidate.id === buttonPayload) ||
+        options[index] ||
+        options.find(candidate => triageService.normalize(candidate.title) === normalized);
+
+      if (option) {
+        return { value: option.id, text };
+      }
+    }
+
+    switch (step) {
+      case 'duration':
+        return { value: this.parseDuration(normalized), text };
+      case 'severity':
+        return { value: this.parseSeverity(normalized), text };
+      case 'age':
+        return { ...this.parseAge(normalized, false), text };
+      case 'pregnancy':
+        return { value: this.parsePregnancy(normalized), text };
+      case 'associated':
+        return { none: NONE_PATTERN.test(normalized), text };
+      default:
+        return { value: null, text };
+    }
+  }
+
+  // "3 din se", "two weeks", "since yesterday" -> duration option
+  parseDuration(normalized) {
+    if (/more than a week|over a week|\b(months?|mahine|kai hafte)\b|महीन/.test(normalized)) {
+      return 'TRIAGE_DURATION_LONG';
+    }
+
+    const amount = this.findAmount(normalized, DURATION_UNIT_DAYS.map(([unit]) => unit));
+    if (amount) {
+      const [, daysPerUnit] = DURATION_UNIT_DAYS.find(([unit]) => unit.test(amount.unit));
+      const days = amount.count * daysPerUnit;
+      if (days < 1) return 'TRIAGE_DURATION_TODAY';
+      if (days <= 3) return 'TRIAGE_DURATION_DAYS';
+      if (days <= 7) return 'TRIAGE_DURATION_WEEK';
+      return 'TRIAGE_DURATION_LONG';
+    }
+
+    if (/\b(today|tonight|this morning|few hours|aaj|abhi)\b|आज|अभी/.test(normalized)) return 'TRIAGE_DURATION_TODAY';
+    if (/\b(yesterday|kal)\b|कल/.test(normalized)) return 'TRIAGE_DURATION_DAYS';
+    if (/\b(a week|week|hafta|hafte)\b|हफ्त|सप्ताह/.test(normalized)) return 'TRIAGE_DURATION_WEEK';
+
+    return null;
+  }
+
+  // "bahut zyada", "halka sa" -> severity option
+  parseSeverity(normalized) {
+    const match = SEVERITY_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+    return match ? match[0] : null;
+  }
+
+  // "35", "8 mahine", "two years" -> { years, months }; a bare number counts as years unless a unit is required.
+  // Only for answers to the age question: anywhere else "2 months" is as likely a duration.
+  parseAge(normalized, requireUnit = true) {
+    const amount = this.findAmount(normalized, [AGE_MONTH_UNIT, AGE_YEAR_UNIT]);
+    if (amount) {
+      return this.toAge(amount.count, amount.unit);
+    }
+
+    if (/\b(baby|infant|newborn|shishu)\b|शिशु|नवजात/.test(normalized)) {
+      return { years: 0, months: null };
+    }
+
+    const bare = requireUnit ? null : normalized.match(/^(\d{1,3})\b/);
+    if (bare && parseInt(bare[1]) <= 120) {
+      return { years: parseInt(bare[1]), months: null };
+    }
+
+    return { years: null, months: null };
+  }
+
+  // An age the message states in so many words ("my 8 month old", "3 saal ka beta", "aged 40"), or null
+  parseStatedAge(normalized) {
+    const tokens = this.splitTokens(normalized);
+    const countAt = (i) => (/^\d+$/.test(tokens[i]) ? parseInt(tokens[i]) : NUMBER_WORDS[tokens[i]]);
+    const isAgeUnit = (token) => AGE_MONTH_UNIT.test(token) || AGE_YEAR_UNIT.test(token);
+
+    for (let i = 0; i < tokens.length; i++) {
+      // "aged 40", "age 8 months", "umar 3 saal"
+      if (AGE_PREFIX.test(tokens[i]) && countAt(i + 1) !== undefined) {
+        return isAgeUnit(tokens[i + 2]) ? this.toAge(countAt(i + 1), tokens[i + 2]) : { years: countAt(i + 1), months: null };
+      }
+
+      // "8 month old", "3 saal ka bachcha"
+      if (countAt(i) !== undefined && isAgeUnit(tokens[i + 1])) {
+        const isOld = AGE_OLD.test(tokens[i + 2]);
+        const isOfPerson = AGE_OF.test(tokens[i + 2]) && PERSON_WORDS.test(tokens[i + 3] || '');
+        if (isOld || isOfPerson) {
+          return this.toAge(countAt(i), tokens[i + 1]);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // "<count> months" or "<count> years" as { years, months }
+  toAge(count, unit) {
+    if (AGE_MONTH_UNIT.test(unit)) {
+      return { years: Math.floor(count / 12), months: count < 12 ? count : null };
+    }
+    return { years: count, months: null };
+  }
+
+  // Yes / no / not applicable
+  parsePregnancy(normalized) {
+    if (NOT_APPLICABLE_PATTERN.test(normalized)) return 'TRIAGE_PREGNANT_NA';
+    if (YES_PATTERN.test(normalized) || /^(pregnant|garbhvati)\b|^गर्भवती/.test(normalized)) return 'TRIAGE_PREGNANT_YES';
+    if (NO_PATTERN.test(normalized)) return 'TRIAGE_PREGNANT_NO';
+    return null;
+  }
+
+  // Find "<number> <unit>" where the unit matches one of the patterns
+  findAmount(normalized, unitPatterns) {
+    const tokens = this.splitTokens(normalized);
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+      const count = /^\d+$/.test(tokens[i]) ? parseInt(tokens[i]) : NUMBER_WORDS[tokens[i]];
+      if (count !== undefined && unitPatterns.some(unit => unit.test(tokens[i + 1]))) {
+        return { count, unit: tokens[i + 1] };
+      }
+    }
+
+    return null;
+  }
+
+  // Words of a normalized text, with "3din" split into "3 din" and punctuation dropped
+  splitTokens(normalized) {
+    return normalized
+      .replace(/(\d+)([^\d\s])/g, '$1 $2')
+      .split(/[\s.,!?;:।()"]+/)
+      .filter(Boolean);
+  }
+
+  // Answers the first message already gives ("my 8 month old", "I am pregnant", "severe")
+  prefillAnswers(query, triage) {
+    const answers = {};
+    const source = { text: query, via: 'message' };
+
+    if (triage.symptoms.includes('urgency_words')) {
+      answers.severity = { value: 'TRIAGE_SEVERITY_SEVERE', ...source };
+    }
+
+    const age = this.parseStatedAge(triageService.normalize(query));
+    if (age) {
+      answers.age = { ...age, ...source };
+    } else if (triage.symptoms.includes('infant')) {
+      answers.age = { years: 0, months: null, ...source };
+    }
+
+    if (triage.symptoms.includes('pregnancy')) {
+      answers.pregnancy = { value: 'TRIAGE_PREGNANT_YES', ...source };
+    }
+
+    return answers;
+  }
+
+  // Active session for a user, if it has not timed out
+  getSession(phoneNumber) {
+    const session = this.sessions.get(phoneNumber);
+    if (session && session.expiresAt <= Date.now()) {
+      logger.info(`🩺 Triage follow-up for ${phoneNumber} timed out at ${session.step}`);
+      this.clear(phoneNumber);
+      return null;
+    }
+    return session || null;
+  }
+
+  // Store a session with a fresh idle timeout
+  saveSession(phoneNumber, session) {
+    this.sessions.set(phoneNumber, { ...session, updatedAt: new Date().toISOString(), expiresAt: Date.now() + this.ttlMs });
+    this.saveStore();
+  }
+
+  // Abandon a session (finished, timed out, RESET, STOP)
+  clear(phoneNumber) {
+    if (this.sessions.delete(phoneNumber)) {
+      this.saveStore();
+    }
+  }
+
+  // Drop timed-out sessions
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [phoneNumber, session] of this.sessions.entries()) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(phoneNumber);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.saveStore();
+      logger.debug(`Triage session cleanup removed ${removed} expired session(s)`);
+    }
+  }
+
+  // Load sessions from disk so a restart mid-conversation doesn't lose answers
+  loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        const now = Date.now();
+        return new Map(Object.entries(data).filter(([, session]) => session.expiresAt > now));
+      }
+    } catch (error) {
+      logger.error('Could not load triage session store, starting empty:', error);
+    }
+
+    return new Map();
+  }
+
+  // Persist sessions to disk
+  saveStore() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.sessions)));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      logger.error('Could not save triage session store:', error);
+    }
+  }
+}
+
+module.exports = new TriageSessionService();
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabaseService');
+
+// Devanagari and other non-Latin scripts split into far more tokens per character than English
+const NON_ASCII = /[^\x00-\x7F]/g;
+
+/**
+ * Usage Service
+ * Counts the prompt and completion tokens of every AI provider call, prices
+ * them with the per-provider rates from the provider config and enforces the
+ * daily budgets. Today's totals are kept on disk so a restart doesn't reset
+ * the budgets; every call is also stored in Supabase for the spend report.
+ * Providers that don't report usage get an estimate from the text length.
+ */
+class UsageService {
+  constructor() {
+    this.storePath = process.env.AI_USAGE_STORE_PATH || path.join(process.cwd(), 'logs', 'ai_usage.json');
+
+    // 0 = no limit
+    this.dailyBudgetUsd = parseFloat(process.env.AI_DAILY_BUDGET_USD) || 0;
+    this.userDailyTokenBudget = parseInt(process.env.AI_USER_DAILY_TOKEN_BUDGET) || 0;
+
+    this.today = this.loadStore();
+    this.stats = { budgetFallbacks: 0 };
+  }
+
+  // Rough token count: ~4 characters per token for English, ~2 for other scripts
+  estimateTokens(text) {
+    if (!text) {
+      return 0;
+    }
+
+    const nonAscii = (text.match(NON_ASCII) || []).length;
+    return Math.ceil((text.length - nonAscii) / 4 + nonAscii / 2);
+  }
+
+  // Normalized usage for a call: the provider's own counts when it reports them
+  // (OpenAI-style prompt_tokens / completion_tokens), otherwise an estimate from the texts
+  buildUsage({ reported = null, prompt = '', completion = '' }) {
+    if (Number.isInteger(reported?.prompt_tokens) && Number.isInteger(reported?.completion_tokens)) {
+      return {
+        promptTokens: reported.prompt_tokens,
+        completionTokens: reported.completion_tokens,
+        estimated: false
+      };
+    }
+
+    return {
+      promptTokens: this.estimateTokens(prompt),
+      completionTokens: this.estimateTokens(completion),
+      estimated: true
+    };
+  }
+
+  // Add one provider call to today's totals and store it; returns the call's cost in USD
+  record({ phoneNumber, provider, model, usage, pricing }) {
+    this.rollOver();
+
+    const costUsd = this.calculateCost(usage, pricing);
+    const tokens = usage.promptTokens + usage.completionTokens;
+    const user = phoneNumber || 'unknown';
+
+    const totals = this.today;
+    totals.calls++;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.costUsd += costUsd;
+    totals.users[user] = (totals.users[user] || 0) + tokens;
+    this.saveStore();
+
+    logger.debug(`💰 ${provider} used ${usage.promptTokens}+${usage.completionTokens} tokens${usage.estimated ? ' (estimated)' : ''}, $${costUsd.toFixed(6)}`);
+
+    supabaseService.logAiUsage({
+      phoneNumber: user,
+      provider,
+      model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      estimated: usage.estimated,
+      costUsd
+    });
+
+    return costUsd;
+  }
+
+  // Drop a user's token total for today (DELETE MY DATA)
+  forgetUser(phoneNumber) {
+    if (phoneNumber in this.today.users) {
+      delete this.today.users[phoneNumber];
+      this.saveStore();
+    }
+  }
+
+  // Why a user may not use the AI providers right now ('global' or 'user'), or null if within budget
+  checkBudget(phoneNumber) {
+    this.rollOver();
+
+    if (this.dailyBudgetUsd > 0 && this.today.costUsd >= this.dailyBudgetUsd) {
+      return 'global';
+    }
+    if (this.userDailyTokenBudget > 0 && (this.today.users[phoneNumber || 'unknown'] || 0) >= this.userDailyTokenBudget) {
+      return 'user';
+    }
+    return null;
+  }
+
+  // Count an answer that skipped the AI providers because a budget ran out
+  recordBudgetFallback(reason) {
+    this.stats.budgetFallbacks++;
+    logger.warn(`💰 Daily ${reason === 'global' ? 'AI spend' : 'per-user token'} budget reached, answering from cache / knowledge base only`);
+  }
+
+  calculateCost(usage, pricing = {}) {
+    const { promptPer1kTokens = 0, completionPer1kTokens = 0 } = pricing;
+    return (usage.promptTokens * promptPer1kTokens + usage.completionTokens * completionPer1kTokens) / 1000;
+  }
+
+  // Today's totals against the budgets (for the admin usage endpoint)
+  getBudgetStatus() {
+    this.rollOver();
+
+    const topUsers = Object.entries(this.today.users)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 10)
+      .map(([phoneNumber, tokens]) => ({ phoneNumber, tokens }));
+
+    return {
+      date: this.today.date,
+      calls: this.today.calls,
+      promptTokens: this.today.promptTokens,
+      completionTokens: this.today.completionTokens,
+      costUsd: +this.today.costUsd.toFixed(6),
+      dailyBudgetUsd: this.dailyBudgetUsd || null,
+      userDailyTokenBudget: this.userDailyTokenBudget || null,
+      globalBudgetExceeded: this.checkBudget(null) === 'global',
+      usersOverBudget: this.userDailyTokenBudget > 0
+        ? Object.values(this.today.users).filter(tokens => tokens >= this.userDailyTokenBudget).length
+        : 0,
+      topUsers,
+      ...this.stats
+    };
+  }
+
+  // Start fresh totals when the UTC day changes
+  rollOver() {
+    const date = this.currentDate();
+    if (this.today.date !== date) {
+      this.today = this.emptyDay(date);
+    }
+  }
+
+  currentDate() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  emptyDay(date) {
+    return { date, calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, users: {} };
+  }
+
+  // Load today's totals from disk; a file from an earlier day starts a new one
+  loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        if (data.date === this.currentDate()) {
+          return { ...this.emptyDay(data.date), ...data };
+        }
+      }
+    } catch (error) {
+      logger.error('Could not load AI usage store, starting empty:', error);
+    }
+
+    return this.emptyDay(this.currentDate());
+  }
+
+  // Persist today's totals
+  saveStore() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.today));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      logger.error('Could not persist AI usage store:', error);
+    }
+  }
+}
+
+module.exports = new UsageService();
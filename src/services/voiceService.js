@@ -14,6 +14,9 @@ class VoiceService {
     this.azureSpeechKey = process.env.AZURE_SPEECH_KEY;
     this.azureSpeechRegion = process.env.AZURE_SPEECH_REGION;
     
+    // Only the CLI chat simulator sets this, to attach voice notes from local files
+    this.allowFileUrls = false;
+
     // Create temp directory for audio processing
     this.tempDir = path.join(process.cwd(), 'temp');
     if (!fs.existsSync(this.tempDir)) {
@@ -22,7 +25,8 @@ class VoiceService {
   }
 
   // Convert speech to text (STT)
-  async convertSpeechToText(audioUrl, language = 'auto') {
+  // requestHeaders are forwarded to the media download (Cloud API media needs a bearer token)
+  async convertSpeechToText(audioUrl, language = 'auto', requestHeaders = {}) {
     try {
       logger.info(`🎤 Converting speech to text from: ${audioUrl}`);
 
@@ -33,7 +37,7 @@ class VoiceService {
       }
 
       // Download audio file
-      const audioPath = await this.downloadAudioFile(audioUrl);
+      const audioPath = await this.downloadAudioFile(audioUrl, requestHeaders);
       
       // Convert to suitable format if needed
       const convertedPath = await this.convertAudioFormat(audioPath);
@@ -313,9 +317,23 @@ class VoiceService {
   }
 
   // Download audio file from URL
-  async downloadAudioFile(audioUrl) {
+  async downloadAudioFile(audioUrl, headers = {}) {
     try {
-      const response = await axios.get(audioUrl, { responseType: 'stream' });
+      const { protocol } = new URL(audioUrl);
+
+      // Voice notes attached in the CLI chat simulator are local files
+      if (protocol === 'file:' && this.allowFileUrls) {
+        const filePath = path.join(this.tempDir, `audio_${Date.now()}${path.extname(audioUrl) || '.ogg'}`);
+        fs.copyFileSync(new URL(audioUrl), filePath);
+        return filePath;
+      }
+
+      // Media URLs come from webhooks (and the sandbox API); never read local files or other schemes for them
+      if (protocol !== 'https:' && protocol !== 'http:') {
+        throw new Error(`Unsupported audio URL scheme: ${protocol}`);
+      }
+
+      const response = await axios.get(audioUrl, { responseType: 'stream', headers });
       const fileName = `audio_${Date.now()}.ogg`;
       const filePath = path.join(this.tempDir, fileName);
       
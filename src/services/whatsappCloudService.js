@@ -0,0 +1,158 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+/**
+ * WhatsApp Cloud API Service
+ * Talks directly to Meta's Graph API so deployments can skip the Twilio markup.
+ */
+class WhatsAppCloudService {
+  constructor() {
+    this.accessToken = process.env.META_WHATSAPP_TOKEN;
+    this.phoneNumberId = process.env.META_PHONE_NUMBER_ID;
+    this.apiVersion = process.env.META_GRAPH_API_VERSION || 'v19.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+  }
+
+  // Send a plain text message
+  async sendTextMessage(to, message) {
+    return await this.sendMessage(to, {
+      type: 'text',
+      text: {
+        preview_url: false,
+        body: message
+      }
+    });
+  }
+
+  // Send an audio message from a public URL
+  async sendAudioMessage(to, mediaUrl) {
+    return await this.sendMessage(to, {
+      type: 'audio',
+      audio: { link: mediaUrl }
+    });
+  }
+
+  // Send reply buttons (max 3) or a list picker (max 10 rows)
+  async sendInteractiveMessage(to, richMessage) {
+    const interactive = richMessage.list
+      ? {
+          type: 'list',
+          body: { text: richMessage.body },
+          action: {
+            button: richMessage.list.button.substring(0, 20),
+            sections: [{
+              title: (richMessage.list.sectionTitle || richMessage.list.button).substring(0, 24),
+              rows: richMessage.list.options.slice(0, 10).map(option => ({
+                id: option.id,
+                title: option.title.substring(0, 24),
+                ...(option.description && { description: option.description.substring(0, 72) })
+              }))
+            }]
+          }
+        }
+      : {
+          type: 'button',
+          body: { text: richMessage.body },
+          action: {
+            buttons: richMessage.buttons.slice(0, 3).map(option => ({
+              type: 'reply',
+              reply: { id: option.id, title: option.title.substring(0, 20) }
+            }))
+          }
+        };
+
+    if (richMessage.footer) {
+      interactive.footer = { text: richMessage.footer.substring(0, 60) };
+    }
+
+    return await this.sendMessage(to, { type: 'interactive', interactive });
+  }
+
+  // Send an approved template; quick-reply buttons get their payloads here, the text is fixed at approval
+  async sendTemplateMessage(to, template) {
+    return await this.sendMessage(to, {
+      type: 'template',
+      template: {
+        name: template.name,
+        // Hinglish replies use the English template
+        language: { code: template.language === 'hi' ? 'hi' : 'en' },
+        components: [
+          { type: 'body', parameters: template.params.map(text => ({ type: 'text', text })) },
+          ...template.buttons.map((button, index) => ({
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: String(index),
+            parameters: [{ type: 'payload', payload: button.payload }]
+          }))
+        ]
+      }
+    });
+  }
+
+  // Post a message object to the Graph API messages endpoint
+  async sendMessage(to, payload) {
+    if (!this.isAvailable()) {
+      throw new Error('WhatsApp Cloud API not configured');
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/${this.phoneNumberId}/messages`,
+      {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: this.formatRecipient(to),
+        ...payload
+      },
+      {
+        headers: this.getAuthHeaders(),
+        timeout: 15000
+      }
+    );
+
+    const sid = response.data?.messages?.[0]?.id;
+    logger.info(`📤 WhatsApp ${payload.type} message sent via Cloud API to ${to}, ID: ${sid}`);
+
+    return { sid, provider: 'meta', raw: response.data };
+  }
+
+  // Resolve a media ID from an inbound webhook to a downloadable URL
+  async getMediaUrl(mediaId) {
+    if (!this.isAvailable()) {
+      throw new Error('WhatsApp Cloud API not configured');
+    }
+
+    const response = await axios.get(`${this.baseUrl}/${mediaId}`, {
+      headers: this.getAuthHeaders(),
+      timeout: 15000
+    });
+
+    if (!response.data?.url) {
+      throw new Error(`No URL returned for media ${mediaId}`);
+    }
+
+    return {
+      url: response.data.url,
+      mimeType: response.data.mime_type
+    };
+  }
+
+  // Media URLs require the same bearer token to download
+  getAuthHeaders() {
+    return {
+      'Authorization': `Bearer ${this.accessToken}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  // Cloud API expects digits only, without "+" or "whatsapp:" prefixes
+  formatRecipient(to) {
+    return to.replace(/^whatsapp:/, '').replace(/\D/g, '');
+  }
+
+  // Check if Cloud API credentials are configured
+  isAvailable() {
+    return !!(this.accessToken && this.phoneNumberId);
+  }
+}
+
+module.exports = new WhatsAppCloudService();
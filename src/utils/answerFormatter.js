@@ -0,0 +1,105 @@
+/**
+ * Answer Formatter
+ * Renders a structured AI answer for the channel it goes out on: WhatsApp
+ * text (bold headings and bullets), voice notes (spoken sentences without
+ * symbols) and plain text (API responses, SMS). Headings are in the user's
+ * language; the answer's own text already is.
+ */
+
+const CHANNELS = ['whatsapp', 'voice', 'text'];
+
+const LABELS = {
+  en: {
+    homeCare: 'What you can do at home',
+    redFlags: 'Get medical help urgently if',
+    seeDoctor: 'When to see a doctor',
+    followUp: 'To help further, tell me',
+    spokenHomeCare: 'At home:',
+    spokenRedFlags: 'Get medical help urgently if you have:',
+    spokenFollowUp: 'You can also tell me:'
+  },
+  hi: {
+    homeCare: 'घर पर क्या करें',
+    redFlags: 'तुरंत डॉक्टर के पास जाएं अगर',
+    seeDoctor: 'डॉक्टर को कब दिखाएं',
+    followUp: 'बेहतर सलाह के लिए बताएं',
+    spokenHomeCare: 'घर पर:',
+    spokenRedFlags: 'तुरंत डॉक्टर के पास जाएं अगर ये हों:',
+    spokenFollowUp: 'आप यह भी बता सकते हैं:'
+  },
+  hinglish: {
+    homeCare: 'Ghar par kya karein',
+    redFlags: 'Turant doctor ke paas jaiye agar',
+    seeDoctor: 'Doctor ko kab dikhayein',
+    followUp: 'Behtar salah ke liye bataiye',
+    spokenHomeCare: 'Ghar par:',
+    spokenRedFlags: 'Turant doctor ke paas jaiye agar ye ho:',
+    spokenFollowUp: 'Aap ye bhi bata sakte hain:'
+  }
+};
+
+class AnswerFormatter {
+
+  // Render an answer for a channel ('whatsapp', 'voice' or 'text') in the user's language
+  static format(answer, { channel = 'whatsapp', language = 'en' } = {}) {
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`Unknown answer channel: ${channel}`);
+    }
+
+    const labels = LABELS[language] || LABELS.en;
+
+    if (channel === 'voice') {
+      return this.formatSpoken(answer, labels, language);
+    }
+    return this.formatWritten(answer, labels, channel === 'whatsapp');
+  }
+
+  // Headed sections with bullets; WhatsApp gets *bold* headings and icons
+  static formatWritten(answer, labels, rich) {
+    const heading = (icon, text) => (rich ? `${icon} *${text}*` : `${text}:`);
+    const bullets = (items) => items.map(item => `${rich ? '•' : '-'} ${item}`).join('\n');
+
+    const sections = [answer.summary];
+
+    if (answer.homeCare.length > 0) {
+      sections.push(`${heading('🏠', labels.homeCare)}\n${bullets(answer.homeCare)}`);
+    }
+    if (answer.redFlags.length > 0) {
+      sections.push(`${heading('🚨', labels.redFlags)}\n${bullets(answer.redFlags)}`);
+    }
+    if (answer.seeDoctor) {
+      sections.push(`${heading('🩺', labels.seeDoctor)}\n${answer.seeDoctor}`);
+    }
+    if (answer.followUpQuestions.length > 0) {
+      sections.push(`${heading('❓', labels.followUp)}\n${bullets(answer.followUpQuestions)}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // One paragraph of full sentences for text-to-speech
+  static formatSpoken(answer, labels, language) {
+    const stop = language === 'hi' ? '।' : '.';
+    const sentence = (text) => (/[.!?।]$/.test(text) ? text : `${text}${stop}`);
+    const listed = (items) => items.map(sentence).join(' ');
+
+    const sentences = [sentence(answer.summary)];
+
+    if (answer.homeCare.length > 0) {
+      sentences.push(`${labels.spokenHomeCare} ${listed(answer.homeCare)}`);
+    }
+    if (answer.redFlags.length > 0) {
+      sentences.push(`${labels.spokenRedFlags} ${listed(answer.redFlags)}`);
+    }
+    if (answer.seeDoctor) {
+      sentences.push(sentence(answer.seeDoctor));
+    }
+    if (answer.followUpQuestions.length > 0) {
+      sentences.push(`${labels.spokenFollowUp} ${answer.followUpQuestions.join(' ')}`);
+    }
+
+    return sentences.join(' ');
+  }
+}
+
+module.exports = AnswerFormatter;
@@ -0,0 +1,159 @@
+/**
+ * Circuit Breaker
+ * Tracks the recent calls to one upstream provider. When too many of them
+ * fail or run slow the breaker opens and callers skip the provider; after a
+ * cooldown a single probe request is let through (half-open) and its outcome
+ * decides whether the breaker closes again or stays open.
+ *
+ *   closed ──(failure rate ≥ threshold)──▶ open ──(cooldown)──▶ half_open
+ *     ▲                                     ▲                      │
+ *     └─────────(probe succeeds)────────────┴───(probe fails)──────┘
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowSize = options.windowSize || parseInt(process.env.AI_BREAKER_WINDOW) || 20;
+    this.minRequests = options.minRequests || parseInt(process.env.AI_BREAKER_MIN_REQUESTS) || 5;
+    this.failureRateThreshold = options.failureRateThreshold || parseFloat(process.env.AI_BREAKER_FAILURE_RATE) || 0.5;
+    this.slowCallMs = options.slowCallMs || parseInt(process.env.AI_BREAKER_SLOW_CALL_MS) || 10000;
+    this.cooldownMs = options.cooldownMs || parseInt(process.env.AI_BREAKER_COOLDOWN_MS) || 30000;
+
+    this.state = 'closed';
+    this.calls = [];
+    this.openedAt = null;
+    this.tripReason = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.totals = { requests: 0, failures: 0, slowCalls: 0, rejected: 0, trips: 0 };
+  }
+
+  // Whether a request may go to the provider now; moves open → half_open once the cooldown is over
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.probeInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    // Half-open lets exactly one probe through at a time
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.totals.rejected++;
+    return false;
+  }
+
+  // Record a completed call; a call slower than slowCallMs counts against the provider
+  recordSuccess(latencyMs) {
+    const slow = latencyMs > this.slowCallMs;
+    this.record({ ok: !slow, slow, latencyMs });
+
+    if (this.state === 'half_open') {
+      if (slow) {
+        this.trip(`probe took ${latencyMs} ms`);
+      } else {
+        this.close();
+      }
+    }
+  }
+
+  // Record a failed call (error or unusable response)
+  recordFailure(error, latencyMs) {
+    this.lastError = { message: error?.message || String(error), at: new Date().toISOString() };
+    this.record({ ok: false, slow: latencyMs > this.slowCallMs, latencyMs });
+
+    if (this.state === 'half_open') {
+      this.trip(`probe failed: ${this.lastError.message}`);
+    }
+  }
+
+  // A call was abandoned without an outcome (e.g. cancelled after another provider answered)
+  release() {
+    if (this.state === 'half_open') {
+      this.probeInFlight = false;
+    }
+  }
+
+  // Add a call to the rolling window and trip if the failure rate is too high
+  record(call) {
+    this.calls.push({ ...call, at: Date.now() });
+    if (this.calls.length > this.windowSize) {
+      this.calls.shift();
+    }
+
+    this.totals.requests++;
+    if (!call.ok) this.totals.failures++;
+    if (call.slow) this.totals.slowCalls++;
+
+    if (this.state === 'closed' && this.calls.length >= this.minRequests && this.getFailureRate() >= this.failureRateThreshold) {
+      this.trip(`${Math.round(this.getFailureRate() * 100)}% of the last ${this.calls.length} calls failed or were slow`);
+    }
+  }
+
+  // Stop sending requests until the cooldown is over
+  trip(reason) {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.probeInFlight = false;
+    this.totals.trips++;
+    this.tripReason = reason;
+  }
+
+  // Back to normal, with a fresh window so old failures don't re-trip it
+  close() {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.tripReason = null;
+    this.calls = [];
+  }
+
+  // Force the breaker closed (admin reset after fixing a provider)
+  reset() {
+    this.close();
+  }
+
+  // Share of the rolling window that failed or ran slow
+  getFailureRate() {
+    if (this.calls.length === 0) return 0;
+    return this.calls.filter(call => !call.ok).length / this.calls.length;
+  }
+
+  // Current state and rolling-window statistics
+  getStatus() {
+    const latencies = this.calls.map(call => call.latencyMs).sort((a, b) => a - b);
+    const percentile = (p) => (latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))] : null);
+
+    return {
+      name: this.name,
+      state: this.state,
+      tripReason: this.tripReason || null,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      window: {
+        calls: this.calls.length,
+        failureRate: Number(this.getFailureRate().toFixed(2)),
+        slowCalls: this.calls.filter(call => call.slow).length,
+        avgLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+        p50LatencyMs: percentile(0.5),
+        p95LatencyMs: percentile(0.95)
+      },
+      totals: { ...this.totals },
+      lastError: this.lastError,
+      config: {
+        windowSize: this.windowSize,
+        minRequests: this.minRequests,
+        failureRateThreshold: this.failureRateThreshold,
+        slowCallMs: this.slowCallMs,
+        cooldownMs: this.cooldownMs
+      }
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
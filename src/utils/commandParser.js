@@ -0,0 +1,97 @@
+/**
+ * Command Parser
+ * Recognizes chat commands (HELP, LANG HI, HISTORY, RESET, DELETE MY DATA,
+ * STOP, START) in English, Hindi and Hinglish. A command must be the whole
+ * message, so "help, I have chest pain" is still treated as a health query,
+ * and LANG only takes a language it knows, so "language delay in my son" is too.
+ */
+
+// Keyword -> language the reply should default to
+const COMMANDS = {
+  HELP: {
+    en: ['help', 'menu', 'commands'],
+    hi: ['मदद', 'सहायता'],
+    hinglish: ['madad', 'madad karo']
+  },
+  HISTORY: {
+    en: ['history', 'my history'],
+    hi: ['इतिहास', 'मेरा इतिहास'],
+    hinglish: ['itihas', 'purane sawal']
+  },
+  RESET: {
+    en: ['reset', 'restart', 'start over'],
+    hi: ['रीसेट', 'नई शुरुआत'],
+    hinglish: ['naya shuru', 'fir se shuru']
+  },
+  DELETE_DATA: {
+    en: ['delete my data', 'delete data', 'erase my data'],
+    hi: ['मेरा डेटा हटाओ', 'मेरा डेटा मिटाओ', 'मेरा डेटा डिलीट करो'],
+    hinglish: ['mera data delete karo', 'mera data hatao', 'data delete karo']
+  },
+  STOP: {
+    en: ['stop', 'stopall', 'unsubscribe', 'end', 'quit'],
+    hi: ['बंद करो', 'बंद करें'],
+    hinglish: ['band karo', 'band kijiye']
+  },
+  START: {
+    en: ['start', 'unstop', 'subscribe'],
+    hi: ['शुरू', 'शुरू करो', 'शुरू करें'],
+    hinglish: ['shuru', 'shuru karo']
+  }
+};
+
+// "LANG HI" / "language hindi" / "भाषा हिंदी"; a bare "LANG" asks which languages there are
+const LANGUAGE_COMMAND = /^(?:lang|language|bhasha|भाषा)(?:\s+(.+))?$/;
+const LANGUAGE_NAMES = {
+  en: ['en', 'eng', 'english', 'angrezi', 'अंग्रेजी', 'अंग्रेज़ी'],
+  hi: ['hi', 'hindi', 'हिंदी', 'हिन्दी'],
+  hinglish: ['hinglish']
+};
+
+class CommandParser {
+
+  // Parse a message; returns { name, language, args } or null for normal messages
+  static parse(text) {
+    const message = this.normalize(text);
+    if (!message) return null;
+
+    const languageMatch = message.match(LANGUAGE_COMMAND);
+    const requested = languageMatch?.[1] ? this.resolveLanguage(languageMatch[1]) : null;
+    if (languageMatch && (requested || !languageMatch[1])) {
+      return {
+        name: 'LANGUAGE',
+        language: requested || (/[\u0900-\u097F]/.test(message) ? 'hi' : 'en'),
+        args: { language: requested }
+      };
+    }
+
+    for (const [name, keywordsByLanguage] of Object.entries(COMMANDS)) {
+      for (const [language, keywords] of Object.entries(keywordsByLanguage)) {
+        if (keywords.includes(message)) {
+          return { name, language, args: { keyword: message } };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Map a language name or code to a supported language
+  static resolveLanguage(value) {
+    const name = value.trim();
+    const match = Object.entries(LANGUAGE_NAMES).find(([, names]) => names.includes(name));
+    return match ? match[0] : null;
+  }
+
+  // Lowercase, drop surrounding punctuation and collapse whitespace
+  static normalize(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    return text
+      .toLowerCase()
+      .replace(/^[\s.!?।*/#]+|[\s.!?।]+$/g, '')
+      .replace(/\s+/g, ' ');
+  }
+}
+
+module.exports = CommandParser;
@@ -25,6 +25,29 @@ class InputValidator {
     return { isValid: true, cleaned: phoneNumber };
   }
 
+  // Normalize a typed contact number to E.164 ("98765 43210" -> "+919876543210"); null if invalid
+  static normalizeContactNumber(input) {
+    if (!input || typeof input !== 'string') {
+      return null;
+    }
+
+    const text = input.replace(/^whatsapp:/, '').trim();
+    const digits = text.replace(/\D/g, '');
+
+    // Indian mobile: 10 digits starting 6-9, optionally prefixed with 0 or 91
+    const indian = digits.match(/^(?:0|91)?([6-9]\d{9})$/);
+    if (indian) {
+      return `+91${indian[1]}`;
+    }
+
+    // Other countries only with an explicit "+" country code
+    if (text.startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+      return `+${digits}`;
+    }
+
+    return null;
+  }
+
   // Validate and sanitize user message
   static validateMessage(message) {
     if (!message || typeof message !== 'string') {
@@ -205,23 +228,30 @@ class InputValidator {
   }
 
   // Validate webhook signature (for Twilio)
-  static validateWebhookSignature(signature, url, body, authToken) {
+  // Twilio signs the full request URL followed by every POST param, sorted by name,
+  // as name+value pairs, using HMAC-SHA1 with the account auth token.
+  static validateWebhookSignature(signature, url, params, authToken) {
     if (!signature || !authToken) {
       return { isValid: false, error: 'Missing signature or auth token' };
     }
 
     try {
       const crypto = require('crypto');
+      const data = Object.keys(params || {})
+        .sort()
+        .reduce((acc, key) => {
+          const values = Array.isArray(params[key]) ? [...params[key]].sort() : [params[key]];
+          return acc + values.map(value => `${key}${value}`).join('');
+        }, url);
+
       const expectedSignature = crypto
         .createHmac('sha1', authToken)
-        .update(Buffer.from(url + body, 'utf-8'))
-        .digest('base64');
+        .update(Buffer.from(data, 'utf-8'))
+        .digest();
 
-      const providedSignature = signature.replace('sha1=', '');
-      const isValid = crypto.timingSafeEqual(
-        Buffer.from(expectedSignature, 'base64'),
-        Buffer.from(providedSignature, 'base64')
-      );
+      const providedSignature = Buffer.from(signature, 'base64');
+      const isValid = providedSignature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(expectedSignature, providedSignature);
 
       return { isValid };
 
@@ -231,6 +261,31 @@ class InputValidator {
     }
   }
 
+  // Validate Meta Cloud API webhook signature (X-Hub-Signature-256 over the raw body)
+  static validateCloudApiSignature(signature, rawBody, appSecret) {
+    if (!signature || !appSecret || !rawBody) {
+      return { isValid: false, error: 'Missing signature, app secret or body' };
+    }
+
+    try {
+      const crypto = require('crypto');
+      const expectedSignature = crypto
+        .createHmac('sha256', appSecret)
+        .update(rawBody)
+        .digest();
+
+      const providedSignature = Buffer.from(signature.replace('sha256=', ''), 'hex');
+      const isValid = providedSignature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(expectedSignature, providedSignature);
+
+      return { isValid };
+
+    } catch (error) {
+      logger.error('Cloud API signature validation error:', error);
+      return { isValid: false, error: 'Signature validation failed' };
+    }
+  }
+
   // Sanitize filename for logs
   static sanitizeFilename(filename) {
     if (!filename) return 'unknown';
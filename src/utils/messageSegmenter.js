@@ -0,0 +1,157 @@
+/**
+ * Message Segmenter
+ * Splits long replies into ordered WhatsApp-sized parts on natural boundaries
+ * (paragraphs, bullet lines, sentences incl. Devanagari danda) instead of truncating.
+ */
+
+// Room kept free in each part for the "(1/3)\n" label
+const LABEL_RESERVE = 10;
+
+// Sentence endings in English and Hindi (। danda, ॥ double danda)
+const SENTENCE_BOUNDARY = /(?<=[.!?।॥])\s+/;
+
+// Closing safety advice that must always reach the user intact
+const SAFETY_PATTERNS = [
+  /doctor/i,
+  /disclaimer/i,
+  /healthcare professional/i,
+  /medical (advice|attention|help)/i,
+  /डॉक्टर/,
+  /चिकित्सक/,
+  /चेतावनी/,
+  /स्वास्थ्य पेशेवर/,
+  /\b112\b/
+];
+
+class MessageSegmenter {
+
+  // Split text into numbered parts no longer than maxLength
+  static split(text, maxLength = 1500) {
+    if (!text) return [];
+
+    const message = text.trim();
+    if (message.length <= maxLength) {
+      return [message];
+    }
+
+    const budget = maxLength - LABEL_RESERVE;
+    const { body, tail } = this.extractSafetyTail(message, budget);
+    const parts = this.pack(this.splitIntoUnits(body, budget), budget);
+
+    // Keep the safety tail whole: append to the last part or send it on its own
+    if (tail) {
+      const last = parts[parts.length - 1];
+      if (last && (last + '\n\n' + tail).length <= budget) {
+        parts[parts.length - 1] = last + '\n\n' + tail;
+      } else {
+        parts.push(tail);
+      }
+    }
+
+    if (parts.length === 1) {
+      return parts;
+    }
+
+    return parts.map((part, index) => `(${index + 1}/${parts.length})\n${part}`);
+  }
+
+  // Separate trailing safety advice (disclaimer / "see a doctor") from the body.
+  // Both are cut out of the message by position, so lists and line breaks survive.
+  static extractSafetyTail(message, budget) {
+    let cut = message.length;
+    const paragraphBreaks = [...message.matchAll(/\n{2,}/g)];
+
+    for (let i = paragraphBreaks.length - 1; i >= 0; i--) {
+      const { index, 0: separator } = paragraphBreaks[i];
+      if (!this.isSafetyText(message.slice(index + separator.length, cut))) break;
+      cut = index;
+    }
+
+    let body = message.slice(0, cut);
+    let tail = message.slice(cut).trim();
+
+    // No disclaimer paragraph - fall back to the closing sentence of the answer
+    if (!tail) {
+      const boundaries = [...body.matchAll(new RegExp(SENTENCE_BOUNDARY.source, 'g'))];
+      const last = boundaries[boundaries.length - 1];
+      if (last && this.isSafetyText(body.slice(last.index + last[0].length))) {
+        tail = body.slice(last.index).trim();
+        body = body.slice(0, last.index);
+      }
+    }
+
+    if (!tail || tail.length > budget) {
+      return { body: message, tail: null };
+    }
+
+    return { body: body.trim(), tail: tail.trim() };
+  }
+
+  // Check if a piece of text is safety advice
+  static isSafetyText(text) {
+    return SAFETY_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  // Break text into units that each fit the budget, remembering how to rejoin them
+  static splitIntoUnits(text, budget) {
+    const levels = [
+      { pattern: /\n{2,}/, separator: '\n\n' },
+      { pattern: /\n/, separator: '\n' },
+      { pattern: SENTENCE_BOUNDARY, separator: ' ' },
+      { pattern: /\s+/, separator: ' ' }
+    ];
+
+    const breakDown = (chunk, level, separator) => {
+      if (chunk.length <= budget) {
+        return [{ text: chunk, separator }];
+      }
+
+      if (level >= levels.length) {
+        // Single unbroken token longer than a part - hard split as a last resort
+        const pieces = [];
+        for (let i = 0; i < chunk.length; i += budget) {
+          pieces.push({ text: chunk.substring(i, i + budget), separator: i === 0 ? separator : '' });
+        }
+        return pieces;
+      }
+
+      const { pattern, separator: childSeparator } = levels[level];
+      const children = chunk.split(pattern).filter(child => child.trim().length > 0);
+
+      if (children.length <= 1) {
+        return breakDown(chunk, level + 1, separator);
+      }
+
+      return children.flatMap((child, index) =>
+        breakDown(child, level + 1, index === 0 ? separator : childSeparator)
+      );
+    };
+
+    return text ? breakDown(text, 0, '') : [];
+  }
+
+  // Greedily pack units into parts
+  static pack(units, budget) {
+    const parts = [];
+    let current = '';
+
+    for (const unit of units) {
+      const candidate = current ? current + unit.separator + unit.text : unit.text;
+
+      if (candidate.length <= budget) {
+        current = candidate;
+      } else {
+        if (current) parts.push(current.trim());
+        current = unit.text;
+      }
+    }
+
+    if (current.trim()) {
+      parts.push(current.trim());
+    }
+
+    return parts;
+  }
+}
+
+module.exports = MessageSegmenter;
@@ -0,0 +1,135 @@
+/**
+ * Structured Answer
+ * Parses and validates the JSON answer providers are asked for (summary,
+ * home-care steps, red flags, when to see a doctor, severity, follow-up
+ * questions). Models don't always comply: plain prose is kept as free text,
+ * and JSON that fails the schema is reduced to whatever text it holds.
+ */
+
+// Same scale as the triage rules
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'emergency'];
+
+const MAX_TEXT_LENGTH = 600;
+
+const ANSWER_SCHEMA = {
+  summary: { type: 'text', required: true },
+  homeCare: { type: 'list', maxItems: 5 },
+  redFlags: { type: 'list', maxItems: 5 },
+  seeDoctor: { type: 'text' },
+  severity: { type: 'severity', required: true },
+  followUpQuestions: { type: 'list', maxItems: 4 }
+};
+
+class StructuredAnswer {
+
+  // Returns { answer } for a valid answer, otherwise { fallbackText, error };
+  // fallbackText is null when nothing readable is left to send
+  static parse(text) {
+    const json = this.extractJson(text);
+    if (json === null) {
+      return { fallbackText: text.trim(), error: 'not JSON' };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return { fallbackText: null, error: `invalid JSON (${error.message})` };
+    }
+
+    const { answer, errors } = this.validate(data);
+    if (errors.length > 0) {
+      return { fallbackText: this.toFreeText(data), error: errors.join('; ') };
+    }
+
+    return { answer };
+  }
+
+  // Check data against the schema; returns the cleaned answer and any errors
+  static validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { answer: null, errors: ['answer must be a JSON object'] };
+    }
+
+    const answer = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(ANSWER_SCHEMA)) {
+      const value = data[field];
+
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+          errors.push(`${field} is required`);
+        }
+        answer[field] = rule.type === 'list' ? [] : null;
+        continue;
+      }
+
+      if (rule.type === 'text') {
+        if (typeof value !== 'string') {
+          errors.push(`${field} must be text`);
+          continue;
+        }
+        answer[field] = value.trim().slice(0, MAX_TEXT_LENGTH);
+      } else if (rule.type === 'list') {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+          errors.push(`${field} must be a list of text`);
+          continue;
+        }
+        answer[field] = value
+          .map(item => item.trim().slice(0, MAX_TEXT_LENGTH))
+          .filter(Boolean)
+          .slice(0, rule.maxItems);
+      } else if (rule.type === 'severity') {
+        const severity = typeof value === 'string' ? value.trim().toLowerCase() : value;
+        if (!SEVERITY_LEVELS.includes(severity)) {
+          errors.push(`severity must be one of ${SEVERITY_LEVELS.join(', ')}`);
+          continue;
+        }
+        answer[field] = severity;
+      }
+    }
+
+    return { answer: errors.length === 0 ? answer : null, errors };
+  }
+
+  // The JSON object in a reply, allowing for code fences or a sentence around it; null if the
+  // reply is prose. A cut-off object is returned as is so that it fails to parse.
+  static extractJson(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+    const start = unfenced.indexOf('{');
+
+    // Prose that merely mentions a brace is still prose
+    if (start === -1 || (start > 0 && !unfenced.includes('"summary"'))) {
+      return null;
+    }
+
+    const end = unfenced.lastIndexOf('}');
+    return end > start ? unfenced.slice(start, end + 1) : unfenced.slice(start);
+  }
+
+  // Readable text from an answer that failed validation, or null if it holds none
+  static toFreeText(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    const parts = [];
+    for (const field of ['summary', 'homeCare', 'seeDoctor']) {
+      const value = data[field];
+      if (typeof value === 'string' && value.trim()) {
+        parts.push(value.trim());
+      } else if (Array.isArray(value)) {
+        parts.push(...value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()));
+      }
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
+  static isAtLeast(severity, level) {
+    return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(level);
+  }
+}
+
+module.exports = StructuredAnswer;
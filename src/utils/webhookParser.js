@@ -0,0 +1,146 @@
+const logger = require('./logger');
+
+/**
+ * Webhook Parser
+ * Normalizes inbound webhook payloads from the supported WhatsApp providers
+ * (Twilio form posts and Meta WhatsApp Cloud API JSON) into one internal shape:
+ *
+ *   messages: [{ phoneNumber, messageBody, mediaUrl, mediaType, mediaId,
+ *                messageSid, buttonPayload, profileName, provider }]
+ *   statuses: [{ messageSid, status, recipient, errorCode, errorMessage, provider }]
+ */
+class WebhookParser {
+
+  // Check whether a request body is a Meta Cloud API notification
+  static isCloudApiPayload(body) {
+    return !!body && body.object === 'whatsapp_business_account' && Array.isArray(body.entry);
+  }
+
+  // Parse any supported webhook body
+  static parse(body) {
+    if (this.isCloudApiPayload(body)) {
+      return this.parseCloudApiWebhook(body);
+    }
+
+    return this.parseTwilioWebhook(body);
+  }
+
+  // Parse Twilio form fields (messages and status callbacks share the endpoint shape)
+  static parseTwilioWebhook(body = {}) {
+    const result = { provider: 'twilio', messages: [], statuses: [] };
+
+    if (body.MessageStatus && !body.Body && !body.NumMedia) {
+      result.statuses.push({
+        messageSid: body.MessageSid,
+        status: body.MessageStatus,
+        recipient: body.To,
+        errorCode: body.ErrorCode || null,
+        errorMessage: body.ErrorMessage || null,
+        provider: 'twilio'
+      });
+      return result;
+    }
+
+    result.messages.push({
+      phoneNumber: body.From,
+      messageBody: body.ButtonText || body.Body,
+      mediaUrl: body.MediaUrl0,
+      mediaType: body.MediaContentType0,
+      mediaId: null,
+      messageSid: body.MessageSid,
+      buttonPayload: body.ButtonPayload || null,
+      profileName: body.ProfileName || null,
+      provider: 'twilio'
+    });
+
+    return result;
+  }
+
+  // Parse a Meta Cloud API notification (may batch several messages/statuses)
+  static parseCloudApiWebhook(body) {
+    const result = { provider: 'meta', messages: [], statuses: [] };
+
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const contacts = value.contacts || [];
+
+        for (const message of value.messages || []) {
+          const parsed = this.parseCloudApiMessage(message, contacts);
+          if (parsed) {
+            result.messages.push(parsed);
+          }
+        }
+
+        for (const status of value.statuses || []) {
+          const error = status.errors && status.errors[0];
+          result.statuses.push({
+            messageSid: status.id,
+            status: status.status,
+            recipient: this.normalizeCloudApiNumber(status.recipient_id),
+            errorCode: error ? error.code : null,
+            errorMessage: error ? (error.title || error.message) : null,
+            provider: 'meta'
+          });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Convert a single Cloud API message object to the internal shape
+  static parseCloudApiMessage(message, contacts = []) {
+    const contact = contacts.find(c => c.wa_id === message.from) || contacts[0];
+    const parsed = {
+      phoneNumber: this.normalizeCloudApiNumber(message.from),
+      messageBody: null,
+      mediaUrl: null,
+      mediaType: null,
+      mediaId: null,
+      messageSid: message.id,
+      buttonPayload: null,
+      profileName: contact?.profile?.name || null,
+      provider: 'meta'
+    };
+
+    switch (message.type) {
+      case 'text':
+        parsed.messageBody = message.text?.body;
+        break;
+
+      case 'audio':
+      case 'voice':
+        parsed.mediaId = message[message.type]?.id;
+        parsed.mediaType = message[message.type]?.mime_type || 'audio/ogg';
+        break;
+
+      case 'interactive': {
+        const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+        parsed.messageBody = reply?.title;
+        parsed.buttonPayload = reply?.id || null;
+        break;
+      }
+
+      case 'button':
+        // Quick-reply buttons on template messages
+        parsed.messageBody = message.button?.text;
+        parsed.buttonPayload = message.button?.payload || null;
+        break;
+
+      default:
+        logger.warn(`Unsupported Cloud API message type: ${message.type}`);
+        return parsed.phoneNumber ? parsed : null;
+    }
+
+    return parsed;
+  }
+
+  // Cloud API sends bare digits (e.g. 919876543210); store numbers in E.164
+  static normalizeCloudApiNumber(number) {
+    if (!number) return number;
+    return number.startsWith('+') ? number : `+${number}`;
+  }
+}
+
+module.exports = WebhookParser;